@@ -3,207 +3,543 @@
  * @description Main data module for processing Airbnb listings, supporting .csv or .csv.gz and exporting ALL columns.
  */
 
-import { readFile, writeFile } from "node:fs/promises";
-import zlib from "node:zlib"; // For handling .gz files
-import { parse } from "csv-parse/sync";
+import { withColumns } from "./loader.js";
+import { loadCSVCached } from "./cache.js";
+import {
+  isAvailableOn,
+  latestReviewDay,
+  loadCalendar,
+  loadReviews,
+  monthlyAveragePrices,
+  occupancyRate,
+  priceOn,
+  reviewVelocity,
+  toDay,
+} from "./companions.js";
+import { where, toPredicate, describePredicate } from "./query.js";
+import { aggregate } from "./aggregate.js";
+import { rankListings } from "./scoring.js";
+import { hostProfiles } from "./hosts.js";
+import { diffSnapshots } from "./snapshots.js";
+import { validateListings, partitionInvalid } from "./quality.js";
+import { amenitiesPredicate, createSearchIndex } from "./search.js";
+import { writeExport } from "./exporters.js";
+import { distributionOf } from "./distribution.js";
+import { hostRanking, hostTally, statsPartial, statsResult } from "./partials.js";
+import { writeChart } from "./charts.js";
+import { pluginMethods, reserveNames } from "./plugins.js";
+import { cityComparison, isMultiSource, loadCities } from "./cities.js";
+import {
+  createGridIndex,
+  haversineKm,
+  inAnyPolygon,
+  inBox,
+  polygonsBox,
+  radiusBox,
+  toPolygons,
+} from "./geo.js";
+
+export { where, and, or, not } from "./query.js";
+export { loadGeoJSON, selectFeatures } from "./geo.js";
+export { loadCalendar, loadReviews } from "./companions.js";
+export { SCORERS } from "./scoring.js";
+export { HOST_METRICS, DEFAULT_COMMERCIAL_THRESHOLDS } from "./hosts.js";
+export { diffRows, DIFF_COLUMNS } from "./snapshots.js";
+export { QUALITY_RULES, DEFAULT_DROP_RULES } from "./quality.js";
+export { clearCache, DEFAULT_CACHE_DIR } from "./cache.js";
+export { SEARCH_FIELDS } from "./search.js";
+export { registerFilter, registerMetric, registerCommand, loadPlugins } from "./plugins.js";
+export { comparisonRows, loadRates } from "./cities.js";
+
+/**
+ * Spatial indexes, built lazily once per (frozen) data array.
+ * @type {WeakMap<ReadonlyArray<Listing>, import("./geo.js").GridIndex>}
+ */
+const spatialIndexes = new WeakMap();
+
+/**
+ * @param {ReadonlyArray<Listing>} data
+ * @returns {import("./geo.js").GridIndex}
+ */
+function spatialIndexOf(data) {
+  if (!spatialIndexes.has(data)) spatialIndexes.set(data, createGridIndex(data));
+  return spatialIndexes.get(data);
+}
+
+/**
+ * Text search indexes, built lazily once per (frozen) data array.
+ * @type {WeakMap<ReadonlyArray<Listing>, import("./search.js").SearchIndex>}
+ */
+const searchIndexes = new WeakMap();
 
 /**
- * We won't strictly define all possible columns as this dataset can vary.
- * Instead, we'll just define a minimal shape for reference. Each row object
- * will contain every column from the CSV.
+ * @param {ReadonlyArray<Listing>} data
+ * @returns {import("./search.js").SearchIndex}
+ */
+function searchIndexOf(data) {
+  if (!searchIndexes.has(data)) searchIndexes.set(data, createSearchIndex(data));
+  return searchIndexes.get(data);
+}
+
+/**
+ * Each row object contains every column from the CSV, typed by the schema in schema.js.
+ * Missing values are null. The most commonly used columns:
  *
  * @typedef {Object} Listing
- * @property {number} price - We'll parse this from the CSV
- * @property {number} bedrooms
- * @property {number} review_scores_rating
- * // plus any other columns from the CSV as raw strings, which we'll keep untouched
+ * @property {string} id
+ * @property {string} name
+ * @property {string|null} host_id
+ * @property {string|null} host_name
+ * @property {boolean|null} host_is_superhost
+ * @property {number|null} host_response_rate - Percentage points, e.g. 94 for "94%"
+ * @property {string|null} neighbourhood_cleansed
+ * @property {string|null} room_type
+ * @property {number|null} latitude
+ * @property {number|null} longitude
+ * @property {number|null} accommodates
+ * @property {number|null} bedrooms
+ * @property {string[]|null} amenities
+ * @property {number|null} price - Parsed from "$1,234.00"
+ * @property {number|null} availability_365
+ * @property {number|null} number_of_reviews
+ * @property {Date|null} first_review
+ * @property {Date|null} last_review
+ * @property {number|null} review_scores_rating
+ * @property {boolean|null} instant_bookable
+ * // plus any other columns from the CSV; columns the schema doesn't know stay raw strings
  */
 
 /**
  * @typedef {Object} ChainableHandler
+ * @property {function(string, string, any=): ChainableHandler} where
+ * @property {function(import("./query.js").PredicateLike): ChainableHandler} filter
  * @property {function(number, number): ChainableHandler} filterByPrice
  * @property {function(number, number): ChainableHandler} filterByBedrooms
  * @property {function(number, number): ChainableHandler} filterByReviewScore
+ * @property {function(number, number, number): ChainableHandler} filterByRadius
+ * @property {function(number, number, number, number): ChainableHandler} filterByBoundingBox
+ * @property {function(Object): ChainableHandler} filterByPolygon
+ * @property {function(number, number, number): ChainableHandler} nearest
+ * @property {function(string, {mode?: "all"|"any", limit?: number}=): ChainableHandler} search
+ * @property {function(string[]): ChainableHandler} hasAmenities
+ * @property {function(string, {maxPrice?: number}=): ChainableHandler} availableOn
+ * @property {function(string=, string=): ChainableHandler} withOccupancy
+ * @property {function({asOf?: string, months?: number}=): ChainableHandler} withReviewVelocity
+ * @property {function(...string): {aggregate: function(import("./aggregate.js").AggregateSpec): Object[]}} groupBy
  * @property {function(): Object} computeStats
+ * @property {function(string, import("./distribution.js").DistributionOptions=): import("./distribution.js").Distribution} distribution
  * @property {function(): Object[]} computeHostRanking
+ * @property {function({sortBy?: string, order?: string, commercial?: import("./hosts.js").CommercialThresholds}=): import("./hosts.js").HostProfile[]} computeHostProfiles
  * @property {function(): Listing|null} computeBestValue
- * @property {function(string, any=): Promise<void>} exportResults
+ * @property {function((string|Object<string, number>|function(Listing): number), import("./scoring.js").RankOptions=): Object[]} rankBy
+ * @property {function(ChainableHandler): import("./snapshots.js").SnapshotDiff} compareWith
+ * @property {function({column?: string, topHosts?: number, bins?: import("./distribution.js").BinSpec}=): import("./cities.js").CityComparison} compareCities
+ * @property {function(import("./quality.js").ValidateOptions=): import("./quality.js").QualityReport} validate
+ * @property {function(Object=): ChainableHandler} dropInvalid
+ * @property {function(Object=): Object[]} invalidRows
+ * @property {function(string, any=, import("./exporters.js").ExportOptions=): Promise<void>} exportResults
+ * @property {function(string, string, import("./distribution.js").DistributionOptions=): Promise<void>} exportChart
  * @property {function(): ChainableHandler} reset
+ * @property {function(): ChainableHandler} undo
+ * @property {function(string): ChainableHandler} save
+ * @property {function(string): ChainableHandler} restore
+ * @property {function(): string[]} describe
+ * @property {function(): ReadonlyArray<Listing>} toArray
+ * // plus a method for every filter and metric registered through plugins.js
  */
 
 /**
- * Reads the CSV or CSV.GZ file, returning an array of objects (each containing ALL columns).
- * We also parse out "price", "bedrooms", and "review_scores_rating" as numbers for filtering.
- * But we keep all other columns as-is.
- * @async
- * @param {string} filePath - Path to .csv or .csv.gz file
- * @returns {Promise<Listing[]>} - Array of objects with all columns, plus numeric fields
+ * One immutable point in a query pipeline. Steps form a linked list back to the
+ * full dataset, so undo() and describe() just walk `previous`.
+ * @typedef {Object} PipelineState
+ * @property {ReadonlyArray<Listing>} data - Listings after this step
+ * @property {string|null} step - Description of the step that produced data (null for the full dataset)
+ * @property {PipelineState|null} previous
  */
-async function loadCSV(filePath) {
-  let raw;
-  if (filePath.endsWith(".gz")) {
-    // If it's gzipped, unzip first
-    const gzBuffer = await readFile(filePath);
-    const unzipped = zlib.unzipSync(gzBuffer);
-    raw = unzipped.toString("utf-8");
-  } else {
-    // Otherwise, read as plain text
-    raw = await readFile(filePath, "utf-8");
-  }
 
-  // Parse the CSV into an array of objects keyed by header
-  const records = parse(raw, {
-    columns: true,
-    skip_empty_lines: true,
-    trim: true,
-  });
-
-  // Convert each record so that price, bedrooms, review_scores_rating are numeric
-  const listings = records.map((row) => {
-    // We'll keep all original columns, but parse a few:
-    const item = { ...row };
-
-    // Convert price, bedrooms, and review_scores_rating to numbers
-    // (only if they exist; if not, default to 0)
-    if (typeof item.price === "string") {
-      item.price = parseFloat(item.price.replace("$", "").replace(",", "")) || 0;
-    } else {
-      item.price = Number(item.price) || 0;
-    }
+/**
+ * A loaded listings file plus the optional companion indexes, joined by listing_id.
+ * @typedef {Object} HandlerDataset
+ * @property {Listing[]} listings
+ * @property {string[]} columns
+ * @property {import("./companions.js").CalendarIndex|null} [calendar]
+ * @property {import("./companions.js").ReviewIndex|null} [reviews]
+ * @property {import("./partials.js").ListingAggregates} [aggregates] - Of the full dataset, when
+ *   workers computed them while loading
+ */
 
-    item.bedrooms = parseFloat(item.bedrooms) || 0;
-    item.review_scores_rating = parseFloat(item.review_scores_rating) || 0;
+/**
+ * @param {HandlerDataset} dataset
+ * @returns {import("./companions.js").CalendarIndex}
+ */
+function requireCalendar(dataset) {
+  if (!dataset.calendar) {
+    throw new Error('No calendar loaded: pass { calendar: "calendar.csv.gz" } to AirBnBDataHandler');
+  }
+  return dataset.calendar;
+}
 
-    return item;
-  });
+/**
+ * @param {HandlerDataset} dataset
+ * @returns {import("./companions.js").ReviewIndex}
+ */
+function requireReviews(dataset) {
+  if (!dataset.reviews) {
+    throw new Error('No reviews loaded: pass { reviews: "reviews.csv.gz" } to AirBnBDataHandler');
+  }
+  return dataset.reviews;
+}
 
-  return listings;
+/**
+ * Freezes the rows of a step, their list cells (e.g. amenities) and the array, so a
+ * row read from one handler cannot be changed under every other state that shares it.
+ * Rows that are already frozen, because an earlier step froze them, are skipped.
+ * @param {Listing[]} rows
+ * @returns {ReadonlyArray<Listing>}
+ */
+function freezeRows(rows) {
+  for (const item of rows) {
+    if (Object.isFrozen(item)) continue;
+    for (const value of Object.values(item)) if (Array.isArray(value)) Object.freeze(value);
+    Object.freeze(item);
+  }
+  return Object.freeze(rows);
 }
 
 /**
- * Creates a chainable handler. The data objects in currentData include ALL columns,
- * while we filter on the numeric columns we've parsed (price, bedrooms, review_scores_rating).
- * @param {Listing[]} listingData
+ * Creates an immutable chainable handler. Every filter returns a NEW handler, so
+ * any state can be branched from without affecting the others:
+ *
+ *   const cheap = handler.filterByPrice(0, 100);
+ *   const small = cheap.filterByBedrooms(1, 2);
+ *   const large = cheap.filterByBedrooms(3, Infinity);
+ *
+ * The data objects in currentData include ALL columns, and any column can be
+ * filtered with where() / filter(). Filters and metrics registered through
+ * plugins.js are added as methods too.
+ * @param {HandlerDataset} dataset - The full dataset, plus companion calendar/reviews if loaded
+ * @param {PipelineState} [state] - Current pipeline step (defaults to the full dataset)
+ * @param {Object<string, PipelineState>} [snapshots] - Named states from save()
  * @returns {ChainableHandler}
  */
-function createDataHandler(listingData) {
-  let currentData = [...listingData]; // copy for filtering
+function createDataHandler(
+  dataset,
+  state = { data: freezeRows([...dataset.listings]), step: null, previous: null },
+  snapshots = {}
+) {
+  const currentData = state.data;
+  // aggregates from the parsing workers describe the full dataset only
+  const loadedAggregates = state.previous === null ? dataset.aggregates : undefined;
+
+  /**
+   * Builds the handler for a new step on top of the current one.
+   * @param {Listing[]} data
+   * @param {string} step
+   * @returns {ChainableHandler}
+   */
+  const next = (data, step) =>
+    createDataHandler(dataset, { data: freezeRows(data), step, previous: state }, snapshots);
+
+  return Object.freeze({
+    /**
+     * Filter on any column, e.g. where("room_type", "eq", "Private room").
+     * See query.js for the supported operators.
+     * @param {string} column
+     * @param {string} op
+     * @param {any} [value]
+     * @returns {ChainableHandler}
+     */
+    where(column, op, value) {
+      return this.filter(where(column, op, value));
+    },
+
+    /**
+     * Filter with any predicate, including and()/or()/not() compositions
+     * or a [column, op, value] tuple.
+     * @param {import("./query.js").PredicateLike} predicate
+     * @returns {ChainableHandler}
+     */
+    filter(predicate) {
+      const test = toPredicate(predicate);
+      return next(currentData.filter(test), describePredicate(test));
+    },
 
-  return {
     /**
      * Filter by a price range, inclusive of minPrice and maxPrice.
      * @param {number} minPrice
      * @param {number} maxPrice
-     * @returns {this}
+     * @returns {ChainableHandler}
      */
     filterByPrice(minPrice, maxPrice) {
-      currentData = currentData.filter(
-        (item) => item.price >= minPrice && item.price <= maxPrice
-      );
-      return this;
+      return this.where("price", "between", [minPrice, maxPrice]);
     },
 
     /**
      * Filter by a bedroom range, inclusive.
      * @param {number} minRooms
      * @param {number} maxRooms
-     * @returns {this}
+     * @returns {ChainableHandler}
      */
     filterByBedrooms(minRooms, maxRooms) {
-      currentData = currentData.filter(
-        (item) => item.bedrooms >= minRooms && item.bedrooms <= maxRooms
-      );
-      return this;
+      return this.where("bedrooms", "between", [minRooms, maxRooms]);
     },
 
     /**
      * Filter by a review score range.
      * @param {number} minScore
      * @param {number} maxScore
-     * @returns {this}
+     * @returns {ChainableHandler}
      */
     filterByReviewScore(minScore, maxScore) {
-      currentData = currentData.filter(
-        (item) =>
-          item.review_scores_rating >= minScore &&
-          item.review_scores_rating <= maxScore
+      return this.where("review_scores_rating", "between", [minScore, maxScore]);
+    },
+
+    /**
+     * Filter to listings within `km` kilometres (haversine distance) of a point.
+     * Listings without coordinates never match.
+     * @param {number} lat
+     * @param {number} lon
+     * @param {number} km
+     * @returns {ChainableHandler}
+     */
+    filterByRadius(lat, lon, km) {
+      const matches = new Set(
+        spatialIndexOf(currentData)
+          .queryBox(radiusBox(lat, lon, km))
+          .filter((item) => haversineKm(lat, lon, item.latitude, item.longitude) <= km)
+      );
+      return next(
+        currentData.filter((item) => matches.has(item)),
+        `within ${km} km of (${lat}, ${lon})`
       );
-      return this;
     },
 
     /**
-     * Compute stats on the currently filtered data:
-     * - totalListings
-     * - avgPrice
-     * - avgPriceByBedrooms
-     * @returns {Object}
+     * Filter to listings inside a latitude/longitude box, inclusive.
+     * @param {number} minLat
+     * @param {number} minLon
+     * @param {number} maxLat
+     * @param {number} maxLon
+     * @returns {ChainableHandler}
      */
-    computeStats() {
-      const totalListings = currentData.length;
-      if (totalListings === 0) {
-        return {
-          totalListings: 0,
-          avgPrice: 0,
-          avgPriceByBedrooms: {},
-        };
-      }
+    filterByBoundingBox(minLat, minLon, maxLat, maxLon) {
+      const box = [minLat, minLon, maxLat, maxLon];
+      const matches = new Set(
+        spatialIndexOf(currentData)
+          .queryBox(box)
+          .filter((item) => inBox(item.latitude, item.longitude, box))
+      );
+      return next(
+        currentData.filter((item) => matches.has(item)),
+        `inside box [${box.join(", ")}]`
+      );
+    },
 
-      const totalPrice = currentData.reduce((sum, item) => sum + (item.price || 0), 0);
-      const avgPrice = totalPrice / totalListings;
-
-      // average price by #bedrooms
-      const byRooms = currentData.reduce((acc, item) => {
-        const key = item.bedrooms || 0;
-        if (!acc[key]) acc[key] = { total: 0, count: 0 };
-        acc[key].total += item.price;
-        acc[key].count += 1;
-        return acc;
-      }, {});
-      const avgPriceByBedrooms = {};
-      for (const [rooms, obj] of Object.entries(byRooms)) {
-        avgPriceByBedrooms[rooms] = obj.total / obj.count;
+    /**
+     * Filter to listings inside a GeoJSON FeatureCollection, Feature, Polygon or MultiPolygon,
+     * e.g. loadGeoJSON("neighbourhoods.geojson") narrowed with selectFeatures(geojson, "Alfama").
+     * @param {Object} geojson
+     * @returns {ChainableHandler}
+     */
+    filterByPolygon(geojson) {
+      const polygons = toPolygons(geojson);
+      const names = (geojson.features || [])
+        .map((feature) => feature.properties?.neighbourhood)
+        .filter(Boolean);
+      const matches = new Set(
+        spatialIndexOf(currentData)
+          .queryBox(polygonsBox(polygons))
+          .filter((item) => inAnyPolygon(item.latitude, item.longitude, polygons))
+      );
+      const label = names.length && names.length <= 3 ? names.join(", ") : `${polygons.length} polygon(s)`;
+      return next(currentData.filter((item) => matches.has(item)), `inside ${label}`);
+    },
+
+    /**
+     * The k listings closest to a point, nearest first. Each listing is returned as
+     * a copy with an added `distance_km` field.
+     * @param {number} lat
+     * @param {number} lon
+     * @param {number} k - A positive whole number
+     * @returns {ChainableHandler}
+     */
+    nearest(lat, lon, k) {
+      const closest = spatialIndexOf(currentData)
+        .nearest(lat, lon, k)
+        .map(({ item, distanceKm }) => withColumns(item, { distance_km: distanceKm }));
+      return next(closest, `nearest ${k} to (${lat}, ${lon})`);
+    },
+
+    /**
+     * Full-text search over name, description, neighborhood_overview and amenities,
+     * best match first (BM25). Words are matched after stemming ("pets" finds "pet");
+     * quoted phrases must appear as written: 'hot tub "near the beach"'.
+     * In "all" mode (the default) every word must match, in "any" mode at least one.
+     * Each listing is returned as a copy with an added `search_score` field.
+     * @param {string} query
+     * @param {{mode?: "all"|"any", limit?: number}} [options]
+     * @returns {ChainableHandler}
+     */
+    search(query, { mode = "all", limit = Infinity } = {}) {
+      const found = searchIndexOf(currentData)
+        .search(query, { mode })
+        .slice(0, limit)
+        .map(({ item, score }) => withColumns(item, { search_score: score }));
+      return next(found, `search for ${query}`);
+    },
+
+    /**
+     * Filter to listings whose amenities include all of the given ones, ignoring case
+     * and plurals: hasAmenities(["hot tub", "wifi"]) matches "Private hot tub" and "Wifi".
+     * @param {string[]} amenities
+     * @returns {ChainableHandler}
+     */
+    hasAmenities(amenities) {
+      return next(
+        currentData.filter(amenitiesPredicate(amenities)),
+        `amenities include ${amenities.join(", ")}`
+      );
+    },
+
+    /**
+     * Filter to listings the calendar shows as available on a date, optionally
+     * with that night's calendar price at or below maxPrice.
+     * Needs { calendar } when loading.
+     * @param {string} date - "YYYY-MM-DD"
+     * @param {{maxPrice?: number}} [options]
+     * @returns {ChainableHandler}
+     */
+    availableOn(date, { maxPrice = Infinity } = {}) {
+      const calendar = requireCalendar(dataset);
+      const day = toDay(date);
+      const data = currentData.filter((item) => {
+        const entry = calendar.get(item.id);
+        if (!isAvailableOn(entry, day)) return false;
+        if (maxPrice === Infinity) return true;
+        const nightly = priceOn(entry, day) ?? item.price;
+        return nightly !== null && nightly <= maxPrice;
+      });
+      const under = maxPrice === Infinity ? "" : ` under ${maxPrice}`;
+      return next(data, `available on ${date}${under}`);
+    },
+
+    /**
+     * Adds calendar figures for a date window (inclusive, "YYYY-MM-DD", both optional)
+     * to each listing, as copies with:
+     * - occupancy_rate: share of days booked or blocked (0..1, null without calendar days)
+     * - avg_price_by_month: { "2026-12": 142.5, ... }
+     * Needs { calendar } when loading. The new columns can then be filtered, grouped and exported.
+     * @param {string} [from]
+     * @param {string} [to]
+     * @returns {ChainableHandler}
+     */
+    withOccupancy(from, to) {
+      const calendar = requireCalendar(dataset);
+      const fromDay = from ? toDay(from) : undefined;
+      const toDayInclusive = to ? toDay(to) : undefined;
+      const data = currentData.map((item) => {
+        const entry = calendar.get(item.id);
+        return withColumns(item, {
+          occupancy_rate: occupancyRate(entry, fromDay, toDayInclusive),
+          avg_price_by_month: monthlyAveragePrices(entry, fromDay, toDayInclusive),
+        });
+      });
+      return next(data, `occupancy ${from || "start"} to ${to || "end"}`);
+    },
+
+    /**
+     * Adds review velocity from reviews.csv to each listing, as copies with
+     * review_count, reviews_in_window, review_velocity (reviews per month over the
+     * trailing window) and last_review_date.
+     * Needs { reviews } when loading.
+     * @param {{asOf?: string, months?: number}} [options] - asOf defaults to the latest review in the file
+     * @returns {ChainableHandler}
+     */
+    withReviewVelocity({ asOf, months = 12 } = {}) {
+      if (!(months > 0)) {
+        throw new Error(`Invalid number of months "${months}" (expected more than 0)`);
       }
+      const reviews = requireReviews(dataset);
+      const asOfDay = asOf ? toDay(asOf) : latestReviewDay(reviews);
+      const data = currentData.map((item) =>
+        withColumns(item, reviewVelocity(reviews.get(item.id), asOfDay, months))
+      );
+      return next(data, `review velocity over ${months} months`);
+    },
 
+    /**
+     * Group the currently filtered data by one or more columns, then aggregate:
+     * handler.groupBy("neighbourhood_cleansed", "room_type").aggregate({ medianPrice: ["median", "price"] })
+     * See aggregate.js for the available aggregators. The result is a plain array of rows.
+     * @param {...string} columns
+     * @returns {{aggregate: function(import("./aggregate.js").AggregateSpec): Object[]}}
+     */
+    groupBy(...columns) {
+      const rows = currentData;
       return {
-        totalListings,
-        avgPrice,
-        avgPriceByBedrooms,
+        aggregate: (spec) => aggregate(rows, columns, spec),
       };
     },
 
+    /**
+     * Compute stats on the currently filtered data:
+     * - totalListings
+     * - avgPrice (over listings that have a price)
+     * - avgPriceByBedrooms (listings without a bedroom count are grouped under "unknown")
+     * Prices are summed exactly (see partials.js), so the averages do not depend on row
+     * order or on how a parallel load split the file.
+     * @returns {Object}
+     */
+    computeStats() {
+      return statsResult(loadedAggregates?.stats ?? statsPartial(currentData));
+    },
+
+    /**
+     * Distribution of a numeric column over the current data: histogram, quantiles and
+     * a box plot. Means hide the long tail of prices; this shows it.
+     * handler.distribution("price", { bins: [0, 50, 100, 200, 500] })
+     * @param {string} column
+     * @param {import("./distribution.js").DistributionOptions} [options] - { bins, quantiles, iqrMultiplier }
+     * @returns {import("./distribution.js").Distribution}
+     */
+    distribution(column, options = {}) {
+      return distributionOf(currentData, column, options, loadedAggregates?.sorted[column]);
+    },
+
     /**
      * Returns an array of { host_id, host_name, listingsCount }, sorted desc by listingsCount.
      * @returns {Array}
      */
     computeHostRanking() {
-      // some listings may not have host_id
-      const tally = currentData.reduce((acc, item) => {
-        if (!item.host_id) return acc;
-        if (!acc[item.host_id]) {
-          acc[item.host_id] = {
-            host_id: item.host_id,
-            host_name: item.host_name || "",
-            listingsCount: 0,
-          };
-        }
-        acc[item.host_id].listingsCount += 1;
-        return acc;
-      }, {});
-      const array = Object.values(tally);
-      array.sort((a, b) => b.listingsCount - a.listingsCount);
-      return array;
+      return hostRanking(loadedAggregates?.hosts ?? hostTally(currentData));
+    },
+
+    /**
+     * Per-host portfolio profiles over the current data: listing counts, total and median
+     * price, distinct neighbourhoods and room types, average review score (unreviewed
+     * listings left out), superhost status, response rate, estimated yearly revenue and
+     * an isCommercial flag. Sorted by `sortBy` (any HOST_METRICS name), descending by default.
+     * @param {Object} [options]
+     * @param {string} [options.sortBy="listingsCount"]
+     * @param {"asc"|"desc"} [options.order="desc"]
+     * @param {import("./hosts.js").CommercialThresholds} [options.commercial] - Overrides DEFAULT_COMMERCIAL_THRESHOLDS
+     * @returns {import("./hosts.js").HostProfile[]}
+     */
+    computeHostProfiles(options = {}) {
+      return hostProfiles(currentData, options);
     },
 
     /**
      * Find the single listing with the best rating-to-price ratio
-     * among the current (filtered) data.
+     * among the current (filtered) data. Listings without a rating are skipped.
+     * For a top-N ranking with other scorers, see rankBy().
      * @returns {Listing|null}
      */
     computeBestValue() {
       let best = null;
       let bestRatio = 0;
       for (const item of currentData) {
-        if (item.price > 0) {
+        if (item.price > 0 && item.review_scores_rating !== null) {
           const ratio = item.review_scores_rating / item.price;
           if (ratio > bestRatio) {
             bestRatio = ratio;
@@ -215,36 +551,206 @@ function createDataHandler(listingData) {
     },
 
     /**
-     * Exports the currently filtered data to a JSON file, including ALL columns.
+     * Ranks the current data and returns the top N as rows of { rank, score, ...listing }.
+     * `scoreBy` is a built-in scorer name ("value", "ratio", "bayesian", "pricePerBedroom",
+     * "pricePerGuest"), a weights object such as
+     * { review_scores_cleanliness: 2, review_scores_location: 1, price: -1 },
+     * or a (listing) => number function. Listings that cannot be scored are left out.
+     * @param {string|Object<string, number>|function(Listing): (number|null)} scoreBy
+     * @param {import("./scoring.js").RankOptions} [options] - { limit, order, minReviews }
+     * @returns {Object[]}
+     */
+    rankBy(scoreBy, options = {}) {
+      return rankListings(currentData, scoreBy, options);
+    },
+
+    /**
+     * Data-quality report on the current data: null rates per column, cells that
+     * failed to parse (with their row numbers), duplicate ids, implausible values
+     * and price outliers by IQR and z-score. See quality.js.
+     * @param {import("./quality.js").ValidateOptions} [options]
+     * @returns {import("./quality.js").QualityReport}
+     */
+    validate(options = {}) {
+      return validateListings(currentData, dataset.columns, options);
+    },
+
+    /**
+     * Removes rows with an issue under any of `options.rules` (DEFAULT_DROP_RULES
+     * unless given; add "outlier_iqr" or "outlier_zscore" to drop outliers too).
+     * Pair with invalidRows() to quarantine what was removed.
+     * @param {import("./quality.js").ValidateOptions & {rules?: string[]}} [options]
+     * @returns {ChainableHandler}
+     */
+    dropInvalid(options = {}) {
+      const { kept } = partitionInvalid(currentData, options);
+      return next(kept, `drop invalid rows (${currentData.length - kept.length})`);
+    },
+
+    /**
+     * The rows dropInvalid() would remove, as copies with a `quality_issues` column,
+     * ready for exportResults() as a quarantine file.
+     * @param {import("./quality.js").ValidateOptions & {rules?: string[]}} [options]
+     * @returns {Object[]}
+     */
+    invalidRows(options = {}) {
+      return partitionInvalid(currentData, options).rejected;
+    },
+
+    /**
+     * Diffs this handler's current data (the old snapshot) against another handler's
+     * (the new one), matching listings by id. Filter both the same way first to compare
+     * one part of a city.
+     * @param {ChainableHandler} other
+     * @returns {import("./snapshots.js").SnapshotDiff}
+     */
+    compareWith(other) {
+      return diffSnapshots(this, other);
+    },
+
+    /**
+     * Side-by-side figures per city for data loaded from several files: computeStats(),
+     * the top hosts and the price distribution of each. Filters apply to every city,
+     * so handler.filterByBedrooms(2, 2).compareCities() compares two-bedroom listings.
+     * comparisonRows() flattens the result into a table with a column per city.
+     * @param {{column?: string, topHosts?: number, bins?: import("./distribution.js").BinSpec}} [options] - column defaults to "city"
+     * @returns {import("./cities.js").CityComparison}
+     */
+    compareCities(options = {}) {
+      return cityComparison(this, options);
+    },
+
+    /**
+     * Exports the currently filtered data, including ALL columns. The format comes from
+     * the extension (.json, .csv, .ndjson, .md, each optionally .gz) or options.format.
+     * CSV keeps the original column order of the loaded file.
      * @async
      * @param {string} filename
-     * @param {any} dataToExport - (Optional) if you want to override what's exported
+     * @param {any} dataToExport - (Optional) if you want to override what's exported, e.g. aggregated rows
+     * @param {import("./exporters.js").ExportOptions} [options] - { format, gzip, fields }
      */
-    async exportResults(filename, dataToExport = null) {
+    async exportResults(filename, dataToExport = null, options = {}) {
       const payload = dataToExport || currentData;
-      await writeFile(filename, JSON.stringify(payload, null, 2), "utf-8");
+      await writeExport(filename, payload, options, dataset.columns);
+    },
+
+    /**
+     * Writes the distribution of a column as a standalone chart file: .svg for the chart
+     * alone, .html for the chart with a table of the summary numbers.
+     * @async
+     * @param {string} filename
+     * @param {string} column
+     * @param {import("./distribution.js").DistributionOptions} [options]
+     */
+    async exportChart(filename, column, options = {}) {
+      await writeChart(filename, distributionOf(currentData, column, options));
+    },
+
+    /**
+     * Returns the currently filtered listings as a read-only array of frozen rows.
+     * @returns {ReadonlyArray<Listing>}
+     */
+    toArray() {
+      return currentData;
     },
 
     /**
-     * Resets the filtering to the full dataset.
-     * @returns {this}
+     * Returns a handler over the full dataset. Saved snapshots are kept.
+     * @returns {ChainableHandler}
      */
     reset() {
-      currentData = [...listingData];
-      return this;
+      return createDataHandler(dataset, undefined, snapshots);
+    },
+
+    /**
+     * Returns the handler as it was before the last step (or this one if there is none).
+     * @returns {ChainableHandler}
+     */
+    undo() {
+      return state.previous ? createDataHandler(dataset, state.previous, snapshots) : this;
     },
-  };
+
+    /**
+     * Saves the current state under a name, for restore(name) later in the chain.
+     * @param {string} name
+     * @returns {ChainableHandler}
+     */
+    save(name) {
+      return createDataHandler(dataset, state, { ...snapshots, [name]: state });
+    },
+
+    /**
+     * Returns to a state saved with save(name).
+     * @param {string} name
+     * @returns {ChainableHandler}
+     */
+    restore(name) {
+      if (!Object.hasOwn(snapshots, name)) {
+        throw new Error(`No saved snapshot named "${name}"`);
+      }
+      return createDataHandler(dataset, snapshots[name], snapshots);
+    },
+
+    /**
+     * Lists the steps applied since the full dataset, oldest first.
+     * @returns {string[]}
+     */
+    describe() {
+      const steps = [];
+      for (let cursor = state; cursor.previous; cursor = cursor.previous) {
+        steps.unshift(cursor.step);
+      }
+      return steps;
+    },
+
+    // filters and metrics from registerFilter() / registerMetric()
+    ...pluginMethods(currentData, next),
+  });
 }
 
+// plugins may not shadow the built-in methods
+reserveNames(Object.keys(createDataHandler({ listings: [], columns: [] })));
+
+/**
+ * @typedef {import("./loader.js").LoadOptions & import("./cache.js").CacheOptions & {calendar?: string, reviews?: string, currency?: import("./cities.js").CurrencyOptions}} HandlerOptions
+ */
+
 /**
  * Main function that loads the CSV/CSV.GZ and returns a chainable data handler.
+ * Companion calendar.csv(.gz) and reviews.csv(.gz) files can be loaded alongside
+ * and are joined to the listings by listing_id.
+ *
+ * Several cities load as one dataset from a list of files, a { city: path } map, a
+ * directory or a glob (see expandGlob in cities.js); each listing then
+ * gets `city` and `source_file` columns, and options.currency converts prices with a local
+ * exchange-rate table (see cities.js).
  * @async
- * @param {string} filePath
+ * @param {import("./cities.js").ListingSources} filePath
+ * @param {HandlerOptions} [options] - e.g. { stream: true, onProgress, filter, schema: { license: "string" }, calendar: "calendar.csv.gz" }
  * @returns {Promise<ChainableHandler>}
  */
-export async function AirBnBDataHandler(filePath) {
-  const listingData = await loadCSV(filePath);
-  return createDataHandler(listingData);
+export async function AirBnBDataHandler(filePath, options = {}) {
+  const multiple = options.currency || (await isMultiSource(filePath));
+  const dataset = multiple ? await loadCities(filePath, options) : await loadCSVCached(filePath, options);
+  const calendar = options.calendar ? await loadCalendar(options.calendar) : null;
+  const reviews = options.reviews ? await loadReviews(options.reviews) : null;
+  return createDataHandler({ ...dataset, calendar, reviews });
+}
+
+/**
+ * Loads two scrapes of the same city and diffs them: listings added and removed,
+ * price changes, host listing gains and losses, and computeStats() changes.
+ * The result (or diffRows() of it, for tabular formats) can be passed to exportResults.
+ * @async
+ * @param {string} oldPath
+ * @param {string} newPath
+ * @param {HandlerOptions} [options] - Load options used for both files
+ * @returns {Promise<import("./snapshots.js").SnapshotDiff & {oldFile: string, newFile: string}>}
+ */
+export async function compareSnapshots(oldPath, newPath, options = {}) {
+  const before = await AirBnBDataHandler(oldPath, options);
+  const after = await AirBnBDataHandler(newPath, options);
+  return { oldFile: oldPath, newFile: newPath, ...before.compareWith(after) };
 }
 
 /* --------------------------------------------------------------------------
@@ -0,0 +1,165 @@
+/**
+ * @file aggregate.js
+ * @description Group-by aggregation over listings: count, sum, mean, median, min, max,
+ * stddev and percentiles on any numeric column. Results are plain arrays of row objects.
+ */
+
+/**
+ * Output column name → "count", or an [aggregator, column] pair such as ["median", "price"].
+ * @typedef {Object<string, string|Array<string>>} AggregateSpec
+ */
+
+/**
+ * Returns the q-quantile (0..1) of an ascending array, interpolating linearly between ranks.
+ * @param {number[]} sorted
+ * @param {number} q
+ * @returns {number|null}
+ */
+export function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * @param {number[]} values
+ * @returns {number}
+ */
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+function mean(values) {
+  return values.length === 0 ? null : sum(values) / values.length;
+}
+
+/**
+ * Sample standard deviation (n - 1); null for fewer than two values.
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+function stddev(values) {
+  if (values.length < 2) return null;
+  const avg = mean(values);
+  const squares = values.reduce((total, value) => total + (value - avg) ** 2, 0);
+  return Math.sqrt(squares / (values.length - 1));
+}
+
+/**
+ * @param {number} q
+ * @returns {function(number[]): number|null}
+ */
+function percentile(q) {
+  return (values) => quantile([...values].sort((a, b) => a - b), q);
+}
+
+/**
+ * Aggregators by name. Each receives the group's non-null values of the column.
+ * Any "pNN" name (e.g. p10, p95) is also accepted as a percentile.
+ * @type {Object<string, function(number[]): number|null>}
+ */
+export const AGGREGATORS = {
+  count: (values) => values.length,
+  sum,
+  mean,
+  avg: mean,
+  median: percentile(0.5),
+  min: (values) => (values.length === 0 ? null : values.reduce((a, b) => (b < a ? b : a))),
+  max: (values) => (values.length === 0 ? null : values.reduce((a, b) => (b > a ? b : a))),
+  stddev,
+  p25: percentile(0.25),
+  p75: percentile(0.75),
+  p90: percentile(0.9),
+};
+
+/**
+ * @param {string} name
+ * @returns {function(number[]): number|null}
+ */
+function resolveAggregator(name) {
+  if (AGGREGATORS[name]) return AGGREGATORS[name];
+  const match = /^p(\d{1,2})$/.exec(name);
+  if (match) return percentile(Number(match[1]) / 100);
+  throw new Error(`Unknown aggregator "${name}"`);
+}
+
+/**
+ * Normalizes a spec entry to { aggregator, column }. A bare "count" counts rows.
+ * @param {string} output
+ * @param {string|Array<string>} entry
+ * @returns {{aggregator: function(number[]): number|null, column: string|null}}
+ */
+function resolveEntry(output, entry) {
+  const [name, column = null] = Array.isArray(entry) ? entry : [entry];
+  if (column === null && name !== "count") {
+    throw new Error(`Aggregate "${output}" needs a column, e.g. ["${name}", "price"]`);
+  }
+  return { aggregator: resolveAggregator(name), column };
+}
+
+/**
+ * Key for one value of a grouping column (dates group by timestamp).
+ * @param {any} value
+ * @returns {string}
+ */
+function keyPart(value) {
+  return JSON.stringify(value instanceof Date ? value.getTime() : value ?? null);
+}
+
+/**
+ * Splits rows into groups by the given columns, keeping first-seen group order.
+ * @param {Object[]} rows
+ * @param {string[]} columns
+ * @returns {Array<{key: Object, rows: Object[]}>}
+ */
+export function groupRows(rows, columns) {
+  const groups = rows.reduce((acc, row) => {
+    const id = columns.map((column) => keyPart(row[column])).join("|");
+    if (!acc.has(id)) {
+      const key = Object.fromEntries(columns.map((column) => [column, row[column] ?? null]));
+      acc.set(id, { key, rows: [] });
+    }
+    acc.get(id).rows.push(row);
+    return acc;
+  }, new Map());
+  return [...groups.values()];
+}
+
+/**
+ * Groups rows by the given columns and computes the spec for each group.
+ * Null values are skipped; an aggregator over no values returns null (count and sum return 0).
+ *
+ * @example
+ * aggregate(listings, ["neighbourhood_cleansed", "room_type"], {
+ *   listings: "count",
+ *   medianPrice: ["median", "price"],
+ *   p90Price: ["p90", "price"],
+ * });
+ * // → [{ neighbourhood_cleansed: "Alfama", room_type: "Private room", listings: 12, medianPrice: 64, p90Price: 110 }, ...]
+ * @param {Object[]} rows
+ * @param {string[]} columns - Grouping columns; none means a single group over all rows
+ * @param {AggregateSpec} spec
+ * @returns {Object[]}
+ */
+export function aggregate(rows, columns, spec) {
+  const entries = Object.entries(spec).map(([output, entry]) => [output, resolveEntry(output, entry)]);
+  const groups = columns.length === 0 ? [{ key: {}, rows }] : groupRows(rows, columns);
+
+  return groups.map(({ key, rows: members }) => {
+    const result = { ...key };
+    for (const [output, { aggregator, column }] of entries) {
+      const values =
+        column === null
+          ? members
+          : members.map((row) => row[column]).filter((value) => value !== null && value !== undefined);
+      result[output] = aggregator(values);
+    }
+    return result;
+  });
+}
@@ -0,0 +1,229 @@
+/**
+ * @file cache.js
+ * @description On-disk cache of parsed listings files, so a reload skips CSV parsing.
+ * Entries are keyed by the source path and schema, and checked against the file's
+ * size, mtime and content hash. Rows are stored column-keyed once and serialized
+ * with v8.serialize, which keeps Dates, nulls and lists intact.
+ */
+
+import { createReadStream } from "node:fs";
+import { mkdir, readFile, readdir, rename, stat, unlink, writeFile } from "node:fs/promises";
+import { createHash } from "node:crypto";
+import { join, resolve } from "node:path";
+import v8 from "node:v8";
+import { loadCSV, parseFailuresOf, rowNumberOf, trackRow } from "./loader.js";
+
+/**
+ * Where cache entries go unless `cacheDir` is given (relative to the working directory).
+ */
+export const DEFAULT_CACHE_DIR = ".airbnb-cache";
+
+/**
+ * Bumped whenever the stored layout or the parsing rules change, so old entries are ignored.
+ */
+const CACHE_VERSION = 2;
+
+/**
+ * Source file fingerprint stored next to each entry (<key>.json, beside <key>.v8).
+ * @typedef {Object} CacheMeta
+ * @property {number} version
+ * @property {string} source - Absolute path of the CSV
+ * @property {number} size
+ * @property {number} mtimeMs
+ * @property {string} contentHash - sha256 of the file's bytes
+ */
+
+/**
+ * @typedef {Object} CacheOptions
+ * @property {boolean} [cache=true] - Set to false to always parse the CSV
+ * @property {string} [cacheDir=".airbnb-cache"]
+ */
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function sha256(text) {
+  return createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * Hashes a file's bytes without reading it into memory at once.
+ * @async
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+async function hashFile(filePath) {
+  const hash = createHash("sha256");
+  for await (const chunk of createReadStream(filePath)) hash.update(chunk);
+  return hash.digest("hex");
+}
+
+/**
+ * Only plain loads can be cached: a row filter or streaming callback changes what is
+ * kept, and coercer functions in the schema cannot be part of the key.
+ * @param {import("./loader.js").LoadOptions} options
+ * @returns {boolean}
+ */
+function isCacheable(options) {
+  const schemas = [options.schema || {}, options.baseSchema || {}];
+  return (
+    !options.filter &&
+    !options.onRow &&
+    schemas.every((schema) => Object.values(schema).every((type) => typeof type === "string"))
+  );
+}
+
+/**
+ * The entry name for a file loaded with a given schema.
+ * @param {string} source - Absolute path
+ * @param {import("./loader.js").LoadOptions} options
+ * @returns {string}
+ */
+function entryKey(source, options) {
+  return sha256(JSON.stringify([source, options.schema || null, options.baseSchema || null]));
+}
+
+/**
+ * Packs a dataset for v8.serialize: the keys once, then each row as a value array,
+ * plus the row numbers and parse failures quality checks rely on, and the partial
+ * aggregates when workers computed them (see partials.js).
+ * @param {import("./loader.js").Dataset} dataset
+ * @returns {Object}
+ */
+function pack({ listings, columns, aggregates }) {
+  const keys = listings.length ? Object.keys(listings[0]) : [];
+  const failures = [];
+  listings.forEach((item, index) => {
+    const found = parseFailuresOf(item);
+    if (found.length) failures.push([index, found]);
+  });
+  return {
+    columns,
+    keys,
+    rows: listings.map((item) => keys.map((key) => item[key])),
+    rowNumbers: listings.map(rowNumberOf),
+    failures,
+    aggregates: aggregates || null,
+  };
+}
+
+/**
+ * @param {Object} packed
+ * @returns {import("./loader.js").Dataset}
+ */
+function unpack({ columns, keys, rows, rowNumbers, failures, aggregates }) {
+  const failuresByIndex = new Map(failures);
+  const listings = rows.map((values, index) => {
+    const item = {};
+    for (let i = 0; i < keys.length; i++) item[keys[i]] = values[i];
+    trackRow(item, rowNumbers[index], failuresByIndex.get(index));
+    return item;
+  });
+  return aggregates ? { listings, columns, aggregates } : { listings, columns };
+}
+
+/**
+ * Reads an entry's fingerprint, or null when there is none (or it is unreadable).
+ * @async
+ * @param {string} metaPath
+ * @returns {Promise<CacheMeta|null>}
+ */
+async function readMeta(metaPath) {
+  try {
+    const meta = JSON.parse(await readFile(metaPath, "utf-8"));
+    return meta.version === CACHE_VERSION ? meta : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Writes a file via a temporary name, so a crash never leaves half an entry behind.
+ * @async
+ * @param {string} filePath
+ * @param {string|Buffer} contents
+ */
+async function writeAtomic(filePath, contents) {
+  const temporary = `${filePath}.${process.pid}.tmp`;
+  await writeFile(temporary, contents);
+  await rename(temporary, filePath);
+}
+
+/**
+ * loadCSV with a persistent cache. A fresh entry (same size and mtime) is used
+ * directly; when only the mtime changed, the content hash decides. Anything else
+ * parses the CSV and rewrites the entry. Cache failures never fail the load: the
+ * file is simply parsed. The dataset's aggregates are kept with the rows, so an entry
+ * written by a load in workers returns them too.
+ * @async
+ * @param {string} filePath
+ * @param {import("./loader.js").LoadOptions & CacheOptions} [options]
+ * @returns {Promise<import("./loader.js").Dataset>}
+ */
+export async function loadCSVCached(filePath, options = {}) {
+  if (options.cache === false || !isCacheable(options)) return loadCSV(filePath, options);
+
+  const source = resolve(filePath);
+  const { size, mtimeMs } = await stat(source);
+  const dir = options.cacheDir || DEFAULT_CACHE_DIR;
+  const key = entryKey(source, options);
+  const metaPath = join(dir, `${key}.json`);
+  const dataPath = join(dir, `${key}.v8`);
+
+  const meta = await readMeta(metaPath);
+  let contentHash = null;
+  if (meta && meta.size === size) {
+    if (meta.mtimeMs !== mtimeMs) contentHash = await hashFile(source);
+    if (meta.mtimeMs === mtimeMs || contentHash === meta.contentHash) {
+      try {
+        const dataset = unpack(v8.deserialize(await readFile(dataPath)));
+        if (contentHash) {
+          // touched but unchanged: remember the new mtime so the next load skips hashing
+          await writeAtomic(metaPath, JSON.stringify({ ...meta, mtimeMs })).catch(() => {});
+        }
+        if (options.onProgress) {
+          const rows = dataset.listings.length;
+          options.onProgress({ rowsRead: rows, rowsKept: rows, bytesRead: size, totalBytes: size, done: true });
+        }
+        return dataset;
+      } catch {
+        // a damaged entry is rebuilt below
+      }
+    }
+  }
+
+  // hashed before parsing, so an entry never pairs a newer hash with older rows
+  contentHash ??= await hashFile(source);
+  const dataset = await loadCSV(filePath, options);
+  try {
+    await mkdir(dir, { recursive: true });
+    await writeAtomic(dataPath, v8.serialize(pack(dataset)));
+    await writeAtomic(
+      metaPath,
+      JSON.stringify({ version: CACHE_VERSION, source, size, mtimeMs, contentHash })
+    );
+  } catch {
+    // the cache is an optimization; an unwritable directory just means no cache
+  }
+  return dataset;
+}
+
+/**
+ * Deletes every cache entry in a directory.
+ * @async
+ * @param {string} [cacheDir=".airbnb-cache"]
+ * @returns {Promise<number>} - Number of cached datasets removed
+ */
+export async function clearCache(cacheDir = DEFAULT_CACHE_DIR) {
+  let names;
+  try {
+    names = await readdir(cacheDir);
+  } catch (err) {
+    if (err.code === "ENOENT") return 0;
+    throw err;
+  }
+  const ours = names.filter((name) => /^[0-9a-f]{64}\.(v8|json)$|\.tmp$/.test(name));
+  await Promise.all(ours.map((name) => unlink(join(cacheDir, name))));
+  return ours.filter((name) => name.endsWith(".v8")).length;
+}
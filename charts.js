@@ -0,0 +1,326 @@
+/**
+ * @file charts.js
+ * @description Renders distributions from distribution.js: Unicode or plain ASCII bar
+ * charts, sparklines and box plots for the terminal, and standalone SVG / HTML chart
+ * files with inline styles only, so they open offline.
+ */
+
+import { writeFile } from "node:fs/promises";
+
+/**
+ * @typedef {Object} TextChartOptions
+ * @property {boolean} [unicode=true] - false draws with plain ASCII characters
+ * @property {number} [width=40] - Width of the longest bar / the box plot, in characters
+ */
+
+const SPARK_UNICODE = "▁▂▃▄▅▆▇█";
+const SPARK_ASCII = "_.-:=+*#";
+const EIGHTHS = ["", "▏", "▎", "▍", "▌", "▋", "▊", "▉"];
+
+/**
+ * Short label for an axis value: integers as they are, others with two decimals.
+ * @param {number|null} value
+ * @returns {string}
+ */
+export function formatNumber(value) {
+  if (value === null || value === undefined) return "-";
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+/**
+ * A sparkline of counts, one character per value.
+ * @param {number[]} values
+ * @param {{unicode?: boolean}} [options]
+ * @returns {string}
+ */
+export function sparkline(values, { unicode = true } = {}) {
+  const levels = unicode ? SPARK_UNICODE : SPARK_ASCII;
+  const max = Math.max(0, ...values);
+  return values
+    .map((value) =>
+      max === 0 ? levels[0] : levels[Math.round((value / max) * (levels.length - 1))]
+    )
+    .join("");
+}
+
+/**
+ * A horizontal bar of `length` characters (fractional with Unicode eighths).
+ * @param {number} length
+ * @param {boolean} unicode
+ * @returns {string}
+ */
+function bar(length, unicode) {
+  if (!unicode) return "#".repeat(Math.round(length));
+  // round to the nearest eighth first, so 3.95 carries into a fourth full cell
+  const eighths = Math.round(length * 8);
+  return "█".repeat(Math.floor(eighths / 8)) + EIGHTHS[eighths % 8];
+}
+
+/**
+ * A horizontal bar chart of non-negative values: one "label │████ value" line each,
+ * bars scaled to the largest value.
+ * @param {Array<[string, number]>} rows - [label, value] pairs
+ * @param {TextChartOptions} [options]
+ * @returns {string[]}
+ */
+export function labelledBars(rows, { unicode = true, width = 40 } = {}) {
+  const labelWidth = Math.max(0, ...rows.map(([label]) => label.length));
+  const max = Math.max(0, ...rows.map(([, value]) => value));
+  const separator = unicode ? "│" : "|";
+  return rows.map(
+    ([label, value]) =>
+      `${label.padStart(labelWidth)} ${separator}${bar(max ? (value / max) * width : 0, unicode)} ${formatNumber(value)}`
+  );
+}
+
+/**
+ * One line per histogram bin: range, bar and count. Values outside the binned
+ * range get "<" and ">" lines.
+ * @param {import("./distribution.js").Histogram} hist
+ * @param {TextChartOptions} [options]
+ * @returns {string[]}
+ */
+export function barChart(hist, options = {}) {
+  const rows = hist.bins.map(({ from, to, count }) => [
+    `${formatNumber(from)} – ${formatNumber(to)}`,
+    count,
+  ]);
+  if (hist.below) rows.unshift([`< ${formatNumber(hist.bins[0].from)}`, hist.below]);
+  if (hist.above) rows.push([`> ${formatNumber(hist.bins[hist.bins.length - 1].to)}`, hist.above]);
+  return labelledBars(rows, options);
+}
+
+/**
+ * A one-line box plot scaled between the whiskers, e.g. `├───[███│█████]──────┤ ·`
+ * (a dot at either end marks outliers beyond the whisker), followed by a line with
+ * the five numbers.
+ * @param {import("./distribution.js").BoxPlot} box
+ * @param {TextChartOptions} [options]
+ * @returns {string[]}
+ */
+export function boxPlotLines(box, { unicode = true, width = 40 } = {}) {
+  const span = box.upperWhisker - box.lowerWhisker;
+  const at = (value) =>
+    span === 0 ? 0 : Math.round(((value - box.lowerWhisker) / span) * (width - 1));
+  const [whisker, fill, left, right, middle, cap, outlier] = unicode
+    ? ["─", "█", "[", "]", "│", "┤", "·"]
+    : ["-", "=", "[", "]", "|", "|", "."];
+  const cells = new Array(width).fill(" ");
+  for (let i = at(box.lowerWhisker); i <= at(box.upperWhisker); i++) cells[i] = whisker;
+  for (let i = at(box.q1); i <= at(box.q3); i++) cells[i] = fill;
+  cells[at(box.lowerWhisker)] = unicode ? "├" : "|";
+  cells[at(box.upperWhisker)] = cap;
+  cells[at(box.q1)] = left;
+  cells[at(box.q3)] = right;
+  cells[at(box.median)] = middle;
+  const line = `${box.outliersLow ? `${outlier} ` : ""}${cells.join("").trimEnd()}${box.outliersHigh ? ` ${outlier}` : ""}`;
+  const numbers = ["min", "q1", "median", "q3", "max"].map(
+    (key) => `${key} ${formatNumber(box[key])}`
+  );
+  return [line, numbers.join("  ")];
+}
+
+/**
+ * The whole distribution as terminal lines: summary, quantiles, box plot,
+ * sparkline and histogram bars.
+ * @param {import("./distribution.js").Distribution} dist
+ * @param {TextChartOptions} [options]
+ * @returns {string[]}
+ */
+export function renderDistribution(dist, options = {}) {
+  const lines = [
+    `== Distribution of ${dist.column} ==`,
+    `${dist.count} values (${dist.missing} missing), mean ${formatNumber(dist.mean)}`,
+  ];
+  if (dist.count === 0) return lines;
+  lines.push(
+    dist.quantiles
+      .map(({ q, value }) => `p${+(q * 100).toFixed(2)} ${formatNumber(value)}`)
+      .join("  ")
+  );
+  const { outliersLow, outliersHigh } = dist.boxPlot;
+  const outliers =
+    outliersLow + outliersHigh ? ` (${outliersLow} low / ${outliersHigh} high outliers)` : "";
+  lines.push("", `Box plot${outliers}:`, ...boxPlotLines(dist.boxPlot, options));
+  lines.push(
+    "",
+    `Histogram ${sparkline(
+      dist.histogram.bins.map((bin) => bin.count),
+      options
+    )}`
+  );
+  lines.push(...barChart(dist.histogram, options));
+  return lines;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text).replace(
+    /[&<>"]/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[char]
+  );
+}
+
+/**
+ * A standalone SVG: the histogram with its value axis, and the box plot drawn
+ * on the same scale underneath.
+ * @param {import("./distribution.js").Distribution} dist
+ * @param {{width?: number, height?: number}} [options]
+ * @returns {string}
+ */
+export function distributionSVG(dist, { width = 640, height = 360 } = {}) {
+  const margin = { top: 36, right: 20, bottom: 90, left: 50 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  const { bins } = dist.histogram;
+  const low = bins.length ? bins[0].from : 0;
+  const high = bins.length ? bins[bins.length - 1].to : 1;
+  const x = (value) =>
+    margin.left + (high === low ? 0 : ((value - low) / (high - low)) * plotWidth);
+  const maxCount = Math.max(1, ...bins.map((bin) => bin.count));
+  const y = (count) => margin.top + plotHeight - (count / maxCount) * plotHeight;
+  const baseline = margin.top + plotHeight;
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="11">`,
+    `<title>${escapeXml(`Distribution of ${dist.column}`)}</title>`,
+    `<rect width="${width}" height="${height}" fill="#fff"/>`,
+    `<text x="${margin.left}" y="20" font-size="14" font-weight="bold">${escapeXml(
+      `${dist.column}: ${dist.count} values, median ${formatNumber(dist.boxPlot?.median ?? null)}`
+    )}</text>`,
+  ];
+  for (const { from, to, count } of bins) {
+    const left = x(from);
+    const barWidth = Math.max(1, (high === low ? plotWidth : x(to) - left) - 1);
+    parts.push(
+      `<rect x="${left.toFixed(1)}" y="${y(count).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(baseline - y(count)).toFixed(1)}" fill="#4e79a7"><title>${escapeXml(
+        `${formatNumber(from)} – ${formatNumber(to)}: ${count}`
+      )}</title></rect>`
+    );
+  }
+  const { below, above } = dist.histogram;
+  if (below || above) {
+    const outside = [
+      below ? `${below} below ${formatNumber(low)}` : "",
+      above ? `${above} above ${formatNumber(high)}` : "",
+    ];
+    parts.push(
+      `<text x="${width - margin.right}" y="20" text-anchor="end">${escapeXml(
+        `not shown: ${outside.filter(Boolean).join(", ")}`
+      )}</text>`
+    );
+  }
+  parts.push(
+    `<line x1="${margin.left}" y1="${baseline}" x2="${margin.left + plotWidth}" y2="${baseline}" stroke="#333"/>`,
+    `<text x="${margin.left - 6}" y="${margin.top + 4}" text-anchor="end">${maxCount}</text>`,
+    `<text x="${margin.left - 6}" y="${baseline}" text-anchor="end">0</text>`
+  );
+  const ticks = 5;
+  for (let i = 0; i <= ticks; i++) {
+    const value = low + ((high - low) * i) / ticks;
+    parts.push(
+      `<text x="${x(value).toFixed(1)}" y="${baseline + 16}" text-anchor="middle">${escapeXml(formatNumber(value))}</text>`
+    );
+  }
+
+  const box = dist.boxPlot;
+  if (box) {
+    const top = baseline + 32;
+    const middle = top + 14;
+    const clamp = (value) => x(Math.min(Math.max(value, low), high)).toFixed(1);
+    parts.push(
+      `<line x1="${clamp(box.lowerWhisker)}" y1="${middle}" x2="${clamp(box.upperWhisker)}" y2="${middle}" stroke="#333"/>`,
+      `<line x1="${clamp(box.lowerWhisker)}" y1="${top + 4}" x2="${clamp(box.lowerWhisker)}" y2="${top + 24}" stroke="#333"/>`,
+      `<line x1="${clamp(box.upperWhisker)}" y1="${top + 4}" x2="${clamp(box.upperWhisker)}" y2="${top + 24}" stroke="#333"/>`,
+      `<rect x="${clamp(box.q1)}" y="${top}" width="${Math.max(1, x(box.q3) - x(box.q1)).toFixed(1)}" height="28" fill="#f28e2b" stroke="#333"/>`,
+      `<line x1="${clamp(box.median)}" y1="${top}" x2="${clamp(box.median)}" y2="${top + 28}" stroke="#333" stroke-width="2"/>`,
+      `<text x="${margin.left}" y="${top + 44}">${escapeXml(
+        ["min", "q1", "median", "q3", "max"]
+          .map((key) => `${key} ${formatNumber(box[key])}`)
+          .join("   ")
+      )}</text>`
+    );
+  }
+  parts.push("</svg>");
+  return parts.join("\n");
+}
+
+/**
+ * A standalone HTML page with the SVG chart and a table of the summary numbers.
+ * @param {import("./distribution.js").Distribution} dist
+ * @returns {string}
+ */
+export function distributionHTML(dist) {
+  const rows = [
+    ["values", dist.count],
+    ["missing", dist.missing],
+    ["mean", dist.mean],
+    ...dist.quantiles.map(({ q, value }) => [`p${+(q * 100).toFixed(2)}`, value]),
+    ...(dist.boxPlot
+      ? [
+          ["outliers (low / high)", `${dist.boxPlot.outliersLow} / ${dist.boxPlot.outliersHigh}`],
+          [
+            "whiskers",
+            `${formatNumber(dist.boxPlot.lowerWhisker)} – ${formatNumber(dist.boxPlot.upperWhisker)}`,
+          ],
+        ]
+      : []),
+  ];
+  const table = rows
+    .map(
+      ([label, value]) =>
+        `<tr><th>${escapeXml(label)}</th><td>${escapeXml(typeof value === "number" ? formatNumber(value) : (value ?? "-"))}</td></tr>`
+    )
+    .join("\n");
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(`Distribution of ${dist.column}`)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin-top: 1em; }
+th, td { padding: 0.25em 1em; border-bottom: 1px solid #ddd; text-align: left; }
+td { text-align: right; }
+</style>
+</head>
+<body>
+<h1>${escapeXml(`Distribution of ${dist.column}`)}</h1>
+${distributionSVG(dist)}
+<table>
+${table}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * The chart format for a filename: "svg", or "html" for .html / .htm.
+ * @param {string} filename
+ * @returns {"svg"|"html"}
+ */
+export function resolveChartFormat(filename) {
+  const extension = filename.includes(".")
+    ? filename.slice(filename.lastIndexOf(".") + 1).toLowerCase()
+    : "";
+  if (extension === "svg") return "svg";
+  if (extension === "html" || extension === "htm") return "html";
+  throw new Error(`Unknown chart format "${filename}" (expected a .svg or .html file)`);
+}
+
+/**
+ * Writes a distribution chart; the format follows the extension (.svg, or .html / .htm).
+ * @async
+ * @param {string} filename
+ * @param {import("./distribution.js").Distribution} dist
+ * @returns {Promise<void>}
+ */
+export async function writeChart(filename, dist) {
+  const contents =
+    resolveChartFormat(filename) === "svg" ? `${distributionSVG(dist)}\n` : distributionHTML(dist);
+  await writeFile(filename, contents);
+}
@@ -0,0 +1,344 @@
+/**
+ * @file cities.js
+ * @description Loads several listings files as one dataset (a list, a {city: path} map,
+ * a directory or a glob), tags each listing with its `city` and `source_file`, converts prices
+ * to one currency from a local exchange-rate table, and compares cities side by side.
+ */
+
+import { readdir, readFile, stat } from "node:fs/promises";
+import { basename, dirname, join, resolve, sep } from "node:path";
+import { loadCSVCached } from "./cache.js";
+import { withColumns } from "./loader.js";
+
+/**
+ * What AirBnBDataHandler accepts as its file argument: one path, a directory, a glob
+ * (see expandGlob), a list of those, or a { city: path } map.
+ * @typedef {string|string[]|Object<string, string>} ListingSources
+ */
+
+/**
+ * @typedef {Object} CurrencyOptions
+ * @property {string|Object<string, number>} rates - A JSON file or table of rates: one unit of each
+ *   currency is worth `rate` units of the table's base currency, e.g. { "EUR": 1, "GBP": 1.17 }
+ *   or { "base": "EUR", "rates": { "GBP": 1.17 } }
+ * @property {string} to - Currency to convert prices to (must be in the table)
+ * @property {string|Object<string, string>} from - Each city's local currency ({ london: "GBP" }),
+ *   or one currency for all
+ * @property {string[]} [columns=["price"]] - Columns to convert
+ */
+
+/**
+ * @typedef {Object} CityComparison
+ * @property {string} column - The column cities were grouped by
+ * @property {Array<{city: string, stats: Object, topHosts: import("./hosts.js").HostProfile[], distribution: import("./distribution.js").Distribution}>} cities
+ */
+
+const LISTINGS_FILE = /\.csv(\.gz)?$/;
+
+/**
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isGlob(text) {
+  return /[*?[]/.test(text);
+}
+
+/**
+ * Regex for one glob path segment: * and ? stay within the segment, [abc] is a class.
+ * @param {string} segment
+ * @returns {RegExp}
+ */
+function segmentPattern(segment) {
+  const source = segment
+    .replace(/[.+^${}()|\\]/g, "\\$&")
+    .replace(/\*/g, "[^/]*")
+    .replace(/\?/g, "[^/]");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Expands a glob (*, ?, [..] within a segment, ** for any number of directories)
+ * to the matching files and directories, sorted. Hidden entries only match patterns
+ * that start with ".".
+ * @async
+ * @param {string} pattern
+ * @returns {Promise<string[]>}
+ */
+export async function expandGlob(pattern) {
+  const segments = pattern.split(/[\\/]/);
+  const firstGlob = segments.findIndex(isGlob);
+  const root = segments.slice(0, firstGlob).join(sep) || (pattern.startsWith("/") ? sep : ".");
+  const matches = [];
+
+  const walk = async (dir, rest) => {
+    if (rest.length === 0) return;
+    const [segment, ...remaining] = rest;
+    let entries;
+    try {
+      entries = await readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    if (segment === "**") {
+      await walk(dir, remaining);
+      for (const entry of entries) {
+        if (entry.isDirectory() && !entry.name.startsWith("."))
+          await walk(join(dir, entry.name), rest);
+      }
+      return;
+    }
+    const test = segmentPattern(segment);
+    for (const entry of entries) {
+      if (!test.test(entry.name) || (entry.name.startsWith(".") && !segment.startsWith(".")))
+        continue;
+      const path = join(dir, entry.name);
+      if (remaining.length === 0) matches.push(path);
+      else if (entry.isDirectory()) await walk(path, remaining);
+    }
+  };
+
+  await walk(root, segments.slice(firstGlob));
+  return [...new Set(matches)].sort();
+}
+
+/**
+ * The city a file belongs to: the directory name for Inside Airbnb's
+ * "<city>/listings.csv.gz" layout, otherwise the file name without extensions
+ * ("porto.csv.gz" → "porto").
+ * @param {string} file
+ * @returns {string}
+ */
+export function cityOf(file) {
+  const name = basename(file).replace(LISTINGS_FILE, "");
+  if (name === "listings") {
+    const parent = basename(dirname(resolve(file)));
+    if (parent && parent !== sep) return parent;
+  }
+  return name;
+}
+
+/**
+ * Resolves sources to the files to load, each with its city. Directories contribute
+ * every .csv / .csv.gz file in them (or their "listings" files, when they have some),
+ * or else the listings files of their subdirectories.
+ * @async
+ * @param {ListingSources} sources
+ * @returns {Promise<Array<{file: string, city: string}>>}
+ */
+export async function resolveSources(sources) {
+  if (sources && typeof sources === "object" && !Array.isArray(sources)) {
+    return Object.entries(sources).map(([city, file]) => ({ file, city }));
+  }
+  const found = [];
+  for (const source of [sources].flat()) {
+    if (isGlob(source)) {
+      const matches = await expandGlob(source);
+      const files = [];
+      for (const match of matches) {
+        if ((await stat(match)).isDirectory())
+          files.push(...(await resolveSources(match)).map(({ file }) => file));
+        else if (LISTINGS_FILE.test(match)) files.push(match);
+      }
+      if (files.length === 0) throw new Error(`No listings files match ${source}`);
+      found.push(...files);
+    } else if ((await stat(source)).isDirectory()) {
+      const csvFiles = (await readdir(source)).filter((name) => LISTINGS_FILE.test(name)).sort();
+      const listingsFiles = csvFiles.filter((name) => name.startsWith("listings"));
+      const chosen = (listingsFiles.length ? listingsFiles : csvFiles).map((name) =>
+        join(source, name)
+      );
+      // a directory of city directories, as Inside Airbnb downloads are laid out
+      if (chosen.length === 0) {
+        chosen.push(
+          ...(await expandGlob(join(source, "*", "listings*"))).filter((file) =>
+            LISTINGS_FILE.test(file)
+          )
+        );
+      }
+      if (chosen.length === 0) throw new Error(`No .csv or .csv.gz files in ${source}`);
+      found.push(...chosen);
+    } else {
+      found.push(source);
+    }
+  }
+  return found.map((file) => ({ file, city: cityOf(file) }));
+}
+
+/**
+ * Whether sources name more than one plain file (a list, map, directory or glob).
+ * @async
+ * @param {ListingSources} sources
+ * @returns {Promise<boolean>}
+ */
+export async function isMultiSource(sources) {
+  if (typeof sources !== "string") return true;
+  if (isGlob(sources)) return true;
+  return (await stat(sources)).isDirectory();
+}
+
+/**
+ * Reads an exchange-rate table into { base, rates } with the base currency at 1.
+ * @async
+ * @param {string|Object<string, number>} table - A JSON file path, or the table itself
+ * @returns {Promise<{base: string|null, rates: Object<string, number>}>}
+ */
+export async function loadRates(table) {
+  const raw = typeof table === "string" ? JSON.parse(await readFile(table, "utf-8")) : table;
+  const rates = { ...(raw.rates || raw) };
+  delete rates.base;
+  const base = raw.base ?? null;
+  if (base) rates[base] = 1;
+  for (const [code, rate] of Object.entries(rates)) {
+    if (!(typeof rate === "number" && rate > 0))
+      throw new Error(`Invalid exchange rate for ${code}: ${rate}`);
+  }
+  return { base, rates };
+}
+
+/**
+ * @param {CurrencyOptions} options
+ * @param {string} city
+ * @returns {string|undefined}
+ */
+function localCurrencyOf({ from }, city) {
+  return typeof from === "string" ? from : from?.[city];
+}
+
+/**
+ * Builds a converter from each city's local currency to options.to.
+ * @async
+ * @param {CurrencyOptions} options
+ * @param {string[]} cities
+ * @returns {Promise<function(string, number|null): (number|null)>} - (city, amount) => converted amount
+ */
+async function currencyConverter({ rates: table, to, from }, cities) {
+  const { rates } = await loadRates(table);
+  const localCurrency = (city) => localCurrencyOf({ from }, city);
+  if (!rates[to]) throw new Error(`No exchange rate for ${to}, the currency to convert to`);
+  for (const city of cities) {
+    const code = localCurrency(city);
+    if (!code) throw new Error(`No local currency given for ${city}`);
+    if (!rates[code]) throw new Error(`No exchange rate for ${code} (${city})`);
+  }
+  return (city, amount) =>
+    amount === null || amount === undefined
+      ? amount
+      : (amount * rates[localCurrency(city)]) / rates[to];
+}
+
+/**
+ * Loads every source into one dataset. Each listing gets `city` and `source_file` columns
+ * and, with options.currency, its prices converted: the local amounts are kept in
+ * `<column>_local`, the currency codes in `local_currency` and `currency`.
+ * The header is the union of the files' headers plus the added columns; a file that
+ * already has one of the added columns is an error rather than silently overwritten.
+ * @async
+ * @param {ListingSources} sources
+ * @param {import("./loader.js").LoadOptions & import("./cache.js").CacheOptions & {currency?: CurrencyOptions}} [options]
+ * @returns {Promise<import("./loader.js").Dataset>}
+ */
+export async function loadCities(sources, options = {}) {
+  const files = await resolveSources(sources);
+  const cities = [...new Set(files.map(({ city }) => city))];
+  const convert = options.currency ? await currencyConverter(options.currency, cities) : null;
+  const converted = options.currency?.columns || ["price"];
+
+  const extra = ["city", "source_file"];
+  if (convert)
+    extra.push(...converted.map((column) => `${column}_local`), "local_currency", "currency");
+
+  const listings = [];
+  const columns = [];
+  for (const { file, city } of files) {
+    const dataset = await loadCSVCached(file, options);
+    const clash = extra.find((column) => dataset.columns.includes(column));
+    if (clash) {
+      throw new Error(`${file} already has a "${clash}" column, which loading several files adds`);
+    }
+    for (const column of dataset.columns) if (!columns.includes(column)) columns.push(column);
+    for (const item of dataset.listings) {
+      const added = { city, source_file: file };
+      if (convert) {
+        for (const column of converted) {
+          added[`${column}_local`] = item[column] ?? null;
+          added[column] = convert(city, item[column] ?? null);
+        }
+        added.local_currency = localCurrencyOf(options.currency, city);
+        added.currency = options.currency.to;
+      }
+      listings.push(withColumns(item, added));
+    }
+  }
+  return {
+    listings,
+    columns: [...columns, ...extra.filter((column) => !columns.includes(column))],
+  };
+}
+
+/**
+ * Splits a handler's current data by city (or another column) and computes, per city,
+ * computeStats(), the top hosts by listing count and the price distribution.
+ * @param {import("./AirBnBDataHandler.js").ChainableHandler} handler
+ * @param {{column?: string, topHosts?: number, bins?: import("./distribution.js").BinSpec}} [options]
+ * @returns {CityComparison}
+ */
+export function cityComparison(handler, { column = "city", topHosts = 3, bins = "auto" } = {}) {
+  const names = [...new Set(handler.toArray().map((item) => item[column] ?? null))];
+  return {
+    column,
+    cities: names.map((city) => {
+      const part =
+        city === null ? handler.where(column, "isNull") : handler.where(column, "eq", city);
+      return {
+        city: city === null ? "unknown" : String(city),
+        stats: part.computeStats(),
+        topHosts: part.computeHostProfiles().slice(0, topHosts),
+        distribution: part.distribution("price", { bins }),
+      };
+    }),
+  };
+}
+
+/**
+ * Flattens a comparison into one row per figure with a column per city, for printing
+ * and export: listings, average / median / p25 / p75 / p95 price, average price by
+ * bedrooms, hosts, and the top host's listings.
+ * @param {CityComparison} comparison
+ * @returns {Object[]}
+ */
+export function comparisonRows({ cities }) {
+  const quantileOf = (entry, q) =>
+    entry.distribution.quantiles.find((item) => item.q === q)?.value ?? null;
+  const figures = [
+    ["listings", (entry) => entry.stats.totalListings],
+    ["avg price", (entry) => entry.stats.avgPrice],
+    ["median price", (entry) => entry.distribution.boxPlot?.median ?? null],
+    ["p25 price", (entry) => quantileOf(entry, 0.25)],
+    ["p75 price", (entry) => quantileOf(entry, 0.75)],
+    ["p95 price", (entry) => quantileOf(entry, 0.95)],
+    [
+      "price outliers",
+      (entry) =>
+        entry.distribution.boxPlot
+          ? entry.distribution.boxPlot.outliersLow + entry.distribution.boxPlot.outliersHigh
+          : 0,
+    ],
+  ];
+  const bedrooms = [
+    ...new Set(cities.flatMap((entry) => Object.keys(entry.stats.avgPriceByBedrooms))),
+  ];
+  figures.push(
+    ...bedrooms.map((rooms) => [
+      `avg price, ${rooms} bedrooms`,
+      (entry) => entry.stats.avgPriceByBedrooms[rooms] ?? null,
+    ])
+  );
+  figures.push(
+    ["top host", (entry) => entry.topHosts[0]?.host_name ?? null],
+    ["top host listings", (entry) => entry.topHosts[0]?.listingsCount ?? null]
+  );
+  return figures.map(([figure, valueOf]) => ({
+    figure,
+    ...Object.fromEntries(cities.map((entry) => [entry.city, valueOf(entry)])),
+  }));
+}
@@ -1,11 +1,203 @@
 #!/usr/bin/env node
 /**
  * @file cli.js
- * @description Basic Readline CLI for interacting with AirBnBDataHandler
+ * @description Readline CLI for interacting with AirBnBDataHandler, plus a
+ * non-interactive scripting mode driven by flags or a script file.
  */
 
 import readline from "node:readline";
-import { AirBnBDataHandler } from "./AirBnBDataHandler.js";
+import { readFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { AirBnBDataHandler, DEFAULT_CACHE_DIR, clearCache } from "./AirBnBDataHandler.js";
+import { startServer } from "./server.js";
+import { loadPlugins, pluginEntries, pluginEntry, reserveNames } from "./plugins.js";
+import {
+  EXIT_CODES,
+  SCRIPT_COMMANDS,
+  commandFor,
+  parseScript,
+  printDistribution,
+  printSearchResults,
+  printStats,
+  printSteps,
+  runCommands,
+} from "./commands.js";
+
+const USAGE = `Usage: node cli.js path/to/listings.csv[.gz] [more files...] [options]
+
+Without action options, starts the interactive menu.
+
+Several files, a directory or a quoted glob ("cities/*/listings.csv.gz") load as one
+dataset: each listing gets a city column (its directory for .../<city>/listings.csv,
+otherwise its file name) and a source_file column.
+
+Filters:
+  --price min:max        Price range (either side may be left blank, e.g. 50: or :200)
+  --bedrooms min:max     Bedroom range
+  --score min:max        Review score range
+  --where "col op val"   Any column, e.g. --where "room_type eq Private room" (repeatable)
+  --search "text"        Full-text search of name, description, neighbourhood overview and
+                         amenities, best match first; quote phrases: --search 'hot tub "near the beach"'
+  --amenities a,b        Listings with all of these amenities, e.g. --amenities "hot tub,pets allowed"
+  --radius lat,lon,km    Listings within km of a point
+  --bbox a,b,c,d         Listings inside minLat,minLon,maxLat,maxLon
+  --within file.geojson  Listings inside the GeoJSON polygons
+  --area name            With --within, only the feature whose "neighbourhood" is name
+  --nearest lat,lon,k    The k listings nearest to a point
+  --available date[,max] Listings available on a date (needs --calendar), optionally at most max per night
+
+Data quality:
+  --drop-invalid         Drop rows with parse errors, duplicate ids, no id/host_id, price <= 0
+                         or implausible bedrooms, before any other filter
+  --drop-rules a,b       Rules to drop on instead (add outlier_iqr / outlier_zscore for outliers)
+  --quarantine file      Drop invalid rows and export them, with a quality_issues column, to file
+
+Companion files (joined by listing_id):
+  --calendar file        calendar.csv[.gz]
+  --reviews file         reviews.csv[.gz]
+  --occupancy from:to    Add occupancy_rate and avg_price_by_month for a date window (needs --calendar)
+  --velocity [months]    Add review_velocity and last_review_date (needs --reviews, default 12 months)
+
+Actions:
+  --quality              Print the data-quality report (null rates, parse failures, duplicates, outliers)
+  --quality-report file  Also export it (.json whole; .csv/.ndjson/.md as an issue table)
+  --stats                Print statistics
+  --dist [column]        Print the distribution of a numeric column (default price): quantiles,
+                         box plot, sparkline and histogram
+  --bins spec            Histogram bins for --dist: a count, "auto" (default) or edges, e.g. 0,50,100,200
+  --chart file           Also write the --dist chart as a standalone .svg or .html file
+  --ranking [n]          Print the top n host profiles (default 10)
+  --sort-hosts metric    Sort --ranking by a profile metric, e.g. estimatedRevenue or
+                         avgReviewScore:asc (default listingsCount)
+  --commercial n[,m]     Flag hosts with n+ listings or m+ entire homes as commercial (default 3,2)
+  --bestvalue [n]        Print the top n best-value listings (default 10)
+  --rank spec            Print the top 10 listings by a scorer (value, ratio, bayesian,
+                         pricePerBedroom, pricePerGuest) or weights, e.g.
+                         review_scores_cleanliness=2,review_scores_location=1,price=-1
+  --diff newer.csv       Compare the whole file with a newer scrape: added/removed listings,
+                         price changes, host gains and losses, stats changes
+  --diff-export file     Also write the diff (.json keeps its shape; .csv/.ndjson/.md as one table)
+  --compare-cities [n]   Compare the loaded cities side by side: price quantiles and outliers,
+                         average price by bedrooms, top n hosts (default 3)
+  --export file          Export the filtered listings (.json, .csv, .ndjson, .md, optionally .gz)
+  --fields a,b,c         Columns for --export
+  --script file          Run commands from a file, one per line (e.g. "price 50:200", "stats")
+
+Cache (parsed listings are kept in .airbnb-cache/ and reused until the file changes):
+  --no-cache             Parse the CSV even if a cached copy exists, and do not write one
+  --clear-cache          Delete all cached datasets (the file argument is then optional)
+
+Parallel loading:
+  --workers n|auto       Parse large files in n worker threads ("auto": one per CPU core). The
+                         listings, stats and rankings are identical to a single-threaded load.
+                         Faster, but the whole (unzipped) file is held in memory instead of streamed
+
+Currency (for several cities; prices are converted on load, the originals kept in price_local):
+  --rates file.json      Exchange rates: { "base": "EUR", "rates": { "GBP": 1.17, "USD": 0.92 } }
+  --currency code        Currency to convert prices to, e.g. EUR
+  --city-currency spec   Each city's local currency, e.g. lisbon=EUR,london=GBP, or one code for all
+
+Plugins:
+  --plugins path         Load plugins from a directory of .js/.mjs files, a .json config
+                         ({ "plugins": [...] }) or one file (repeatable). Registered filters,
+                         metrics and commands become menu entries and script commands
+
+Output:
+  --json                 Print results as JSON on stdout instead of text
+  --ascii                Draw charts with plain ASCII instead of Unicode blocks
+  --serve [port]         Serve the (filtered) listings as a JSON HTTP API (default port 3000)
+  --host address         Address for --serve (default 127.0.0.1)
+
+Exit codes: 0 ok, 1 usage error, 2 load error, 3 no listings matched, 4 command failed.`;
+
+/**
+ * Flags accepted by parseArgs. Filters run first, then the script, then the actions.
+ */
+const FLAG_OPTIONS = {
+  price: { type: "string" },
+  bedrooms: { type: "string" },
+  score: { type: "string" },
+  where: { type: "string", multiple: true },
+  search: { type: "string" },
+  amenities: { type: "string" },
+  radius: { type: "string" },
+  bbox: { type: "string" },
+  within: { type: "string" },
+  area: { type: "string" },
+  nearest: { type: "string" },
+  available: { type: "string" },
+  calendar: { type: "string" },
+  reviews: { type: "string" },
+  occupancy: { type: "string" },
+  velocity: { type: "string" },
+  "drop-invalid": { type: "boolean" },
+  "drop-rules": { type: "string" },
+  quarantine: { type: "string" },
+  quality: { type: "boolean" },
+  "quality-report": { type: "string" },
+  stats: { type: "boolean" },
+  dist: { type: "string" },
+  bins: { type: "string" },
+  chart: { type: "string" },
+  ranking: { type: "string" },
+  "sort-hosts": { type: "string" },
+  commercial: { type: "string" },
+  bestvalue: { type: "string" },
+  rank: { type: "string" },
+  diff: { type: "string" },
+  "diff-export": { type: "string" },
+  "compare-cities": { type: "string" },
+  export: { type: "string" },
+  fields: { type: "string" },
+  script: { type: "string" },
+  json: { type: "boolean" },
+  ascii: { type: "boolean" },
+  serve: { type: "string" },
+  host: { type: "string" },
+  plugins: { type: "string", multiple: true },
+  rates: { type: "string" },
+  currency: { type: "string" },
+  "city-currency": { type: "string" },
+  workers: { type: "string" },
+  "no-cache": { type: "boolean" },
+  "clear-cache": { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+/**
+ * Interactive menu entries and their help text, in prompt order.
+ */
+const MENU = [
+  ["filter", "Filter by price, bedrooms, review score and location"],
+  ["search", "Full-text search and required amenities"],
+  ["quality", "Data-quality report, then optionally drop bad rows"],
+  ["stats", "Statistics and the price distribution"],
+  ["chart", "Distribution of a column, optionally written to .svg/.html"],
+  ["ranking", "Top 10 host profiles"],
+  ["bestvalue", "Top 10 listings by a scorer"],
+  ["diff", "Compare with a newer scrape"],
+  ["cities", "Compare the loaded cities side by side"],
+  ["export", "Export the current listings"],
+  ["undo", "Undo the last step"],
+  ["save", "Save the current state under a name"],
+  ["restore", "Restore a saved state"],
+  ["steps", "Show the steps applied so far"],
+  ["reset", "Back to the full dataset"],
+  ["help", "Describe every command, including plugins"],
+  ["quit", "Exit"],
+];
+reserveNames(MENU.map(([name]) => name));
+
+/**
+ * Help lines for registered plugins: name, arguments, kind and description.
+ * @returns {string[]}
+ */
+function pluginHelp() {
+  return pluginEntries().map(({ name, kind, params, description }) => {
+    const usage = [name, ...params.map((param) => (param.optional ? `[${param.name}]` : param.name))].join(" ");
+    return `  ${usage.padEnd(22)} ${`(${kind})`.padEnd(10)} ${description}`.trimEnd();
+  });
+}
 
 /**
  * Helper to ask a question using readline and return a Promise for the answer.
@@ -21,51 +213,240 @@ function askQuestion(rl, query) {
   });
 }
 
-// Acquire CSV path from command line
-const csvFilePath = process.argv[2];
+/**
+ * Parses the command line. `--ranking`, `--bestvalue`, `--velocity`, `--dist`, `--compare-cities` and
+ * `--serve` may be given without a value, so a bare `--ranking` is rewritten to `--ranking=10` (and so on)
+ * before parsing.
+ * @param {string[]} argv
+ * @returns {{values: Object, positionals: string[]}}
+ */
+function parseCommandLine(argv) {
+  const defaults = {
+    "--ranking": "10",
+    "--bestvalue": "10",
+    "--velocity": "12",
+    "--dist": "price",
+    "--compare-cities": "3",
+    "--serve": "3000",
+  };
+  const normalized = argv.map((arg, index) =>
+    defaults[arg] && (index === argv.length - 1 || argv[index + 1].startsWith("--"))
+      ? `${arg}=${defaults[arg]}`
+      : arg
+  );
+  return parseArgs({ args: normalized, options: FLAG_OPTIONS, allowPositionals: true });
+}
+
+/**
+ * Currency conversion options from --rates, --currency and --city-currency, or undefined.
+ * @param {Object} flags
+ * @returns {import("./cities.js").CurrencyOptions|undefined}
+ */
+function currencyFromFlags(flags) {
+  const given = ["rates", "currency", "city-currency"].filter((name) => flags[name]);
+  if (given.length === 0) return undefined;
+  if (given.length < 3) throw new Error("--rates, --currency and --city-currency must be given together");
+  const spec = flags["city-currency"];
+  let from = spec.trim();
+  if (spec.includes("=")) {
+    from = {};
+    for (const pair of spec.split(",")) {
+      const [city, code] = pair.split("=").map((part) => part.trim());
+      if (!city || !code) throw new Error(`Invalid --city-currency entry "${pair}" (expected city=CODE)`);
+      from[city] = code;
+    }
+  }
+  return { rates: flags.rates, to: flags.currency.trim(), from };
+}
+
+/**
+ * The --workers value: a whole number, "auto", or undefined when not given.
+ * @param {string} [value]
+ * @returns {number|"auto"|undefined}
+ */
+function parseWorkers(value) {
+  if (value === undefined || value === "auto") return value;
+  if (!/^\d+$/.test(value)) throw new Error(`Invalid --workers value "${value}" (expected a whole number or "auto")`);
+  return Number(value);
+}
+
+/**
+ * Turns the parsed flags into the ordered command list for runCommands.
+ * @param {Object} flags
+ * @returns {Array<{name: string, args: string[]}>}
+ */
+function commandsFromFlags(flags) {
+  const commands = [];
+  // bad rows go before anything else looks at the data
+  if (flags["drop-invalid"] || flags.quarantine) {
+    commands.push({ name: "dropinvalid", args: [flags.quarantine || "-", flags["drop-rules"]].filter(Boolean) });
+  }
+  // columns added from the companion files come first, so --where can filter on them
+  if (flags.occupancy) commands.push({ name: "occupancy", args: [flags.occupancy] });
+  if (flags.velocity) commands.push({ name: "velocity", args: [flags.velocity] });
+  if (flags.price) commands.push({ name: "price", args: [flags.price] });
+  if (flags.bedrooms) commands.push({ name: "bedrooms", args: [flags.bedrooms] });
+  if (flags.score) commands.push({ name: "score", args: [flags.score] });
+  for (const clause of flags.where || []) {
+    commands.push({ name: "where", args: clause.trim().split(/\s+/) });
+  }
+  if (flags.search) commands.push({ name: "search", args: [flags.search] });
+  if (flags.amenities) commands.push({ name: "amenities", args: [flags.amenities] });
+  if (flags.radius) commands.push({ name: "radius", args: [flags.radius] });
+  if (flags.bbox) commands.push({ name: "bbox", args: [flags.bbox] });
+  if (flags.within) commands.push({ name: "within", args: [flags.within, flags.area].filter(Boolean) });
+  if (flags.nearest) commands.push({ name: "nearest", args: [flags.nearest] });
+  if (flags.available) commands.push({ name: "available", args: flags.available.split(",") });
+  return commands;
+}
+
+/**
+ * The output actions requested by flags, run after the filters and the script.
+ * @param {Object} flags
+ * @returns {Array<{name: string, args: string[]}>}
+ */
+function actionsFromFlags(flags) {
+  const actions = [];
+  if (flags.quality || flags["quality-report"]) {
+    actions.push({ name: "quality", args: [flags["quality-report"]].filter(Boolean) });
+  }
+  if (flags.stats) actions.push({ name: "stats", args: [] });
+  if (flags.dist) {
+    actions.push({ name: "dist", args: [flags.dist, flags.bins || "-", flags.chart].filter(Boolean) });
+  }
+  if (flags.ranking) {
+    const args = [flags.ranking, flags["sort-hosts"] || "-", flags.commercial || "-"];
+    actions.push({ name: "ranking", args });
+  }
+  if (flags.bestvalue) actions.push({ name: "bestvalue", args: [flags.bestvalue] });
+  if (flags.rank) actions.push({ name: "rank", args: [flags.rank] });
+  if (flags.diff) actions.push({ name: "diff", args: [flags.diff, flags["diff-export"]].filter(Boolean) });
+  if (flags["compare-cities"]) actions.push({ name: "cities", args: [flags["compare-cities"]] });
+  if (flags.export) actions.push({ name: "export", args: [flags.export, flags.fields].filter(Boolean) });
+  return actions;
+}
+
+// Acquire CSV path(s), currency options and flags from command line
+let flags;
+let csvFilePath;
+let currency;
+let workers;
+try {
+  const { values, positionals } = parseCommandLine(process.argv.slice(2));
+  flags = values;
+  csvFilePath = positionals.length > 1 ? positionals : positionals[0];
+  currency = currencyFromFlags(flags);
+  workers = parseWorkers(flags.workers);
+} catch (err) {
+  console.error(err.message);
+  console.error(USAGE);
+  process.exit(EXIT_CODES.USAGE);
+}
+for (const path of flags.plugins || []) {
+  try {
+    await loadPlugins(path);
+  } catch (err) {
+    console.error(`Error loading plugins: ${err.message}`);
+    process.exit(EXIT_CODES.LOAD_ERROR);
+  }
+}
+if (flags.help) {
+  console.log(USAGE);
+  if (pluginEntries().length) {
+    console.log(`\nPlugin commands (menu entries, and script lines such as "name arg ..."):\n${pluginHelp().join("\n")}`);
+  }
+  process.exit(EXIT_CODES.OK);
+}
+if (flags["clear-cache"]) {
+  const removed = await clearCache();
+  console.error(`Cleared ${removed} cached dataset(s) from ${DEFAULT_CACHE_DIR}`);
+  if (!csvFilePath) process.exit(EXIT_CODES.OK);
+}
 if (!csvFilePath) {
-  console.error("Usage: node cli.js path/to/Listings.csv");
-  process.exit(1);
+  console.error(USAGE);
+  process.exit(EXIT_CODES.USAGE);
 }
 
-// Create readline interface
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-});
+// Options for every listings file this run loads
+const loadOptions = { cache: !flags["no-cache"], workers };
+
+// How charts are drawn in the terminal
+const chartOptions = { unicode: !flags.ascii };
 
-// We'll keep a reference to our handler
+const filterCommands = commandsFromFlags(flags);
+const actionCommands = actionsFromFlags(flags);
+const scripted = Boolean(flags.script || flags.json || actionCommands.length);
+
+// Readline interface, created only for the interactive menu
+let rl;
+
+// We'll keep a reference to the current (immutable) handler; each step replaces it
 let handler;
 
 async function mainMenu() {
-  const command = await askQuestion(rl, "\n~> Enter command (filter, stats, ranking, bestvalue, export, reset, quit): ");
+  // plugin entries go just before "help" and "quit"
+  const names = MENU.map(([name]) => name);
+  names.splice(-2, 0, ...pluginEntries().map((entry) => entry.name));
+  const command = await askQuestion(rl, `\n~> Enter command (${names.join(", ")}): `);
 
   switch (command.toLowerCase()) {
     case "filter":
       await handleFilter();
       break;
+    case "search":
+      await handleSearch();
+      break;
+    case "quality":
+      await handleQuality();
+      break;
     case "stats":
       handleStats();
       break;
+    case "chart":
+      await handleChart();
+      break;
     case "ranking":
-      handleRanking();
+      await handleRanking();
       break;
     case "bestvalue":
-      handleBestValue();
+      await handleBestValue();
+      break;
+    case "diff":
+      await handleDiff();
+      break;
+    case "cities":
+      await handleCities();
       break;
     case "export":
       await handleExport();
       break;
+    case "undo":
+      handler = handler.undo();
+      console.log("Last step undone.");
+      break;
+    case "save":
+      await handleSave();
+      break;
+    case "restore":
+      await handleRestore();
+      break;
+    case "steps":
+      printSteps(handler.describe());
+      break;
     case "reset":
-      handler.reset();
+      handler = handler.reset();
       console.log("Data reset to original unfiltered state.");
       break;
+    case "help":
+      handleHelp();
+      break;
     case "quit":
       console.log("Goodbye!");
       rl.close();
       return;
     default:
-      console.log("Unknown command. Try again.");
+      if (pluginEntry(command)) await handlePlugin(pluginEntry(command));
+      else console.log("Unknown command. Try again.");
       break;
   }
 
@@ -83,7 +464,7 @@ async function handleFilter() {
   if (minPrice || maxPrice) {
     const _min = minPrice ? parseFloat(minPrice) : 0;
     const _max = maxPrice ? parseFloat(maxPrice) : Infinity;
-    handler.filterByPrice(_min, _max);
+    handler = handler.filterByPrice(_min, _max);
     console.log(`Filtered by price between ${_min} and ${_max}.`);
   }
 
@@ -92,7 +473,7 @@ async function handleFilter() {
   if (minRooms || maxRooms) {
     const _min = minRooms ? parseFloat(minRooms) : 0;
     const _max = maxRooms ? parseFloat(maxRooms) : Infinity;
-    handler.filterByBedrooms(_min, _max);
+    handler = handler.filterByBedrooms(_min, _max);
     console.log(`Filtered by bedrooms between ${_min} and ${_max}.`);
   }
 
@@ -101,75 +482,358 @@ async function handleFilter() {
   if (minScore || maxScore) {
     const _min = minScore ? parseFloat(minScore) : 0;
     const _max = maxScore ? parseFloat(maxScore) : Infinity;
-    handler.filterByReviewScore(_min, _max);
+    handler = handler.filterByReviewScore(_min, _max);
     console.log(`Filtered by review score between ${_min} and ${_max}.`);
   }
+
+  await handleGeoFilter();
+}
+
+/**
+ * Prompts for the optional location filters (radius, box, GeoJSON area, nearest)
+ * and applies them through the same commands the scripting mode uses.
+ */
+async function handleGeoFilter() {
+  const prompts = [
+    ["radius", "Within km of a point, as lat,lon,km (blank=none): "],
+    ["bbox", "Inside box minLat,minLon,maxLat,maxLon (blank=none): "],
+    ["within", "Inside GeoJSON file, optionally followed by a neighbourhood name (blank=none): "],
+    ["nearest", "Nearest k listings to lat,lon,k (blank=none): "],
+  ];
+  for (const [name, prompt] of prompts) {
+    const answer = await askQuestion(rl, prompt);
+    if (!answer) continue;
+    const run = { handler, results: {}, json: false };
+    try {
+      await SCRIPT_COMMANDS[name](run, name === "within" ? answer.split(/\s+/) : [answer]);
+      handler = run.handler;
+      console.log(`Filtered: ${handler.describe().at(-1)} (${handler.toArray().length} listings).`);
+    } catch (err) {
+      console.log(err.message);
+    }
+  }
+}
+
+/**
+ * Prompts for a text search and required amenities, applies them and shows the best matches.
+ */
+async function handleSearch() {
+  const query = await askQuestion(rl, 'Search for (words or "quoted phrases", blank=none): ');
+  const amenities = await askQuestion(rl, "Required amenities, comma-separated (blank=none): ");
+  const run = { handler, results: {}, json: false };
+  try {
+    if (query) await SCRIPT_COMMANDS.search(run, [query]);
+    if (amenities) await SCRIPT_COMMANDS.amenities(run, [amenities]);
+  } catch (err) {
+    console.log(err.message);
+    return;
+  }
+  handler = run.handler;
+  if (query) printSearchResults(handler.toArray());
+  else if (amenities) console.log(`Filtered: ${handler.describe().at(-1)} (${handler.toArray().length} listings).`);
+}
+
+/**
+ * Lists the menu commands with their help text, then any plugin commands.
+ */
+function handleHelp() {
+  console.log("== Commands ==");
+  MENU.forEach(([name, help]) => console.log(`  ${name.padEnd(10)} ${help}`));
+  if (pluginEntries().length) {
+    console.log("== Plugins ==");
+    pluginHelp().forEach((line) => console.log(line));
+  }
+}
+
+/**
+ * Prompts for a plugin's parameters and runs it like a script command.
+ * @param {import("./plugins.js").PluginEntry} entry
+ */
+async function handlePlugin(entry) {
+  const answers = [];
+  for (const param of entry.params) {
+    answers.push(await askQuestion(rl, `${param.prompt || param.name}${param.optional ? " (blank=none)" : ""}: `));
+  }
+  const run = { handler, results: {}, json: false, ascii: flags.ascii };
+  try {
+    await commandFor(entry.name)(run, answers);
+  } catch (err) {
+    console.log(err.message);
+    return;
+  }
+  if (entry.kind === "filter") {
+    console.log(`Filtered: ${run.handler.describe().at(-1)} (${run.handler.toArray().length} listings).`);
+  }
+  handler = run.handler;
+}
+
+/**
+ * Saves the current filter state under a name.
+ */
+async function handleSave() {
+  const name = await askQuestion(rl, "Snapshot name: ");
+  if (!name) {
+    console.log("No name provided.");
+    return;
+  }
+  handler = handler.save(name);
+  console.log(`Saved current state as "${name}".`);
 }
 
 /**
- * Logs out computed stats from the current dataset.
+ * Restores a filter state saved earlier.
+ */
+async function handleRestore() {
+  const name = await askQuestion(rl, "Snapshot name: ");
+  try {
+    handler = handler.restore(name);
+    console.log(`Restored "${name}".`);
+  } catch (err) {
+    console.log(err.message);
+  }
+}
+
+/**
+ * Shows the data-quality report, then offers to drop the bad rows (and quarantine them to a file).
+ */
+async function handleQuality() {
+  const run = { handler, results: {}, json: false };
+  await SCRIPT_COMMANDS.quality(run, []);
+  if (run.results.quality.summary.rowsWithIssues === 0) return;
+  const answer = await askQuestion(rl, "Drop invalid rows? Enter a quarantine filename, 'y' to just drop, or blank to keep: ");
+  if (!answer) return;
+  try {
+    await SCRIPT_COMMANDS.dropinvalid(run, [answer.toLowerCase() === "y" ? "-" : answer]);
+    handler = run.handler;
+    console.log(`Dropped ${run.results.dropped} rows (${handler.toArray().length} listings left).`);
+  } catch (err) {
+    console.log(`Drop failed: ${err.message}`);
+  }
+}
+
+/**
+ * Logs out computed stats from the current dataset, followed by the price distribution
+ * (means alone hide how skewed prices are).
  */
 function handleStats() {
-  const stats = handler.computeStats();
-  console.log("== Statistics ==");
-  console.log(stats);
+  printStats(handler.computeStats(), chartOptions);
+  console.log("");
+  printDistribution(handler.distribution("price"), chartOptions);
 }
 
 /**
- * Logs out the top 10 hosts by listing count.
+ * Charts the distribution of a column the user picks, optionally writing it to an SVG or HTML file.
  */
-function handleRanking() {
-  const ranking = handler.computeHostRanking();
-  console.log("== Host Ranking (Top 10) ==");
-  ranking.slice(0, 10).forEach((host, index) => {
-    console.log(`${index + 1}. ${host.host_name} (ID: ${host.host_id}), listings: ${host.listingsCount}`);
-  });
+async function handleChart() {
+  const column = await askQuestion(rl, "Numeric column (blank=price): ");
+  const bins = await askQuestion(rl, "Bins: a count, or edges such as 0,50,100,200 (blank=auto): ");
+  const chartFile = await askQuestion(rl, "Write the chart to (e.g. price.svg, price.html; blank=none): ");
+  const run = { handler, results: {}, json: false, ascii: flags.ascii };
+  try {
+    await SCRIPT_COMMANDS.dist(run, [column || "price", bins || "-", chartFile].filter(Boolean));
+  } catch (err) {
+    console.log(err.message);
+  }
+}
+
+/**
+ * Logs out the top 10 host profiles, sorted by a metric the user picks.
+ */
+async function handleRanking() {
+  const sort = await askQuestion(
+    rl,
+    "Sort hosts by (e.g. estimatedRevenue, avgReviewScore:asc, medianPrice; blank=listingsCount): "
+  );
+  const run = { handler, results: {}, json: false };
+  try {
+    await SCRIPT_COMMANDS.ranking(run, ["10", sort || "-"]);
+  } catch (err) {
+    console.log(err.message);
+  }
 }
 
 /**
  * CREATIVE ADDITION:
- * Finds and logs the single best listing with the highest rating-to-price ratio.
+ * Logs the top 10 listings by a chosen scorer; the default "value" scorer weighs
+ * the Bayesian-averaged rating against the price.
+ */
+async function handleBestValue() {
+  const spec = await askQuestion(
+    rl,
+    "Score by value, ratio, bayesian, pricePerBedroom, pricePerGuest or col=weight,... (blank=value): "
+  );
+  const run = { handler, results: {}, json: false };
+  try {
+    if (spec) await SCRIPT_COMMANDS.rank(run, [spec]);
+    else await SCRIPT_COMMANDS.bestvalue(run, []);
+  } catch (err) {
+    console.log(err.message);
+  }
+}
+
+/**
+ * Compares the loaded file (the old snapshot) with a newer scrape of the same city.
+ */
+async function handleDiff() {
+  const newFile = await askQuestion(rl, "Newer listings file to compare with: ");
+  if (!newFile) {
+    console.log("No filename provided.");
+    return;
+  }
+  const exportFile = await askQuestion(rl, "Export the diff to (e.g. diff.json, diff.csv; blank=none): ");
+  const run = { handler, results: {}, json: false, loadOptions };
+  try {
+    await SCRIPT_COMMANDS.diff(run, [newFile, exportFile].filter(Boolean));
+  } catch (err) {
+    console.log(`Diff failed: ${err.message}`);
+  }
+}
+
+/**
+ * Compares the cities in the current listings side by side.
  */
-function handleBestValue() {
-  const bestListing = handler.computeBestValue();
-  if (!bestListing) {
-    console.log("No valid best-value listing found (maybe all have price=0?).");
-  } else {
-    const ratio = bestListing.review_scores_rating / bestListing.price;
-    console.log("== Best Value Listing ==");
-    console.log(`ID: ${bestListing.id}`);
-    console.log(`Name: ${bestListing.name}`);
-    console.log(`Price: $${bestListing.price}`);
-    console.log(`Review Score: ${bestListing.review_scores_rating}`);
-    console.log(`Ratio (score/price): ${ratio.toFixed(2)}`);
+async function handleCities() {
+  const topHosts = await askQuestion(rl, "Top hosts per city (blank=3): ");
+  const run = { handler, results: {}, json: false };
+  try {
+    await SCRIPT_COMMANDS.cities(run, [topHosts || "3"]);
+  } catch (err) {
+    console.log(err.message);
   }
 }
 
 /**
- * Exports the current dataset to a JSON file.
+ * Exports the current dataset. The format follows the extension: .json, .csv, .ndjson or .md (optionally .gz).
  */
 async function handleExport() {
-  const fileName = await askQuestion(rl, "Output filename (e.g. results.json): ");
+  const fileName = await askQuestion(rl, "Output filename (e.g. results.json, results.csv.gz): ");
   if (!fileName) {
     console.log("No filename provided.");
     return;
   }
-  await handler.exportResults(fileName);
-  console.log(`Data exported to ${fileName}`);
+  const fields = await askQuestion(rl, "Columns to export, comma-separated (blank=all): ");
+  const options = fields ? { fields: fields.split(",").map((field) => field.trim()) } : {};
+  try {
+    await handler.exportResults(fileName, null, options);
+    console.log(`Data exported to ${fileName}`);
+  } catch (err) {
+    console.log(`Export failed: ${err.message}`);
+  }
 }
 
 /**
- * Initialization: loads the CSV, then starts the main menu.
+ * Prints streaming load progress on a single, continuously updated line.
+ * @param {import("./loader.js").LoadProgress} progress
+ */
+function reportProgress({ rowsRead, bytesRead, totalBytes, done }) {
+  const percent = totalBytes ? ((bytesRead / totalBytes) * 100).toFixed(1) : "0.0";
+  process.stderr.write(`\rLoading... ${rowsRead} rows, ${percent}% of file read`);
+  if (done) process.stderr.write("\n");
+}
+
+/**
+ * Scripting mode: runs the flag filters, the script file and the flag actions,
+ * prints JSON if asked, and exits with a meaningful code.
+ * @async
+ * @returns {Promise<number>} - Exit code
+ */
+async function runScripted() {
+  let commands = filterCommands;
+  try {
+    if (flags.script) {
+      commands = [...commands, ...parseScript(await readFile(flags.script, "utf-8"))];
+    }
+    commands = [...commands, ...actionCommands];
+  } catch (err) {
+    console.error(`Error reading script: ${err.message}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  let run;
+  try {
+    run = await runCommands(handler, commands, { json: flags.json, loadOptions, ascii: flags.ascii });
+  } catch (err) {
+    console.error(err.message);
+    return err.code === "EUSAGE" ? EXIT_CODES.USAGE : EXIT_CODES.COMMAND_ERROR;
+  }
+
+  const matches = run.handler.toArray().length;
+  if (flags.json) {
+    const output = { file: csvFilePath, steps: run.handler.describe(), matches, ...run.results };
+    console.log(JSON.stringify(output, null, 2));
+  } else if (matches === 0) {
+    console.error("No listings matched the filters.");
+  }
+  return matches === 0 ? EXIT_CODES.NO_MATCHES : EXIT_CODES.OK;
+}
+
+/**
+ * Server mode: serves the loaded (and flag-filtered) listings over HTTP until interrupted.
+ * @async
+ */
+async function serve() {
+  const port = Number(flags.serve);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error(`Invalid port "${flags.serve}"`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+  let server;
+  try {
+    server = await startServer(handler, { port, host: flags.host });
+  } catch (err) {
+    console.error(`Could not start server: ${err.message}`);
+    process.exit(EXIT_CODES.COMMAND_ERROR);
+  }
+  const { address, port: boundPort } = server.address();
+  console.log(`Serving ${handler.toArray().length} listings from ${[csvFilePath].flat().join(", ")} on http://${address}:${boundPort}`);
+  const stop = () => server.close(() => process.exit(EXIT_CODES.OK));
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+}
+
+/**
+ * Initialization: streams the CSV in, then runs the script or starts the main menu.
  */
 async function init() {
   try {
-    handler = await AirBnBDataHandler(csvFilePath);
-    console.log(`Loaded data from ${csvFilePath}`);
-    mainMenu();
+    handler = await AirBnBDataHandler(csvFilePath, {
+      ...loadOptions,
+      // workers read the whole file anyway; without them, stream to keep memory flat
+      stream: !workers,
+      calendar: flags.calendar,
+      reviews: flags.reviews,
+      currency,
+      // progress only makes sense on a terminal, not in pipelines or logs
+      onProgress: process.stderr.isTTY ? reportProgress : undefined,
+    });
   } catch (err) {
     console.error(`Error loading CSV: ${err}`);
-    process.exit(1);
+    process.exit(EXIT_CODES.LOAD_ERROR);
+  }
+
+  if (scripted) {
+    process.exitCode = await runScripted();
+    return;
   }
+
+  if (filterCommands.length) {
+    try {
+      handler = (await runCommands(handler, filterCommands)).handler;
+    } catch (err) {
+      console.error(err.message);
+      process.exit(EXIT_CODES.USAGE);
+    }
+  }
+  if (flags.serve) {
+    await serve();
+    return;
+  }
+  console.log(`Loaded data from ${[csvFilePath].flat().join(", ")}`);
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  mainMenu();
 }
 
 init();
\ No newline at end of file
@@ -0,0 +1,783 @@
+/**
+ * @file commands.js
+ * @description Non-interactive CLI commands shared by cli.js flags and script files,
+ * plus the printers the interactive menu uses for the same output.
+ */
+
+import { AirBnBDataHandler, DIFF_COLUMNS, comparisonRows, diffRows } from "./AirBnBDataHandler.js";
+import { resolveFormat } from "./exporters.js";
+import { formatNumber, labelledBars, renderDistribution, resolveChartFormat } from "./charts.js";
+import { loadGeoJSON, selectFeatures } from "./geo.js";
+import { pluginEntry, reserveNames } from "./plugins.js";
+
+/**
+ * Exit codes for scripted runs.
+ */
+export const EXIT_CODES = {
+  OK: 0,
+  USAGE: 1,
+  LOAD_ERROR: 2,
+  NO_MATCHES: 3,
+  COMMAND_ERROR: 4,
+};
+
+/**
+ * Creates the error used for bad flags, unknown script commands and malformed arguments.
+ * It is recognized by its code, "EUSAGE".
+ * @param {string} message
+ * @returns {Error}
+ */
+export function usageError(message) {
+  const err = new Error(message);
+  err.code = "EUSAGE";
+  return err;
+}
+
+/**
+ * Parses "min:max", "min:" or ":max" into an inclusive [min, max] pair.
+ * @param {string} text
+ * @param {string} label - Used in the error message
+ * @returns {[number, number]}
+ */
+export function parseRange(text, label) {
+  const match = /^\s*(-?\d*\.?\d*)\s*:\s*(-?\d*\.?\d*)\s*$/.exec(text || "");
+  if (!match || (match[1] === "" && match[2] === "")) {
+    throw usageError(`Invalid ${label} range "${text}" (expected min:max, min: or :max)`);
+  }
+  const min = match[1] === "" ? 0 : Number(match[1]);
+  const max = match[2] === "" ? Infinity : Number(match[2]);
+  if (Number.isNaN(min) || Number.isNaN(max) || min > max) {
+    throw usageError(`Invalid ${label} range "${text}"`);
+  }
+  return [min, max];
+}
+
+/**
+ * Parses a comma-separated list of exactly `count` numbers, e.g. "38.71,-9.14,2".
+ * @param {string} text
+ * @param {number} count
+ * @param {string} label - Used in the error message, e.g. "lat,lon,km"
+ * @returns {number[]}
+ */
+export function parseNumbers(text, count, label) {
+  const numbers = String(text || "")
+    .split(",")
+    .map((part) => (part.trim() === "" ? NaN : Number(part)));
+  if (numbers.length !== count || numbers.some(Number.isNaN)) {
+    throw usageError(`Invalid value "${text}" (expected ${label})`);
+  }
+  return numbers;
+}
+
+/**
+ * The type of a column's values in the given rows, from its first non-null cell:
+ * "string", "number", "boolean", "date" or "list" (null when every cell is empty).
+ * @param {ReadonlyArray<Object>} rows
+ * @param {string} column
+ * @returns {string|null}
+ */
+function columnType(rows, column) {
+  const cell = rows.find((item) => item[column] !== null && item[column] !== undefined)?.[column];
+  if (cell === undefined) return null;
+  if (cell instanceof Date) return "date";
+  if (Array.isArray(cell)) return "list";
+  return typeof cell;
+}
+
+/**
+ * Operators whose value is a comma-separated list (see query.js).
+ */
+const LIST_OPERATORS = new Set(["in", "between", "range"]);
+
+/**
+ * Turns a command-line value into a query value for a column of the given type. For
+ * text, date and list columns it stays text, so ids like "1005" still match; otherwise
+ * numbers, true/false and null are converted and anything else stays text.
+ * @param {string} text
+ * @param {string|null} [type] - See columnType()
+ * @returns {any}
+ */
+function parseValue(text, type = null) {
+  if (type === "string" || type === "date" || type === "list") return text;
+  if (text === "true" || text === "false") return text === "true";
+  if (text === "null") return null;
+  if (text !== "" && !Number.isNaN(Number(text))) return Number(text);
+  return text;
+}
+
+/**
+ * The where value from the words after the operator: a list for in/between
+ * ("Alfama,Baixa", "50,200"), otherwise the words as one value, commas included
+ * ("Santa Maria Maior, Lisbon").
+ * @param {string} op
+ * @param {string[]} words
+ * @param {string|null} type - See columnType()
+ * @returns {any}
+ */
+function whereValue(op, words, type) {
+  if (words.length === 0) return undefined;
+  const text = words.join(" ");
+  if (!LIST_OPERATORS.has(op)) return parseValue(text, type);
+  return text.split(",").map((part) => parseValue(part.trim(), type));
+}
+
+/**
+ * Logs the steps applied since the full dataset.
+ * @param {string[]} steps
+ */
+export function printSteps(steps) {
+  console.log("== Applied Steps ==");
+  if (steps.length === 0) {
+    console.log("(none - full dataset)");
+  }
+  steps.forEach((step, index) => console.log(`${index + 1}. ${step}`));
+}
+
+/**
+ * Logs computed stats, with the average price by bedrooms as a bar chart.
+ * @param {Object} stats
+ * @param {import("./charts.js").TextChartOptions} [options]
+ */
+export function printStats(stats, options = {}) {
+  console.log("== Statistics ==");
+  console.log(`Total listings: ${stats.totalListings}`);
+  console.log(`Average price:  ${formatNumber(stats.avgPrice)}`);
+  const byBedrooms = Object.entries(stats.avgPriceByBedrooms);
+  if (byBedrooms.length === 0) return;
+  console.log("Average price by bedrooms:");
+  labelledBars(byBedrooms, options).forEach((line) => console.log(`  ${line}`));
+}
+
+/**
+ * Logs a distribution as quantiles, a box plot, a sparkline and histogram bars.
+ * @param {import("./distribution.js").Distribution} dist
+ * @param {import("./charts.js").TextChartOptions} [options]
+ */
+export function printDistribution(dist, options = {}) {
+  renderDistribution(dist, options).forEach((line) => console.log(line));
+}
+
+/**
+ * Columns shown for host profiles.
+ */
+const HOST_COLUMNS = [
+  ["rank", "#"],
+  ["host_id", "Host ID"],
+  ["host_name", "Name"],
+  ["listingsCount", "Listings"],
+  ["medianPrice", "Median"],
+  ["neighbourhoods", "Areas"],
+  ["roomTypes", "Types"],
+  ["avgReviewScore", "Rating"],
+  ["isSuperhost", "Super"],
+  ["responseRate", "Resp%"],
+  ["estimatedRevenue", "Est. revenue"],
+  ["isCommercial", "Commercial"],
+];
+
+/**
+ * Logs the top hosts from computeHostProfiles() as a table.
+ * @param {Object[]} ranking
+ * @param {number} limit
+ * @param {string} [metric="listingsCount"] - What the ranking is sorted by, for the title
+ */
+export function printRanking(ranking, limit, metric = "listingsCount") {
+  console.log(`== Host Ranking (Top ${limit} by ${metric}) ==`);
+  printTable(
+    ranking.slice(0, limit).map((host, index) => ({ rank: index + 1, ...host })),
+    HOST_COLUMNS
+  );
+}
+
+/**
+ * Logs rows as a fixed-width text table. Decimals are shortened and long text truncated.
+ * @param {Object[]} rows
+ * @param {Array<[string, string]>} columns - [key, heading] pairs
+ */
+export function printTable(rows, columns) {
+  const cell = (value) => {
+    if (value === null || value === undefined) return "-";
+    if (typeof value === "number" && !Number.isInteger(value)) return value.toFixed(Math.abs(value) < 1 ? 4 : 2);
+    const text = String(value);
+    return text.length > 32 ? `${text.slice(0, 31)}…` : text;
+  };
+  const cells = rows.map((row) => columns.map(([key]) => cell(row[key])));
+  const widths = columns.map(([, heading], index) =>
+    Math.max(heading.length, ...cells.map((row) => row[index].length))
+  );
+  const line = (values) => values.map((value, index) => value.padEnd(widths[index])).join("  ").trimEnd();
+  console.log(line(columns.map(([, heading]) => heading)));
+  console.log(line(widths.map((width) => "-".repeat(width))));
+  cells.forEach((row) => console.log(line(row)));
+}
+
+/**
+ * Logs a cross-city comparison as one row per figure and one column per city.
+ * @param {import("./cities.js").CityComparison} comparison
+ */
+export function printCityComparison(comparison) {
+  if (comparison.cities.length === 0) {
+    console.log("No listings to compare.");
+    return;
+  }
+  console.log(`\nComparison by ${comparison.column}:`);
+  printTable(comparisonRows(comparison), [
+    ["figure", "Figure"],
+    ...comparison.cities.map(({ city }) => [city, city]),
+  ]);
+}
+
+/**
+ * Columns shown for ranked listings (bestvalue, rank).
+ */
+const RANK_COLUMNS = [
+  ["rank", "#"],
+  ["id", "ID"],
+  ["name", "Name"],
+  ["price", "Price"],
+  ["bedrooms", "Beds"],
+  ["review_scores_rating", "Rating"],
+  ["number_of_reviews", "Reviews"],
+  ["score", "Score"],
+];
+
+/**
+ * Logs ranked listings from rankBy() as a table.
+ * @param {Object[]} ranked
+ * @param {string} [title="Best Value Listings"]
+ */
+export function printBestValue(ranked, title = "Best Value Listings") {
+  if (ranked.length === 0) {
+    console.log("No listing could be scored (missing prices or ratings?).");
+    return;
+  }
+  console.log(`== ${title} (Top ${ranked.length}) ==`);
+  printTable(ranked, RANK_COLUMNS);
+}
+
+/**
+ * Columns shown for search results.
+ */
+const SEARCH_COLUMNS = [
+  ["id", "ID"],
+  ["name", "Name"],
+  ["neighbourhood_cleansed", "Neighbourhood"],
+  ["price", "Price"],
+  ["review_scores_rating", "Rating"],
+  ["search_score", "Score"],
+];
+
+/**
+ * Logs the best search matches (listings with a search_score) as a table.
+ * @param {ReadonlyArray<Object>} matches
+ * @param {number} [limit=10]
+ */
+export function printSearchResults(matches, limit = 10) {
+  if (matches.length === 0) {
+    console.log("No listing matched the search.");
+    return;
+  }
+  console.log(`== Search Results (${Math.min(limit, matches.length)} of ${matches.length}) ==`);
+  printTable(matches.slice(0, limit), SEARCH_COLUMNS);
+}
+
+/**
+ * Logs a snapshot diff: counts, the largest price moves, host gains and losses,
+ * and the change in the main statistics.
+ * @param {import("./snapshots.js").SnapshotDiff} diff
+ * @param {number} [limit=10] - Rows shown per section
+ */
+export function printDiff(diff, limit = 10) {
+  const pct = (value) => (value === null ? "-" : `${value > 0 ? "+" : ""}${value.toFixed(1)}%`);
+  console.log("== Snapshot Diff ==");
+  console.log(`Listings: ${diff.old.listings} -> ${diff.new.listings}`);
+  console.log(`Added: ${diff.added.length}, removed: ${diff.removed.length}, price changes: ${diff.priceChanges.length}`);
+  const { totalListings, avgPrice } = diff.statsChanges;
+  console.log(`Average price: ${avgPrice.old?.toFixed(2) ?? "-"} -> ${avgPrice.new?.toFixed(2) ?? "-"} (${pct(avgPrice.change_pct)})`);
+  console.log(`Total listings change: ${pct(totalListings.change_pct)}`);
+  if (diff.priceChanges.length) {
+    console.log(`\n-- Largest price changes (Top ${Math.min(limit, diff.priceChanges.length)}) --`);
+    printTable(
+      diff.priceChanges.slice(0, limit).map((item) => ({ ...item, change_pct: pct(item.change_pct) })),
+      [
+        ["id", "ID"],
+        ["name", "Name"],
+        ["old_price", "Old"],
+        ["new_price", "New"],
+        ["change_pct", "Change"],
+      ]
+    );
+  }
+  const gainers = diff.hostChanges.filter((host) => host.change > 0).slice(0, limit);
+  const losers = diff.hostChanges.filter((host) => host.change < 0).reverse().slice(0, limit);
+  for (const [title, hosts] of [["Hosts gaining listings", gainers], ["Hosts losing listings", losers]]) {
+    if (hosts.length === 0) continue;
+    console.log(`\n-- ${title} --`);
+    printTable(hosts, [
+      ["host_id", "Host ID"],
+      ["host_name", "Name"],
+      ["old_listings", "Old"],
+      ["new_listings", "New"],
+      ["change", "Change"],
+    ]);
+  }
+}
+
+/**
+ * Logs a data-quality report: issue counts per rule, the emptiest columns,
+ * duplicate ids, parse failures with their rows, and outlier fences.
+ * @param {import("./quality.js").QualityReport} report
+ * @param {number} [limit=10] - Rows shown per section
+ */
+export function printQuality(report, limit = 10) {
+  console.log("== Data Quality ==");
+  console.log(`Rows: ${report.rows}, rows with issues: ${report.summary.rowsWithIssues}`);
+  const rules = Object.entries(report.summary.byRule);
+  if (rules.length) {
+    console.log("\n-- Issues by rule --");
+    printTable(
+      rules.map(([rule, count]) => ({ rule, count })),
+      [
+        ["rule", "Rule"],
+        ["count", "Count"],
+      ]
+    );
+  }
+  const nulls = Object.entries(report.nullRates)
+    .filter(([, { nulls: count }]) => count > 0)
+    .sort((a, b) => b[1].rate - a[1].rate)
+    .slice(0, limit);
+  if (nulls.length) {
+    console.log(`\n-- Null rates (Top ${nulls.length}) --`);
+    printTable(
+      nulls.map(([column, { nulls: count, rate }]) => ({ column, count, rate: `${(rate * 100).toFixed(1)}%` })),
+      [
+        ["column", "Column"],
+        ["count", "Nulls"],
+        ["rate", "Rate"],
+      ]
+    );
+  }
+  if (report.duplicates.length) {
+    console.log(`\n-- Duplicate ids (${report.duplicates.length}) --`);
+    report.duplicates.slice(0, limit).forEach(({ id, rows }) => console.log(`id ${id}: rows ${rows.join(", ")}`));
+  }
+  if (report.parseFailures.length) {
+    console.log(`\n-- Parse failures (${report.parseFailures.length}) --`);
+    printTable(report.parseFailures.slice(0, limit), [
+      ["row", "Row"],
+      ["id", "ID"],
+      ["column", "Column"],
+      ["value", "Value"],
+    ]);
+  }
+  for (const [column, spread] of Object.entries(report.outliers)) {
+    if (spread.values === 0) continue;
+    console.log(`\n-- ${column} outliers --`);
+    console.log(
+      `IQR fences ${spread.lowerFence.toFixed(2)} .. ${spread.upperFence.toFixed(2)}: ${spread.iqrOutliers} outliers`
+    );
+    console.log(
+      `Mean ${spread.mean.toFixed(2)}, stddev ${spread.stddev.toFixed(2)}: ${spread.zscoreOutliers} z-score outliers`
+    );
+  }
+}
+
+/**
+ * Columns of the issue table written when a quality report is exported to a tabular format.
+ */
+const ISSUE_COLUMNS = ["row", "id", "rule", "column", "value"];
+
+/**
+ * Parses a rank spec: a built-in scorer name, or comma-separated column=weight
+ * pairs, e.g. "review_scores_cleanliness=2,review_scores_location=1,price=-1".
+ * @param {string} spec
+ * @returns {string|Object<string, number>}
+ */
+export function parseScorer(spec) {
+  if (!spec) throw usageError("rank expects a scorer name or column=weight pairs");
+  if (!spec.includes("=")) return spec;
+  return Object.fromEntries(
+    spec.split(",").map((pair) => {
+      const [column, weight] = pair.split("=").map((part) => part.trim());
+      if (!column || weight === undefined || weight === "" || Number.isNaN(Number(weight))) {
+        throw usageError(`Invalid weight "${pair}" (expected column=number)`);
+      }
+      return [column, Number(weight)];
+    })
+  );
+}
+
+/**
+ * Parses a histogram bin spec: a bin count, "auto" (or "-") or comma-separated edges.
+ * @param {string} [spec]
+ * @returns {import("./distribution.js").BinSpec}
+ */
+export function parseBins(spec) {
+  if (!spec || spec === "-" || spec === "auto") return "auto";
+  if (spec.includes(",")) return parseNumbers(spec, spec.split(",").length, "histogram edges");
+  const bins = Number(spec);
+  if (!(Number.isInteger(bins) && bins > 0)) {
+    throw usageError(`Invalid bins "${spec}" (expected a count, "auto" or edges such as 0,50,100,200)`);
+  }
+  return bins;
+}
+
+/**
+ * @param {string} count
+ * @param {string} label
+ * @returns {number}
+ */
+function parseLimit(count, label) {
+  const limit = Number.parseInt(count, 10);
+  if (!(limit > 0)) throw usageError(`Invalid ${label} size "${count}"`);
+  return limit;
+}
+
+/**
+ * Parses the host ranking options: "metric[:asc|:desc]" and "listings[,entireHomes]"
+ * commercial thresholds (either may be omitted or "-"). A threshold left out keeps
+ * its DEFAULT_COMMERCIAL_THRESHOLDS value.
+ * @param {string} [sort]
+ * @param {string} [commercial]
+ * @returns {{sortBy: string, order: string, commercial: Object}}
+ */
+export function parseHostOptions(sort, commercial) {
+  const [sortBy = "listingsCount", order = "desc"] = sort && sort !== "-" ? sort.split(":") : [];
+  if (order !== "asc" && order !== "desc") {
+    throw usageError(`Invalid sort order "${order}" (expected asc or desc)`);
+  }
+  if (!commercial || commercial === "-") return { sortBy, order, commercial: {} };
+  if (!commercial.includes(",")) {
+    const [minListings] = parseNumbers(commercial, 1, "listings[,entireHomes]");
+    return { sortBy, order, commercial: { minListings } };
+  }
+  const [minListings, minEntireHomes] = parseNumbers(commercial, 2, "listings,entireHomes");
+  return { sortBy, order, commercial: { minListings, minEntireHomes } };
+}
+
+/**
+ * State of one scripted run: the current handler, the results collected for --json,
+ * and whether human-readable output is suppressed (--json mode).
+ * @typedef {Object} ScriptRun
+ * @property {import("./AirBnBDataHandler.js").ChainableHandler} handler
+ * @property {Object} results
+ * @property {boolean} json
+ * @property {Object} [loadOptions] - Extra options for files a command loads (e.g. { cache: false })
+ * @property {boolean} [ascii] - Draw charts with plain ASCII instead of Unicode blocks
+ */
+
+/**
+ * Scripted commands by name: (run, args) => void | Promise<void>.
+ * The same names are used by flags (--price 50:200) and script lines (price 50:200).
+ * @type {Object<string, function(ScriptRun, string[]): (void|Promise<void>)>}
+ */
+export const SCRIPT_COMMANDS = {
+  price(run, [range]) {
+    run.handler = run.handler.filterByPrice(...parseRange(range, "price"));
+  },
+  bedrooms(run, [range]) {
+    run.handler = run.handler.filterByBedrooms(...parseRange(range, "bedrooms"));
+  },
+  score(run, [range]) {
+    run.handler = run.handler.filterByReviewScore(...parseRange(range, "review score"));
+  },
+  where(run, [column, op, ...rest]) {
+    if (!column || !op) {
+      throw usageError('where expects "column op [value]", e.g. where room_type eq Private room');
+    }
+    const value = whereValue(op, rest, columnType(run.handler.toArray(), column));
+    try {
+      run.handler = run.handler.where(column, op, value);
+    } catch (err) {
+      throw usageError(err.message);
+    }
+  },
+  radius(run, [spec]) {
+    run.handler = run.handler.filterByRadius(...parseNumbers(spec, 3, "lat,lon,km"));
+  },
+  bbox(run, [spec]) {
+    run.handler = run.handler.filterByBoundingBox(
+      ...parseNumbers(spec, 4, "minLat,minLon,maxLat,maxLon")
+    );
+  },
+  async within(run, [file, ...name]) {
+    if (!file) throw usageError("within expects a GeoJSON file and an optional neighbourhood name");
+    const geojson = await loadGeoJSON(file);
+    run.handler = run.handler.filterByPolygon(
+      name.length ? selectFeatures(geojson, name.join(" ")) : geojson
+    );
+  },
+  nearest(run, [spec]) {
+    const [lat, lon, k] = parseNumbers(spec, 3, "lat,lon,k");
+    if (!(Number.isInteger(k) && k > 0)) {
+      throw usageError(`Invalid count "${k}" in "${spec}" (expected a positive whole number)`);
+    }
+    run.handler = run.handler.nearest(lat, lon, k);
+  },
+  search(run, words) {
+    const query = words.join(" ");
+    if (!query.trim()) throw usageError('search expects words or "quoted phrases", e.g. search hot tub "near the beach"');
+    run.handler = run.handler.search(query);
+  },
+  amenities(run, words) {
+    const amenities = words.join(" ").split(",").map((amenity) => amenity.trim()).filter(Boolean);
+    if (amenities.length === 0) throw usageError("amenities expects a comma-separated list, e.g. amenities hot tub,wifi");
+    run.handler = run.handler.hasAmenities(amenities);
+  },
+  available(run, [date, maxPrice]) {
+    if (!date) throw usageError("available expects a date (YYYY-MM-DD) and an optional max nightly price");
+    const options = maxPrice === undefined ? {} : { maxPrice: parseNumbers(maxPrice, 1, "a price")[0] };
+    run.handler = run.handler.availableOn(date, options);
+  },
+  occupancy(run, [window = ""]) {
+    const [from, to] = window.split(":");
+    run.handler = run.handler.withOccupancy(from || undefined, to || undefined);
+  },
+  velocity(run, [months = "12"]) {
+    const [count] = parseNumbers(months, 1, "a number of months");
+    if (!(count > 0)) throw usageError(`Invalid number of months "${months}" (expected more than 0)`);
+    run.handler = run.handler.withReviewVelocity({ months: count });
+  },
+  stats(run) {
+    const stats = run.handler.computeStats();
+    run.results.stats = stats;
+    if (!run.json) printStats(stats, { unicode: !run.ascii });
+  },
+  async dist(run, [column = "price", bins, chartFile]) {
+    let dist;
+    try {
+      if (chartFile) resolveChartFormat(chartFile);
+      dist = run.handler.distribution(column, { bins: parseBins(bins) });
+    } catch (err) {
+      throw usageError(err.message);
+    }
+    run.results.distributions = { ...run.results.distributions, [column]: dist };
+    if (!run.json) printDistribution(dist, { unicode: !run.ascii });
+    if (chartFile) {
+      await run.handler.exportChart(chartFile, column, { bins: parseBins(bins) });
+      if (!run.json) console.log(`Chart written to ${chartFile}`);
+    }
+  },
+  cities(run, [topHosts = "3", column = "city"]) {
+    const limit = parseLimit(topHosts, "cities");
+    if (!run.handler.toArray().some((item) => column in item)) {
+      throw usageError(`No "${column}" column to compare by (load several files, a directory or a glob)`);
+    }
+    const comparison = run.handler.compareCities({ column, topHosts: limit });
+    run.results.cities = comparison;
+    if (!run.json) printCityComparison(comparison);
+  },
+  ranking(run, [count = "10", sort, commercial]) {
+    const limit = parseLimit(count, "ranking");
+    const options = parseHostOptions(sort, commercial);
+    let ranking;
+    try {
+      ranking = run.handler.computeHostProfiles(options);
+    } catch (err) {
+      throw usageError(err.message);
+    }
+    run.results.ranking = ranking.slice(0, limit);
+    if (!run.json) printRanking(ranking, limit, options.sortBy);
+  },
+  bestvalue(run, [count = "10"]) {
+    const ranked = run.handler.rankBy("value", { limit: parseLimit(count, "bestvalue") });
+    run.results.bestValue = ranked;
+    if (!run.json) printBestValue(ranked);
+  },
+  rank(run, [spec, count = "10"]) {
+    const scoreBy = parseScorer(spec);
+    let ranked;
+    try {
+      ranked = run.handler.rankBy(scoreBy, { limit: parseLimit(count, "rank") });
+    } catch (err) {
+      throw usageError(err.message);
+    }
+    run.results.rank = ranked;
+    if (!run.json) printBestValue(ranked, `Ranked by ${spec}`);
+  },
+  async diff(run, [newFile, exportFile]) {
+    if (!newFile) throw usageError("diff expects the newer listings file and an optional export filename");
+    // Whole files are compared: the loaded file is the old snapshot, filters are not applied
+    const newer = await AirBnBDataHandler(newFile, { stream: true, ...run.loadOptions });
+    const diff = run.handler.reset().compareWith(newer);
+    run.results.diff = diff;
+    if (!run.json) printDiff(diff);
+    if (exportFile) {
+      if (resolveFormat(exportFile).format === "json") {
+        await run.handler.exportResults(exportFile, diff);
+      } else {
+        await run.handler.exportResults(exportFile, diffRows(diff), { fields: DIFF_COLUMNS });
+      }
+      if (!run.json) console.log(`Diff exported to ${exportFile}`);
+    }
+  },
+  async quality(run, [reportFile]) {
+    const report = run.handler.validate();
+    run.results.quality = report;
+    if (!run.json) printQuality(report);
+    if (reportFile) {
+      if (resolveFormat(reportFile).format === "json") {
+        await run.handler.exportResults(reportFile, report);
+      } else {
+        await run.handler.exportResults(reportFile, report.issues, { fields: ISSUE_COLUMNS });
+      }
+      if (!run.json) console.log(`Quality report exported to ${reportFile}`);
+    }
+  },
+  async dropinvalid(run, [quarantineFile, rules]) {
+    const options = rules ? { rules: rules.split(",").map((rule) => rule.trim()) } : {};
+    let rejected;
+    try {
+      rejected = run.handler.invalidRows(options);
+    } catch (err) {
+      throw usageError(err.message);
+    }
+    if (quarantineFile && quarantineFile !== "-") {
+      await run.handler.exportResults(quarantineFile, rejected);
+      if (!run.json) console.log(`${rejected.length} rows quarantined to ${quarantineFile}`);
+    }
+    run.handler = run.handler.dropInvalid(options);
+    run.results.dropped = rejected.length;
+  },
+  async export(run, [fileName, fields]) {
+    if (!fileName) throw usageError("export expects a filename");
+    const options = fields ? { fields: fields.split(",").map((field) => field.trim()) } : {};
+    await run.handler.exportResults(fileName, null, options);
+    run.results.exported = fileName;
+    if (!run.json) console.log(`Data exported to ${fileName}`);
+  },
+  undo(run) {
+    run.handler = run.handler.undo();
+  },
+  save(run, [name]) {
+    if (!name) throw usageError("save expects a snapshot name");
+    run.handler = run.handler.save(name);
+  },
+  restore(run, [name]) {
+    run.handler = run.handler.restore(name);
+  },
+  steps(run) {
+    if (!run.json) printSteps(run.handler.describe());
+  },
+  reset(run) {
+    run.handler = run.handler.reset();
+  },
+};
+
+reserveNames(Object.keys(SCRIPT_COMMANDS));
+
+/**
+ * Converts command words to a plugin's typed parameters. The last parameter, when it
+ * is a string, takes all remaining words ("note Near the river" → ["Near the river"]).
+ * Blank values are left undefined for optional parameters.
+ * @param {import("./plugins.js").PluginEntry} entry
+ * @param {string[]} words
+ * @returns {any[]}
+ */
+export function parsePluginArgs(entry, words) {
+  const { params } = entry;
+  return params.map((param, index) => {
+    const isRest = index === params.length - 1 && param.type === "string";
+    const text = (isRest ? words.slice(index).join(" ") : words[index] ?? "").trim();
+    if (text === "") {
+      if (param.optional) return undefined;
+      throw usageError(`${entry.name} expects ${params.map((p) => (p.optional ? `[${p.name}]` : p.name)).join(" ")}`);
+    }
+    switch (param.type) {
+      case "number":
+        return parseNumbers(text, 1, `a number for ${param.name}`)[0];
+      case "boolean":
+        if (!/^(true|false|yes|no|y|n)$/i.test(text)) throw usageError(`Invalid ${param.name} "${text}" (expected yes or no)`);
+        return /^(true|yes|y)$/i.test(text);
+      case "list":
+        return text.split(",").map((item) => item.trim()).filter(Boolean);
+      default:
+        return text;
+    }
+  });
+}
+
+/**
+ * Logs a plugin metric: arrays of rows as a table, anything else as it is.
+ * @param {string} name
+ * @param {any} value
+ */
+export function printPluginResult(name, value) {
+  console.log(`== ${name} ==`);
+  const isRows = Array.isArray(value) && value.length > 0 && value.every((row) => row && typeof row === "object");
+  if (isRows) printTable(value, Object.keys(value[0]).map((key) => [key, key]));
+  else console.log(value);
+}
+
+/**
+ * The script command for a registered plugin: filters replace the handler, metrics
+ * store (and print) their result under their name, commands run with the parsed args.
+ * @param {import("./plugins.js").PluginEntry} entry
+ * @returns {function(ScriptRun, string[]): Promise<void>}
+ */
+function pluginCommand(entry) {
+  return async (run, words) => {
+    const args = parsePluginArgs(entry, words);
+    if (entry.kind === "filter") {
+      run.handler = run.handler[entry.name](...args);
+    } else if (entry.kind === "metric") {
+      const value = await run.handler[entry.name](...args);
+      run.results[entry.name] = value;
+      if (!run.json) printPluginResult(entry.name, value);
+    } else {
+      await entry.fn(run, args);
+    }
+  };
+}
+
+/**
+ * Looks up a script command: a built-in, or a registered plugin (case-insensitive).
+ * @param {string} name
+ * @returns {(function(ScriptRun, string[]): (void|Promise<void>))|null}
+ */
+export function commandFor(name) {
+  if (Object.hasOwn(SCRIPT_COMMANDS, name)) return SCRIPT_COMMANDS[name];
+  const entry = pluginEntry(name);
+  return entry ? pluginCommand(entry) : null;
+}
+
+/**
+ * Parses a script file: one command per line, arguments separated by spaces,
+ * blank lines and lines starting with # ignored.
+ * @param {string} text
+ * @returns {Array<{name: string, args: string[], line: number}>}
+ */
+export function parseScript(text) {
+  return text
+    .split(/\r?\n/)
+    .map((raw, index) => ({ words: raw.trim().split(/\s+/), line: index + 1 }))
+    .filter(({ words }) => words[0] !== "" && !words[0].startsWith("#"))
+    .map(({ words: [name, ...args], line }) => ({ name: name.toLowerCase(), args, line }));
+}
+
+/**
+ * Runs commands in order against a handler; registered plugins are commands too.
+ * Unknown commands and bad arguments throw a usageError; failures inside a command
+ * (e.g. an export that cannot be written) are rethrown with the script line attached.
+ * @async
+ * @param {import("./AirBnBDataHandler.js").ChainableHandler} handler
+ * @param {Array<{name: string, args: string[], line?: number}>} commands
+ * @param {{json?: boolean, loadOptions?: Object, ascii?: boolean}} [options]
+ * @returns {Promise<ScriptRun>}
+ */
+export async function runCommands(handler, commands, { json = false, loadOptions = {}, ascii = false } = {}) {
+  const run = { handler, results: {}, json, loadOptions, ascii };
+  for (const { name, args, line } of commands) {
+    const location = line ? ` (line ${line})` : "";
+    const command = commandFor(name);
+    if (!command) throw usageError(`Unknown command "${name}"${location}`);
+    try {
+      await command(run, args);
+    } catch (err) {
+      err.message = `${name}${location}: ${err.message}`;
+      throw err;
+    }
+  }
+  return run;
+}
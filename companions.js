@@ -0,0 +1,352 @@
+/**
+ * @file companions.js
+ * @description Loads Inside Airbnb's companion files, calendar.csv(.gz) and reviews.csv(.gz),
+ * into compact per-listing indexes keyed by listing_id, and computes occupancy,
+ * monthly prices and review velocity from them.
+ */
+
+import { loadCSV } from "./loader.js";
+
+/**
+ * Column types for calendar.csv.
+ * @type {Object<string, string>}
+ */
+export const CALENDAR_SCHEMA = {
+  listing_id: "string",
+  date: "date",
+  available: "boolean",
+  price: "currency",
+  adjusted_price: "currency",
+  minimum_nights: "integer",
+  maximum_nights: "integer",
+};
+
+/**
+ * Column types for reviews.csv.
+ * @type {Object<string, string>}
+ */
+export const REVIEWS_SCHEMA = {
+  listing_id: "string",
+  id: "string",
+  date: "date",
+  reviewer_id: "string",
+  reviewer_name: "string",
+  comments: "string",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Availability codes stored per calendar day.
+ */
+const AVAILABLE = 1;
+const UNAVAILABLE = 0;
+const UNKNOWN = 2;
+
+/**
+ * One listing's calendar as parallel typed arrays, sorted by day.
+ * Days are whole days since 1970-01-01 (UTC); missing prices are NaN.
+ * @typedef {Object} CalendarEntry
+ * @property {Int32Array} days
+ * @property {Uint8Array} available - 1 available, 0 booked or blocked, 2 unknown
+ * @property {Float64Array} prices
+ */
+
+/**
+ * @typedef {Map<string, CalendarEntry>} CalendarIndex
+ */
+
+/**
+ * Sorted review days per listing_id.
+ * @typedef {Map<string, Int32Array>} ReviewIndex
+ */
+
+/**
+ * Converts a Date or "YYYY-MM-DD" string to a day number.
+ * @param {Date|string} date
+ * @returns {number}
+ */
+export function toDay(date) {
+  const time = date instanceof Date ? date.getTime() : Date.parse(`${date}T00:00:00Z`);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid date "${date}" (expected YYYY-MM-DD)`);
+  }
+  return Math.floor(time / DAY_MS);
+}
+
+/**
+ * @param {number} day
+ * @returns {string} - "YYYY-MM-DD"
+ */
+function dayToISO(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * First index whose day is >= target (days must be sorted).
+ * @param {Int32Array} days
+ * @param {number} target
+ * @returns {number}
+ */
+function lowerBound(days, target) {
+  let low = 0;
+  let high = days.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (days[mid] < target) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * Index range [start, end) of the days inside an inclusive window.
+ * @param {Int32Array} days
+ * @param {number} [fromDay]
+ * @param {number} [toDayInclusive]
+ * @returns {[number, number]}
+ */
+function windowRange(days, fromDay = -Infinity, toDayInclusive = Infinity) {
+  return [lowerBound(days, fromDay), lowerBound(days, toDayInclusive + 1)];
+}
+
+/**
+ * One listing's calendar while it streams in: typed arrays with spare capacity,
+ * filled up to `length`, so no object or array is built per row.
+ * @typedef {Object} CalendarBuffer
+ * @property {Int32Array} days
+ * @property {Uint8Array} available
+ * @property {Float64Array} prices
+ * @property {number} length
+ * @property {boolean} sorted - Whether days were appended in order (calendars usually are)
+ */
+
+const INITIAL_CAPACITY = 64;
+
+/**
+ * @returns {CalendarBuffer}
+ */
+function createCalendarBuffer() {
+  return {
+    days: new Int32Array(INITIAL_CAPACITY),
+    available: new Uint8Array(INITIAL_CAPACITY),
+    prices: new Float64Array(INITIAL_CAPACITY),
+    length: 0,
+    sorted: true,
+  };
+}
+
+/**
+ * A copy of a typed array with more room.
+ * @template {Int32Array|Uint8Array|Float64Array} T
+ * @param {T} array
+ * @param {number} capacity
+ * @returns {T}
+ */
+function grow(array, capacity) {
+  const grown = new array.constructor(capacity);
+  grown.set(array);
+  return grown;
+}
+
+/**
+ * Appends one calendar day, doubling the buffer when it is full.
+ * @param {CalendarBuffer} buffer
+ * @param {number} day
+ * @param {number} availability
+ * @param {number} price
+ */
+function appendDay(buffer, day, availability, price) {
+  const { length } = buffer;
+  if (length === buffer.days.length) {
+    buffer.days = grow(buffer.days, length * 2);
+    buffer.available = grow(buffer.available, length * 2);
+    buffer.prices = grow(buffer.prices, length * 2);
+  }
+  if (length > 0 && day < buffer.days[length - 1]) buffer.sorted = false;
+  buffer.days[length] = day;
+  buffer.available[length] = availability;
+  buffer.prices[length] = price;
+  buffer.length = length + 1;
+}
+
+/**
+ * Trims a buffer to its length and sorts it by day.
+ * @param {CalendarBuffer} buffer
+ * @returns {CalendarEntry}
+ */
+function packCalendar({ days, available, prices, length, sorted }) {
+  if (sorted) {
+    return {
+      days: days.slice(0, length),
+      available: available.slice(0, length),
+      prices: prices.slice(0, length),
+    };
+  }
+  const order = new Uint32Array(length).map((_, index) => index).sort((a, b) => days[a] - days[b]);
+  return {
+    days: Int32Array.from(order, (index) => days[index]),
+    available: Uint8Array.from(order, (index) => available[index]),
+    prices: Float64Array.from(order, (index) => prices[index]),
+  };
+}
+
+/**
+ * Streams calendar.csv(.gz) into a per-listing index. Calendars have a row per
+ * listing per day, so rows are never kept as objects. An optional window keeps only
+ * the days you need.
+ * @async
+ * @param {string} filePath
+ * @param {{from?: string, to?: string}} [options] - Inclusive "YYYY-MM-DD" window
+ * @returns {Promise<CalendarIndex>}
+ */
+export async function loadCalendar(filePath, { from, to } = {}) {
+  const fromDay = from ? toDay(from) : -Infinity;
+  const toDayInclusive = to ? toDay(to) : Infinity;
+  const collected = new Map();
+
+  await loadCSV(filePath, {
+    stream: true,
+    baseSchema: CALENDAR_SCHEMA,
+    onRow(row) {
+      if (!row.listing_id || !row.date) return;
+      const day = toDay(row.date);
+      if (day < fromDay || day > toDayInclusive) return;
+      const availability = row.available === null ? UNKNOWN : row.available ? AVAILABLE : UNAVAILABLE;
+      const price = row.price ?? row.adjusted_price ?? NaN;
+      if (!collected.has(row.listing_id)) collected.set(row.listing_id, createCalendarBuffer());
+      appendDay(collected.get(row.listing_id), day, availability, price);
+    },
+  });
+
+  return new Map([...collected].map(([listingId, buffer]) => [listingId, packCalendar(buffer)]));
+}
+
+/**
+ * Streams reviews.csv(.gz) into sorted review days per listing (comments are not kept).
+ * @async
+ * @param {string} filePath
+ * @returns {Promise<ReviewIndex>}
+ */
+export async function loadReviews(filePath) {
+  const collected = new Map();
+  await loadCSV(filePath, {
+    stream: true,
+    baseSchema: REVIEWS_SCHEMA,
+    onRow(row) {
+      if (!row.listing_id || !row.date) return;
+      if (!collected.has(row.listing_id)) collected.set(row.listing_id, []);
+      collected.get(row.listing_id).push(toDay(row.date));
+    },
+  });
+  return new Map(
+    [...collected].map(([listingId, days]) => [listingId, Int32Array.from(days).sort()])
+  );
+}
+
+/**
+ * Whether the listing is available on a day.
+ * @param {CalendarEntry|undefined} entry
+ * @param {number} day
+ * @returns {boolean}
+ */
+export function isAvailableOn(entry, day) {
+  if (!entry) return false;
+  const index = lowerBound(entry.days, day);
+  return entry.days[index] === day && entry.available[index] === AVAILABLE;
+}
+
+/**
+ * Nightly price on a day, or null when the calendar has none.
+ * @param {CalendarEntry|undefined} entry
+ * @param {number} day
+ * @returns {number|null}
+ */
+export function priceOn(entry, day) {
+  if (!entry) return null;
+  const index = lowerBound(entry.days, day);
+  if (entry.days[index] !== day || Number.isNaN(entry.prices[index])) return null;
+  return entry.prices[index];
+}
+
+/**
+ * Share of calendar days in the window that are not available (booked or blocked by
+ * the host; Inside Airbnb does not tell them apart). Days of unknown status are ignored.
+ * @param {CalendarEntry|undefined} entry
+ * @param {number} [fromDay]
+ * @param {number} [toDayInclusive]
+ * @returns {number|null} - 0..1, or null with no calendar days in the window
+ */
+export function occupancyRate(entry, fromDay, toDayInclusive) {
+  if (!entry) return null;
+  const [start, end] = windowRange(entry.days, fromDay, toDayInclusive);
+  let known = 0;
+  let unavailable = 0;
+  for (let i = start; i < end; i++) {
+    if (entry.available[i] === UNKNOWN) continue;
+    known += 1;
+    if (entry.available[i] === UNAVAILABLE) unavailable += 1;
+  }
+  return known === 0 ? null : unavailable / known;
+}
+
+/**
+ * Average nightly price per calendar month in the window, e.g. { "2026-12": 142.5 }.
+ * @param {CalendarEntry|undefined} entry
+ * @param {number} [fromDay]
+ * @param {number} [toDayInclusive]
+ * @returns {Object<string, number>}
+ */
+export function monthlyAveragePrices(entry, fromDay, toDayInclusive) {
+  if (!entry) return {};
+  const [start, end] = windowRange(entry.days, fromDay, toDayInclusive);
+  const months = {};
+  for (let i = start; i < end; i++) {
+    if (Number.isNaN(entry.prices[i])) continue;
+    const month = dayToISO(entry.days[i]).slice(0, 7);
+    if (!months[month]) months[month] = { total: 0, count: 0 };
+    months[month].total += entry.prices[i];
+    months[month].count += 1;
+  }
+  return Object.fromEntries(
+    Object.entries(months).map(([month, { total, count }]) => [month, total / count])
+  );
+}
+
+/**
+ * Review velocity for one listing as of a day: reviews in the trailing window,
+ * per month, plus the total count and last review date.
+ * @param {Int32Array|undefined} days - Sorted review days
+ * @param {number} asOfDay
+ * @param {number} [months=12] - Window length, more than 0
+ * @returns {{review_count: number, reviews_in_window: number, review_velocity: number, last_review_date: string|null}}
+ */
+export function reviewVelocity(days, asOfDay, months = 12) {
+  if (!(months > 0)) {
+    throw new Error(`Invalid number of months "${months}" (expected more than 0)`);
+  }
+  if (!days || days.length === 0) {
+    return { review_count: 0, reviews_in_window: 0, review_velocity: 0, last_review_date: null };
+  }
+  const windowStart = asOfDay - Math.round(months * 30.4375);
+  const [start, end] = windowRange(days, windowStart + 1, asOfDay);
+  return {
+    review_count: days.length,
+    reviews_in_window: end - start,
+    review_velocity: (end - start) / months,
+    last_review_date: dayToISO(days[days.length - 1]),
+  };
+}
+
+/**
+ * The most recent review day across all listings (a good "as of" default: the scrape date).
+ * @param {ReviewIndex} reviews
+ * @returns {number}
+ */
+export function latestReviewDay(reviews) {
+  let latest = -Infinity;
+  for (const days of reviews.values()) {
+    if (days.length) latest = Math.max(latest, days[days.length - 1]);
+  }
+  return latest;
+}
@@ -0,0 +1,209 @@
+/**
+ * @file distribution.js
+ * @description Distributions of numeric columns: histograms with configurable bins,
+ * quantiles and box-plot summaries. Prices are heavy-tailed, so these say more than
+ * the means in computeStats(). Rendering lives in charts.js.
+ */
+
+import { quantile } from "./aggregate.js";
+
+/**
+ * Bin spec for histogram(): a bin count over the full range, "auto", or explicit
+ * ascending edges such as [0, 50, 100, 200, 500]. "auto" bins the range between the
+ * box-plot whiskers (Freedman–Diaconis width, Sturges when the IQR is 0) and counts
+ * the outliers beyond them as below / above, so a few extreme prices cannot squash
+ * every other bar.
+ * @typedef {number|"auto"|number[]} BinSpec
+ */
+
+/**
+ * @typedef {Object} HistogramBin
+ * @property {number} from - Inclusive
+ * @property {number} to - Exclusive, except for the last bin
+ * @property {number} count
+ */
+
+/**
+ * @typedef {Object} Histogram
+ * @property {HistogramBin[]} bins
+ * @property {number} below - Values under the first edge (explicit edges and "auto")
+ * @property {number} above - Values over the last edge (explicit edges and "auto")
+ */
+
+/**
+ * @typedef {Object} BoxPlot
+ * @property {number} min
+ * @property {number} q1
+ * @property {number} median
+ * @property {number} q3
+ * @property {number} max
+ * @property {number} lowerWhisker - Lowest value within q1 − k·IQR
+ * @property {number} upperWhisker - Highest value within q3 + k·IQR
+ * @property {number} outliersLow
+ * @property {number} outliersHigh
+ */
+
+/**
+ * @typedef {Object} Distribution
+ * @property {string} column
+ * @property {number} count - Numeric values found
+ * @property {number} missing - Rows without a numeric value
+ * @property {number|null} mean
+ * @property {Array<{q: number, value: number|null}>} quantiles
+ * @property {BoxPlot|null} boxPlot
+ * @property {Histogram} histogram
+ */
+
+/**
+ * @typedef {Object} DistributionOptions
+ * @property {BinSpec} [bins="auto"]
+ * @property {number[]} [quantiles=[0.05, 0.25, 0.5, 0.75, 0.95]]
+ * @property {number} [iqrMultiplier=1.5] - Whisker reach for the box plot
+ */
+
+/**
+ * Largest bin count "auto" picks, so one extreme price cannot produce thousands of bins.
+ */
+const MAX_AUTO_BINS = 50;
+
+/**
+ * The finite numbers of a column, ascending.
+ * @param {ReadonlyArray<Object>} rows
+ * @param {string} column
+ * @returns {number[]}
+ */
+export function numericValues(rows, column) {
+  return rows
+    .map((item) => item[column])
+    .filter((value) => typeof value === "number" && Number.isFinite(value))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Equal-width bin edges: from the smallest to the largest value for a bin count,
+ * between the whiskers for "auto".
+ * @param {number[]} sorted
+ * @param {number|"auto"} bins
+ * @returns {number[]}
+ */
+function equalWidthEdges(sorted, bins) {
+  let min = sorted[0];
+  let max = sorted[sorted.length - 1];
+  let count = bins;
+  if (bins === "auto") {
+    const box = boxPlot(sorted);
+    min = box.lowerWhisker;
+    max = box.upperWhisker;
+    const width = (2 * (box.q3 - box.q1)) / Math.cbrt(sorted.length);
+    count = width > 0 ? Math.ceil((max - min) / width) : Math.ceil(Math.log2(sorted.length)) + 1;
+    count = Math.min(Math.max(count, 1), MAX_AUTO_BINS);
+  }
+  if (min === max) return [min, max];
+  const width = (max - min) / count;
+  return Array.from({ length: count + 1 }, (unused, index) =>
+    index === count ? max : min + index * width
+  );
+}
+
+/**
+ * Counts sorted values into bins.
+ * @param {number[]} sorted
+ * @param {BinSpec} [bins="auto"]
+ * @returns {Histogram}
+ */
+export function histogram(sorted, bins = "auto") {
+  if (Array.isArray(bins)) {
+    if (bins.length < 2 || bins.some((edge, index) => index > 0 && !(edge > bins[index - 1]))) {
+      throw new Error("Histogram edges must be at least two ascending numbers");
+    }
+  } else if (bins !== "auto" && !(Number.isInteger(bins) && bins > 0)) {
+    throw new Error(
+      `Invalid bin count "${bins}" (expected a positive integer, "auto" or a list of edges)`
+    );
+  }
+  if (sorted.length === 0 && !Array.isArray(bins)) return { bins: [], below: 0, above: 0 };
+
+  const edges = Array.isArray(bins) ? bins : equalWidthEdges(sorted, bins);
+  const last = edges[edges.length - 1];
+  const counts = new Array(edges.length - 1).fill(0);
+  let below = 0;
+  let above = 0;
+  for (const value of sorted) {
+    if (value < edges[0]) below += 1;
+    else if (value > last) above += 1;
+    else counts[value === last ? counts.length - 1 : binIndex(edges, value)] += 1;
+  }
+  return {
+    bins: counts.map((count, index) => ({ from: edges[index], to: edges[index + 1], count })),
+    below,
+    above,
+  };
+}
+
+/**
+ * Index of the bin [edges[i], edges[i + 1]) holding value (binary search).
+ * @param {number[]} edges
+ * @param {number} value
+ * @returns {number}
+ */
+function binIndex(edges, value) {
+  let low = 0;
+  let high = edges.length - 2;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (edges[middle] <= value) low = middle;
+    else high = middle - 1;
+  }
+  return low;
+}
+
+/**
+ * Tukey box plot of sorted values; null when there are none.
+ * @param {number[]} sorted
+ * @param {number} [iqrMultiplier=1.5]
+ * @returns {BoxPlot|null}
+ */
+export function boxPlot(sorted, iqrMultiplier = 1.5) {
+  if (sorted.length === 0) return null;
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const lowerFence = q1 - iqrMultiplier * (q3 - q1);
+  const upperFence = q3 + iqrMultiplier * (q3 - q1);
+  const inside = sorted.filter((value) => value >= lowerFence && value <= upperFence);
+  return {
+    min: sorted[0],
+    q1,
+    median: quantile(sorted, 0.5),
+    q3,
+    max: sorted[sorted.length - 1],
+    lowerWhisker: inside[0],
+    upperWhisker: inside[inside.length - 1],
+    outliersLow: sorted.filter((value) => value < lowerFence).length,
+    outliersHigh: sorted.filter((value) => value > upperFence).length,
+  };
+}
+
+/**
+ * Histogram, quantiles and box plot of one numeric column.
+ * @param {ReadonlyArray<Object>} rows
+ * @param {string} column
+ * @param {DistributionOptions} [options]
+ * @param {number[]} [sorted] - numericValues(rows, column), when already known (e.g. merged
+ *   by the parsing workers, see partials.js)
+ * @returns {Distribution}
+ */
+export function distributionOf(rows, column, options = {}, sorted = numericValues(rows, column)) {
+  const { bins = "auto", quantiles = [0.05, 0.25, 0.5, 0.75, 0.95], iqrMultiplier = 1.5 } = options;
+  if (quantiles.some((q) => !(q >= 0 && q <= 1))) {
+    throw new Error("Quantiles must be between 0 and 1");
+  }
+  return {
+    column,
+    count: sorted.length,
+    missing: rows.length - sorted.length,
+    mean: sorted.length ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : null,
+    quantiles: quantiles.map((q) => ({ q, value: quantile(sorted, q) })),
+    boxPlot: boxPlot(sorted, iqrMultiplier),
+    histogram: histogram(sorted, bins),
+  };
+}
@@ -0,0 +1,196 @@
+/**
+ * @file exporters.js
+ * @description Serializers for exportResults: JSON, CSV, NDJSON and Markdown tables,
+ * each optionally gzipped. Output is streamed to disk chunk by chunk, a row (or, for
+ * JSON objects, a top-level key) at a time.
+ */
+
+import { createWriteStream } from "node:fs";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import zlib from "node:zlib";
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {string} [format] - "json", "csv", "ndjson" or "md"; defaults to the file extension
+ * @property {boolean} [gzip] - Gzip the output; defaults to true for names ending in ".gz"
+ * @property {string[]} [fields] - Only export these columns, in this order
+ */
+
+/**
+ * File extensions recognized for each format.
+ */
+const EXTENSIONS = {
+  json: "json",
+  csv: "csv",
+  ndjson: "ndjson",
+  jsonl: "ndjson",
+  md: "md",
+  markdown: "md",
+};
+
+/**
+ * Works out format and compression from the options, falling back to the filename,
+ * e.g. "out.csv.gz" → { format: "csv", gzip: true }.
+ * @param {string} filename
+ * @param {ExportOptions} options
+ * @returns {{format: string, gzip: boolean}}
+ */
+export function resolveFormat(filename, options = {}) {
+  const gzip = options.gzip ?? filename.endsWith(".gz");
+  const base = filename.replace(/\.gz$/, "");
+  const extension = base.includes(".") ? base.slice(base.lastIndexOf(".") + 1).toLowerCase() : "";
+  const format = options.format || EXTENSIONS[extension] || "json";
+  if (!SERIALIZERS[format]) {
+    throw new Error(`Unknown export format "${format}" (expected json, csv, ndjson or md)`);
+  }
+  return { format, gzip };
+}
+
+/**
+ * Orders the columns for tabular output: the loaded CSV header first (keeping its
+ * original order), then any other keys found in the rows, in first-seen order.
+ * @param {Object[]} rows
+ * @param {string[]} [header]
+ * @returns {string[]}
+ */
+function columnsOf(rows, header = []) {
+  const present = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) present.add(key);
+  }
+  const ordered = header.filter((column) => present.has(column));
+  const inHeader = new Set(ordered);
+  return [...ordered, ...[...present].filter((column) => !inHeader.has(column))];
+}
+
+/**
+ * Formats a typed value back into its Inside Airbnb text form, so exported CSVs
+ * load again through the same schema (booleans as t/f, dates as YYYY-MM-DD, lists as JSON).
+ * @param {any} value
+ * @returns {string}
+ */
+export function formatCell(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "boolean") return value ? "t" : "f";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Quotes a CSV field when it contains a delimiter, quote or line break.
+ * @param {string} text
+ * @returns {string}
+ */
+function csvField(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escapes a Markdown table cell and shortens long decimals.
+ * @param {any} value
+ * @returns {string}
+ */
+function markdownCell(value) {
+  const text =
+    typeof value === "number" && !Number.isInteger(value) ? value.toFixed(2) : formatCell(value);
+  return text.replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+/**
+ * A single object (e.g. computeStats()) is written as one row in tabular formats.
+ * @param {Object|Object[]} payload
+ * @returns {Object[]}
+ */
+function toRows(payload) {
+  return Array.isArray(payload) ? payload : [payload];
+}
+
+/**
+ * JSON.stringify(value, null, 2) in chunks: one per array element or per key of a plain
+ * object, so a large payload is never held as a single string.
+ * @param {any} value
+ * @returns {Iterable<string>}
+ */
+function* jsonChunks(value) {
+  const nested = (text) => text.replace(/\n/g, "\n  ");
+  if (Array.isArray(value)) {
+    if (value.length === 0) return yield "[]";
+    for (let index = 0; index < value.length; index++) {
+      const text = JSON.stringify(value[index], null, 2) ?? "null";
+      yield `${index === 0 ? "[\n" : ",\n"}  ${nested(text)}`;
+    }
+    return yield "\n]";
+  }
+  if (value === null || typeof value !== "object" || typeof value.toJSON === "function") {
+    return yield JSON.stringify(value, null, 2);
+  }
+  let first = true;
+  for (const [key, entry] of Object.entries(value)) {
+    const text = JSON.stringify(entry, null, 2);
+    if (text === undefined) continue;
+    yield `${first ? "{\n" : ",\n"}  ${JSON.stringify(key)}: ${nested(text)}`;
+    first = false;
+  }
+  yield first ? "{}" : "\n}";
+}
+
+/**
+ * Serializers by format: (payload, columns, fields) => string chunks.
+ * @type {Object<string, function(Object|Object[], string[], string[]=): Iterable<string>>}
+ */
+const SERIALIZERS = {
+  *json(payload, columns, fields) {
+    const selected = fields && Array.isArray(payload) ? payload.map((row) => pick(row, columns)) : payload;
+    yield* jsonChunks(selected);
+  },
+  *csv(payload, columns) {
+    yield `${columns.map(csvField).join(",")}\n`;
+    for (const row of toRows(payload)) {
+      yield `${columns.map((column) => csvField(formatCell(row[column]))).join(",")}\n`;
+    }
+  },
+  *ndjson(payload, columns) {
+    for (const row of toRows(payload)) {
+      yield `${JSON.stringify(pick(row, columns))}\n`;
+    }
+  },
+  *md(payload, columns) {
+    yield `| ${columns.map(markdownCell).join(" | ")} |\n`;
+    yield `| ${columns.map(() => "---").join(" | ")} |\n`;
+    for (const row of toRows(payload)) {
+      yield `| ${columns.map((column) => markdownCell(row[column])).join(" | ")} |\n`;
+    }
+  },
+};
+
+/**
+ * @param {Object} row
+ * @param {string[]} columns
+ * @returns {Object}
+ */
+function pick(row, columns) {
+  return Object.fromEntries(columns.map((column) => [column, row[column] ?? null]));
+}
+
+/**
+ * Writes a payload to disk in the requested format. Arrays of rows are written
+ * one row per line/record; JSON keeps the payload's shape.
+ * @async
+ * @param {string} filename
+ * @param {Object|Object[]} payload
+ * @param {ExportOptions} [options]
+ * @param {string[]} [header] - Original CSV header, for column order
+ * @returns {Promise<void>}
+ */
+export async function writeExport(filename, payload, options = {}, header = []) {
+  const { format, gzip } = resolveFormat(filename, options);
+  const columns = options.fields || columnsOf(toRows(payload), header);
+  const chunks = SERIALIZERS[format](payload, columns, options.fields);
+
+  const stages = [Readable.from(chunks)];
+  if (gzip) stages.push(zlib.createGzip());
+  stages.push(createWriteStream(filename));
+  await pipeline(...stages);
+}
@@ -0,0 +1,295 @@
+/**
+ * @file geo.js
+ * @description Geospatial helpers over listing latitude/longitude: haversine distance,
+ * bounding boxes, point-in-polygon against GeoJSON, and a grid spatial index for
+ * fast radius, box and nearest-neighbour queries.
+ */
+
+import { readFile } from "node:fs/promises";
+
+const EARTH_RADIUS_KM = 6371.0088;
+const KM_PER_DEGREE = (Math.PI / 180) * EARTH_RADIUS_KM;
+
+/**
+ * A [minLat, minLon, maxLat, maxLon] box.
+ * @typedef {[number, number, number, number]} BoundingBox
+ */
+
+/**
+ * @param {number} degrees
+ * @returns {number}
+ */
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/**
+ * Great-circle distance between two points, in kilometres.
+ * @param {number} lat1
+ * @param {number} lon1
+ * @param {number} lat2
+ * @param {number} lon2
+ * @returns {number}
+ */
+export function haversineKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * The box that contains every point within `km` of the centre.
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} km
+ * @returns {BoundingBox}
+ */
+export function radiusBox(lat, lon, km) {
+  const dLat = km / KM_PER_DEGREE;
+  const cosLat = Math.cos(toRadians(Math.min(89.9, Math.abs(lat) + dLat)));
+  const dLon = Math.min(180, km / (KM_PER_DEGREE * cosLat));
+  return [lat - dLat, lon - dLon, lat + dLat, lon + dLon];
+}
+
+/**
+ * @param {number} lat
+ * @param {number} lon
+ * @param {BoundingBox} box
+ * @returns {boolean}
+ */
+export function inBox(lat, lon, [minLat, minLon, maxLat, maxLon]) {
+  return lat >= minLat && lat <= maxLat && lon >= minLon && lon <= maxLon;
+}
+
+/**
+ * Ray casting test against one linear ring of [lon, lat] positions.
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number[][]} ring
+ * @returns {boolean}
+ */
+function inRing(lat, lon, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * A point is in a polygon when it is inside the outer ring and outside every hole.
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number[][][]} rings - GeoJSON Polygon coordinates
+ * @returns {boolean}
+ */
+function inPolygon(lat, lon, [outer, ...holes]) {
+  return inRing(lat, lon, outer) && !holes.some((hole) => inRing(lat, lon, hole));
+}
+
+/**
+ * Flattens a GeoJSON FeatureCollection, Feature or geometry into a list of
+ * Polygon coordinate arrays (MultiPolygons are split up; other geometries are ignored).
+ * @param {Object} geojson
+ * @returns {number[][][][]}
+ */
+export function toPolygons(geojson) {
+  switch (geojson?.type) {
+    case "FeatureCollection":
+      return geojson.features.flatMap(toPolygons);
+    case "Feature":
+      return toPolygons(geojson.geometry);
+    case "GeometryCollection":
+      return geojson.geometries.flatMap(toPolygons);
+    case "Polygon":
+      return [geojson.coordinates];
+    case "MultiPolygon":
+      return geojson.coordinates;
+    default:
+      return [];
+  }
+}
+
+/**
+ * The bounding box of a set of polygons (their outer rings).
+ * @param {number[][][][]} polygons
+ * @returns {BoundingBox}
+ */
+export function polygonsBox(polygons) {
+  const box = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const [outer] of polygons) {
+    for (const [lon, lat] of outer) {
+      box[0] = Math.min(box[0], lat);
+      box[1] = Math.min(box[1], lon);
+      box[2] = Math.max(box[2], lat);
+      box[3] = Math.max(box[3], lon);
+    }
+  }
+  return box;
+}
+
+/**
+ * Whether the point lies inside any of the polygons.
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number[][][][]} polygons
+ * @returns {boolean}
+ */
+export function inAnyPolygon(lat, lon, polygons) {
+  return polygons.some((rings) => inPolygon(lat, lon, rings));
+}
+
+/**
+ * Reads a local GeoJSON file such as Inside Airbnb's neighbourhoods.geojson.
+ * @async
+ * @param {string} filePath
+ * @returns {Promise<Object>}
+ */
+export async function loadGeoJSON(filePath) {
+  const geojson = JSON.parse(await readFile(filePath, "utf-8"));
+  if (toPolygons(geojson).length === 0) {
+    throw new Error(`${filePath} contains no Polygon or MultiPolygon geometries`);
+  }
+  return geojson;
+}
+
+/**
+ * Keeps only the features whose `property` equals `name` (case-insensitive),
+ * e.g. one neighbourhood out of neighbourhoods.geojson.
+ * @param {Object} featureCollection
+ * @param {string} name
+ * @param {string} [property="neighbourhood"]
+ * @returns {Object} - A FeatureCollection
+ */
+export function selectFeatures(featureCollection, name, property = "neighbourhood") {
+  const wanted = name.toLowerCase();
+  const features = (featureCollection.features || []).filter(
+    (feature) => String(feature.properties?.[property] ?? "").toLowerCase() === wanted
+  );
+  if (features.length === 0) {
+    throw new Error(`No feature with ${property} "${name}"`);
+  }
+  return { type: "FeatureCollection", features };
+}
+
+/**
+ * Whether a listing has usable coordinates.
+ * @param {Object} item
+ * @returns {boolean}
+ */
+export function hasCoordinates(item) {
+  return Number.isFinite(item.latitude) && Number.isFinite(item.longitude);
+}
+
+/**
+ * A uniform lat/lon grid over listings: each cell holds the listings inside it,
+ * so box queries only look at the cells the box overlaps.
+ * @typedef {Object} GridIndex
+ * @property {function(BoundingBox): Object[]} queryBox - Listings in the cells overlapping the box (a superset)
+ * @property {function(number, number, number): Array<{item: Object, distanceKm: number}>} nearest
+ */
+
+/**
+ * Builds a grid index over the listings that have coordinates.
+ * The default cell (0.01°, roughly 1 km) suits city-sized datasets.
+ * @param {Object[]} listings
+ * @param {number} [cellDegrees=0.01]
+ * @returns {GridIndex}
+ */
+export function createGridIndex(listings, cellDegrees = 0.01) {
+  const cells = new Map();
+  const cellOf = (value) => Math.floor(value / cellDegrees);
+  let bounds = [Infinity, Infinity, -Infinity, -Infinity];
+
+  for (const item of listings) {
+    if (!hasCoordinates(item)) continue;
+    const key = `${cellOf(item.latitude)}:${cellOf(item.longitude)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(item);
+    bounds = [
+      Math.min(bounds[0], cellOf(item.latitude)),
+      Math.min(bounds[1], cellOf(item.longitude)),
+      Math.max(bounds[2], cellOf(item.latitude)),
+      Math.max(bounds[3], cellOf(item.longitude)),
+    ];
+  }
+
+  const cellItems = (row, col) => cells.get(`${row}:${col}`) || [];
+
+  return {
+    queryBox([minLat, minLon, maxLat, maxLon]) {
+      const found = [];
+      const rowEnd = Math.min(cellOf(maxLat), bounds[2]);
+      const colEnd = Math.min(cellOf(maxLon), bounds[3]);
+      for (let row = Math.max(cellOf(minLat), bounds[0]); row <= rowEnd; row++) {
+        for (let col = Math.max(cellOf(minLon), bounds[1]); col <= colEnd; col++) {
+          found.push(...cellItems(row, col));
+        }
+      }
+      return found;
+    },
+
+    /**
+     * Searches rings of cells outwards from the query point (clamped to the grid's
+     * bounds). After ring r, every unvisited listing is at least r cells away, so we
+     * can stop once the k-th best distance is within that bound.
+     */
+    nearest(lat, lon, k) {
+      if (!(Number.isInteger(k) && k > 0)) {
+        throw new Error(`Invalid nearest count "${k}" (expected a positive whole number)`);
+      }
+      // no listing has coordinates: the bounds are still infinite and the rings never end
+      if (cells.size === 0) return [];
+      const best = [];
+      const centerRow = cellOf(lat);
+      const centerCol = cellOf(lon);
+      const firstRing = Math.max(
+        0,
+        bounds[0] - centerRow,
+        centerRow - bounds[2],
+        bounds[1] - centerCol,
+        centerCol - bounds[3]
+      );
+      const lastRing = Math.max(
+        Math.abs(centerRow - bounds[0]),
+        Math.abs(centerRow - bounds[2]),
+        Math.abs(centerCol - bounds[1]),
+        Math.abs(centerCol - bounds[3])
+      );
+      const visit = (row, col) => {
+        for (const item of cellItems(row, col)) {
+          best.push({ item, distanceKm: haversineKm(lat, lon, item.latitude, item.longitude) });
+        }
+      };
+
+      for (let ring = firstRing; ring <= lastRing; ring++) {
+        const rowStart = Math.max(centerRow - ring, bounds[0]);
+        const rowEnd = Math.min(centerRow + ring, bounds[2]);
+        const colStart = Math.max(centerCol - ring, bounds[1]);
+        const colEnd = Math.min(centerCol + ring, bounds[3]);
+        for (let row = rowStart; row <= rowEnd; row++) {
+          if (Math.abs(row - centerRow) === ring) {
+            for (let col = colStart; col <= colEnd; col++) visit(row, col);
+          } else {
+            if (centerCol - ring >= bounds[1]) visit(row, centerCol - ring);
+            if (ring > 0 && centerCol + ring <= bounds[3]) visit(row, centerCol + ring);
+          }
+        }
+        best.sort((a, b) => a.distanceKm - b.distanceKm);
+        best.length = Math.min(best.length, k);
+
+        const cosLat = Math.cos(toRadians(Math.min(89.9, Math.abs(lat) + ring * cellDegrees)));
+        const unvisitedKm = ring * cellDegrees * KM_PER_DEGREE * cosLat;
+        if (best.length === k && best[k - 1].distanceKm <= unvisitedKm) break;
+      }
+      return best;
+    },
+  };
+}
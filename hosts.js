@@ -0,0 +1,181 @@
+/**
+ * @file hosts.js
+ * @description Per-host portfolio profiles: price totals, spread over neighbourhoods and
+ * room types, review scores, superhost status, estimated revenue, and a flag for likely
+ * commercial multi-listing operators.
+ */
+
+import { quantile } from "./aggregate.js";
+import { exactSum } from "./partials.js";
+
+/**
+ * @typedef {Object} HostProfile
+ * @property {string} host_id
+ * @property {string} host_name
+ * @property {number} listingsCount - Listings in the current data
+ * @property {number|null} calculatedListingsCount - Inside Airbnb's calculated_host_listings_count (whole city)
+ * @property {number} entireHomes - Listings with room_type "Entire home/apt"
+ * @property {number|null} totalPrice - Exact sum of nightly prices (null when none is priced)
+ * @property {number|null} medianPrice
+ * @property {number} neighbourhoods - Distinct neighbourhood_cleansed values
+ * @property {number} roomTypes - Distinct room_type values
+ * @property {number|null} avgReviewScore - Over listings that have reviews
+ * @property {number} reviewedListings
+ * @property {boolean|null} isSuperhost
+ * @property {number|null} responseRate - Percentage points, e.g. 94
+ * @property {number|null} estimatedRevenue - Yearly, see estimateRevenue()
+ * @property {boolean} isCommercial
+ */
+
+/**
+ * Thresholds for flagging a host as a commercial operator. A host is commercial when
+ * any threshold is reached; set one to Infinity to disable it.
+ * @typedef {Object} CommercialThresholds
+ * @property {number} [minListings=3] - Listings held
+ * @property {number} [minEntireHomes=2] - Entire homes held
+ * @property {boolean} [useCalculatedCount=true] - Also count calculated_host_listings_count,
+ *   which covers the whole city even when the data is filtered
+ */
+
+/**
+ * @type {Required<CommercialThresholds>}
+ */
+export const DEFAULT_COMMERCIAL_THRESHOLDS = {
+  minListings: 3,
+  minEntireHomes: 2,
+  useCalculatedCount: true,
+};
+
+/**
+ * Profile fields that hosts can be sorted by.
+ */
+export const HOST_METRICS = [
+  "listingsCount",
+  "calculatedListingsCount",
+  "entireHomes",
+  "totalPrice",
+  "medianPrice",
+  "neighbourhoods",
+  "roomTypes",
+  "avgReviewScore",
+  "reviewedListings",
+  "isSuperhost",
+  "responseRate",
+  "estimatedRevenue",
+  "isCommercial",
+];
+
+/**
+ * Estimated yearly revenue of one listing: nightly price times the nights that are
+ * not available in the next 365 days. Blocked nights count as booked, so this is
+ * an upper bound. Null when price or availability_365 is missing.
+ * @param {Object} listing
+ * @returns {number|null}
+ */
+export function estimateRevenue(listing) {
+  if (listing.price === null || listing.price === undefined) return null;
+  if (listing.availability_365 === null || listing.availability_365 === undefined) return null;
+  return listing.price * Math.max(0, 365 - listing.availability_365);
+}
+
+/**
+ * @param {Array<number|null>} values
+ * @returns {number[]}
+ */
+function present(values) {
+  return values.filter((value) => value !== null && value !== undefined);
+}
+
+/**
+ * The first non-null value of a host-level column (it repeats on every listing).
+ * @param {Object[]} listings
+ * @param {string} column
+ * @returns {any}
+ */
+function hostValue(listings, column) {
+  const found = listings.find((item) => item[column] !== null && item[column] !== undefined);
+  return found ? found[column] : null;
+}
+
+/**
+ * Builds one host's profile from their listings.
+ * @param {string} hostId
+ * @param {Object[]} listings
+ * @param {Required<CommercialThresholds>} thresholds
+ * @returns {HostProfile}
+ */
+function profileOf(hostId, listings, thresholds) {
+  const prices = present(listings.map((item) => item.price)).sort((a, b) => a - b);
+  const reviewed = listings.filter(
+    (item) => item.number_of_reviews !== 0 && item.review_scores_rating !== null && item.review_scores_rating !== undefined
+  );
+  const revenues = present(listings.map(estimateRevenue));
+  const entireHomes = listings.filter((item) => item.room_type === "Entire home/apt").length;
+  const calculatedListingsCount = hostValue(listings, "calculated_host_listings_count");
+  const heldListings = thresholds.useCalculatedCount
+    ? Math.max(listings.length, calculatedListingsCount ?? 0)
+    : listings.length;
+
+  return {
+    host_id: hostId,
+    host_name: hostValue(listings, "host_name") || "",
+    listingsCount: listings.length,
+    calculatedListingsCount,
+    entireHomes,
+    totalPrice: prices.length ? exactSum(prices) : null,
+    medianPrice: quantile(prices, 0.5),
+    neighbourhoods: new Set(present(listings.map((item) => item.neighbourhood_cleansed))).size,
+    roomTypes: new Set(present(listings.map((item) => item.room_type))).size,
+    avgReviewScore: reviewed.length
+      ? reviewed.reduce((sum, item) => sum + item.review_scores_rating, 0) / reviewed.length
+      : null,
+    reviewedListings: reviewed.length,
+    isSuperhost: hostValue(listings, "host_is_superhost"),
+    responseRate: hostValue(listings, "host_response_rate"),
+    estimatedRevenue: revenues.length ? exactSum(revenues) : null,
+    isCommercial: heldListings >= thresholds.minListings || entireHomes >= thresholds.minEntireHomes,
+  };
+}
+
+/**
+ * Sorts profiles by a metric. Missing (null) values always sort last; ties are broken
+ * by listingsCount, then host_id, so the order is stable across runs.
+ * @param {HostProfile[]} profiles
+ * @param {string} metric - One of HOST_METRICS
+ * @param {"asc"|"desc"} [order="desc"]
+ * @returns {HostProfile[]} - A new array
+ */
+export function sortHostProfiles(profiles, metric, order = "desc") {
+  if (!HOST_METRICS.includes(metric)) {
+    throw new Error(`Unknown host metric "${metric}" (expected one of: ${HOST_METRICS.join(", ")})`);
+  }
+  const direction = order === "asc" ? 1 : -1;
+  return [...profiles].sort((a, b) => {
+    const left = a[metric];
+    const right = b[metric];
+    if (left === null || right === null) {
+      if (left !== right) return left === null ? 1 : -1;
+    } else if (left !== right) {
+      return direction * (Number(left) - Number(right));
+    }
+    return b.listingsCount - a.listingsCount || a.host_id.localeCompare(b.host_id);
+  });
+}
+
+/**
+ * Groups listings by host_id (listings without one are skipped) and profiles each host.
+ * @param {ReadonlyArray<Object>} listings
+ * @param {{sortBy?: string, order?: "asc"|"desc", commercial?: CommercialThresholds}} [options]
+ * @returns {HostProfile[]}
+ */
+export function hostProfiles(listings, { sortBy = "listingsCount", order = "desc", commercial = {} } = {}) {
+  const thresholds = { ...DEFAULT_COMMERCIAL_THRESHOLDS, ...commercial };
+  const byHost = new Map();
+  for (const item of listings) {
+    if (!item.host_id) continue;
+    if (!byHost.has(item.host_id)) byHost.set(item.host_id, []);
+    byHost.get(item.host_id).push(item);
+  }
+  const profiles = [...byHost].map(([hostId, hostListings]) => profileOf(hostId, hostListings, thresholds));
+  return sortHostProfiles(profiles, sortBy, order);
+}
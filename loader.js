@@ -0,0 +1,361 @@
+/**
+ * @file loader.js
+ * @description Reads Inside Airbnb .csv / .csv.gz files into typed rows, either all at
+ * once, streamed row by row, or in row-aligned chunks parsed by worker threads.
+ * Used for listings and for the companion calendar and reviews files.
+ */
+
+import { readFile, stat } from "node:fs/promises";
+import { createReadStream } from "node:fs";
+import { pipeline } from "node:stream/promises";
+import zlib from "node:zlib"; // For handling .gz files
+import { promisify } from "node:util";
+import { parse } from "csv-parse/sync";
+import { parse as parseStream } from "csv-parse";
+import { createCoercer } from "./schema.js";
+import { mergeAggregates } from "./partials.js";
+import { createWorkerPool, nextRowEnd, resolveWorkerCount, rowAlignedOffsets } from "./workers.js";
+
+/**
+ * Where each collected row came from, and the cells its schema could not parse.
+ * Kept beside the rows rather than on them, so exports and stats never see them.
+ */
+const rowNumbers = new WeakMap();
+const parseFailures = new WeakMap();
+
+/**
+ * A cell the schema could not convert (it was loaded as null).
+ * @typedef {Object} ParseFailure
+ * @property {string} column
+ * @property {string} value - The raw text
+ */
+
+/**
+ * The data row a loaded listing came from: 1 is the first row after the header.
+ * Null for objects that were not loaded by loadCSV (e.g. copies made by nearest()).
+ * @param {Object} item
+ * @returns {number|null}
+ */
+export function rowNumberOf(item) {
+  return rowNumbers.get(item) ?? null;
+}
+
+/**
+ * The cells of a loaded listing that failed to parse.
+ * @param {Object} item
+ * @returns {ParseFailure[]}
+ */
+export function parseFailuresOf(item) {
+  return parseFailures.get(item) || [];
+}
+
+/**
+ * Copies a loaded listing with extra columns, keeping its row number and parse
+ * failures (for steps such as withOccupancy() that add columns).
+ * @param {Object} item
+ * @param {Object} columns
+ * @returns {Object}
+ */
+export function withColumns(item, columns) {
+  const copy = { ...item, ...columns };
+  if (rowNumbers.has(item)) rowNumbers.set(copy, rowNumbers.get(item));
+  if (parseFailures.has(item)) parseFailures.set(copy, parseFailures.get(item));
+  return copy;
+}
+
+/**
+ * Records where a listing came from and which of its cells failed to parse.
+ * Used while loading, and for listings restored from the cache.
+ * @param {Object} item
+ * @param {number} rowNumber
+ * @param {ParseFailure[]} [failures]
+ */
+export function trackRow(item, rowNumber, failures = []) {
+  rowNumbers.set(item, rowNumber);
+  if (failures.length) parseFailures.set(item, failures);
+}
+
+/**
+ * Converts one parsed record and remembers its row number and parse failures.
+ * @param {function(Object, function(string, string): void): Object} toListing
+ * @param {Object} row
+ * @param {number} rowNumber
+ * @returns {Object}
+ */
+function convertRow(toListing, row, rowNumber) {
+  const failures = [];
+  const item = toListing(row, (column, value) => failures.push({ column, value }));
+  trackRow(item, rowNumber, failures);
+  return item;
+}
+
+/**
+ * csv-parse options for every way of loading, including the parsing workers.
+ */
+export const CSV_OPTIONS = Object.freeze({ skip_empty_lines: true, trim: true });
+
+/**
+ * Options shared by the sync and streaming csv-parse APIs. The header row is
+ * handed to `onHeader` so its original column order can be kept for export.
+ * @param {function(string[]): void} onHeader
+ * @returns {Object}
+ */
+function csvOptions(onHeader) {
+  return {
+    columns: (header) => {
+      onHeader(header);
+      return header;
+    },
+    ...CSV_OPTIONS,
+  };
+}
+
+/**
+ * Smallest chunk handed to a parsing worker, by default.
+ */
+const DEFAULT_CHUNK_BYTES = 1024 * 1024;
+
+/**
+ * A loaded file: the typed listings plus the CSV header in its original order.
+ * @typedef {Object} Dataset
+ * @property {import("./AirBnBDataHandler.js").Listing[]} listings
+ * @property {string[]} columns
+ * @property {import("./partials.js").ListingAggregates} [aggregates] - Set when workers parsed
+ *   the file without a filter: the merged partial aggregates of every listing
+ */
+
+/**
+ * @typedef {Object} LoadProgress
+ * @property {number} rowsRead - Rows parsed so far
+ * @property {number} rowsKept - Rows that passed the filter (if any) so far
+ * @property {number} bytesRead - Bytes read from disk so far (compressed bytes for .gz)
+ * @property {number} totalBytes - Size of the file on disk
+ * @property {boolean} done - True on the final report
+ */
+
+/**
+ * @typedef {Object} LoadOptions
+ * @property {boolean} [stream=false] - Parse row by row instead of reading the whole file into memory
+ * @property {function(LoadProgress): void} [onProgress] - Called while streaming, and once at the end
+ * @property {number} [progressInterval=10000] - Report progress every N rows
+ * @property {function(Object): boolean} [filter] - Keep only rows for which this returns true
+ * @property {Object<string, string|function(string): any>} [schema] - Column type overrides, see schema.js
+ * @property {Object<string, string>} [baseSchema] - Schema the overrides apply to (defaults to LISTING_SCHEMA)
+ * @property {function(Object): void} [onRow] - Streaming only: receive each kept row instead of collecting
+ *   them, for files too large to hold as objects (e.g. calendar.csv.gz)
+ * @property {number|"auto"} [workers=0] - Parse in this many worker threads ("auto": one per core).
+ *   The file is read whole (unzipped, for .gz) and cut into row-aligned chunks; rows, row numbers
+ *   and parse failures are the same as on the main thread. Faster than `stream`, but the whole
+ *   file is held in memory, so it takes precedence over `stream` (with a warning when both are
+ *   given). Ignored with `onRow` or a schema with coercer functions
+ * @property {number} [chunkBytes=1048576] - Smallest chunk handed to a worker; a file that fits in
+ *   one chunk is parsed on the main thread
+ */
+
+/**
+ * Streams the CSV or CSV.GZ file through csv-parse, converting and filtering
+ * rows as they arrive so only the kept listings are ever held in memory
+ * (or none at all, when `onRow` consumes them).
+ * @async
+ * @param {string} filePath - Path to .csv or .csv.gz file
+ * @param {LoadOptions} [options]
+ * @returns {Promise<Dataset>}
+ */
+async function loadCSVStream(filePath, options = {}) {
+  const { onProgress, filter, onRow, progressInterval = 10000 } = options;
+  const toListing = createCoercer(options.schema, options.baseSchema);
+  const { size: totalBytes } = await stat(filePath);
+  const source = createReadStream(filePath);
+  const listings = [];
+  let columns = [];
+  let rowsRead = 0;
+  let rowsKept = 0;
+
+  const report = (done) => {
+    if (!onProgress) return;
+    onProgress({
+      rowsRead,
+      rowsKept,
+      bytesRead: source.bytesRead,
+      totalBytes,
+      done,
+    });
+  };
+
+  const parser = parseStream(csvOptions((header) => (columns = header)));
+  const stages = filePath.endsWith(".gz")
+    ? [source, zlib.createGunzip(), parser]
+    : [source, parser];
+
+  await pipeline(...stages, async (rows) => {
+    for await (const row of rows) {
+      rowsRead += 1;
+      // companion files streamed through onRow are too large to track per row
+      const item = onRow ? toListing(row) : convertRow(toListing, row, rowsRead);
+      // reported whether or not the row is kept, so a selective filter still shows progress
+      if (!filter || filter(item)) {
+        rowsKept += 1;
+        if (onRow) onRow(item);
+        else listings.push(item);
+      }
+      if (rowsRead % progressInterval === 0) report(false);
+    }
+  });
+
+  report(true);
+  return { listings, columns };
+}
+
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * The file's bytes, unzipped when it ends in .gz (on the libuv thread pool, so the
+ * main thread keeps reporting progress and serving requests meanwhile).
+ * @async
+ * @param {string} filePath
+ * @returns {Promise<Buffer>}
+ */
+async function readBytes(filePath) {
+  const contents = await readFile(filePath);
+  return filePath.endsWith(".gz") ? gunzip(contents) : contents;
+}
+
+/**
+ * Whether a schema can be sent to a worker (coercer functions cannot).
+ * @param {LoadOptions} options
+ * @returns {boolean}
+ */
+function hasPortableSchema(options) {
+  return [options.schema || {}, options.baseSchema || {}].every((schema) =>
+    Object.values(schema).every((type) => typeof type === "string")
+  );
+}
+
+/**
+ * Parses the file in worker threads: the header is read here, the rows after it are cut
+ * into row-aligned chunks (see rowAlignedOffsets), and each worker parses, converts and
+ * aggregates its chunks. Results are put back in file order, so rows, row numbers and
+ * parse failures match a single-threaded load. If any chunk fails to parse, the file is
+ * parsed again on the main thread, so the error (and its line number) is the one a
+ * single-threaded load reports.
+ * @async
+ * @param {string} filePath
+ * @param {LoadOptions} options
+ * @param {number} workers
+ * @returns {Promise<Dataset>}
+ */
+async function loadCSVParallel(filePath, options, workers) {
+  const { onProgress, filter, chunkBytes = DEFAULT_CHUNK_BYTES } = options;
+  const { size: totalBytes } = await stat(filePath);
+  const bytes = await readBytes(filePath);
+  const inThread = () => loadCSV(filePath, { ...options, workers: 0 });
+
+  // the header is the first record; blank lines before it are skipped like the parser does
+  let columns = [];
+  let bodyStart = 0;
+  try {
+    while (columns.length === 0 && bodyStart < bytes.length) {
+      const end = nextRowEnd(bytes, bodyStart);
+      [columns = []] = parse(bytes.subarray(bodyStart, end), CSV_OPTIONS);
+      bodyStart = end;
+    }
+  } catch {
+    return inThread();
+  }
+  const offsets = rowAlignedOffsets(bytes, bodyStart, chunkBytes);
+  if (offsets.length <= 2) return inThread();
+
+  const chunkCount = offsets.length - 1;
+  const poolSize = Math.min(workers, chunkCount);
+  const pool = createWorkerPool(new URL("./parseWorker.js", import.meta.url), poolSize);
+  const task = { columns, schema: options.schema, baseSchema: options.baseSchema, aggregates: !filter };
+  let rowsRead = 0;
+  let bytesParsed = 0;
+  let nextChunk = 0;
+  let failed = false;
+  const chunks = new Array(chunkCount);
+
+  // one feeder per worker, so at most one chunk per worker is copied at a time
+  const feed = async () => {
+    while (nextChunk < chunkCount && !failed) {
+      const index = nextChunk++;
+      // a copy, so only this chunk's bytes are transferred to the worker
+      const chunk = new Uint8Array(bytes.subarray(offsets[index], offsets[index + 1]));
+      const result = await pool.run({ ...task, bytes: chunk }, [chunk.buffer]);
+      chunks[index] = result;
+      rowsRead += result.listings.length;
+      bytesParsed += offsets[index + 1] - offsets[index];
+      onProgress?.({
+        rowsRead,
+        rowsKept: rowsRead,
+        bytesRead: Math.round((totalBytes * bytesParsed) / bytes.length),
+        totalBytes,
+        done: false,
+      });
+    }
+  };
+  try {
+    await Promise.all(Array.from({ length: poolSize }, feed));
+  } catch {
+    failed = true; // handled below, once the pool is closed
+  } finally {
+    await pool.close();
+  }
+  if (failed) return inThread();
+
+  const listings = [];
+  for (const chunk of chunks) {
+    const failures = new Map(chunk.failures);
+    const first = listings.length;
+    chunk.listings.forEach((item, index) => {
+      trackRow(item, first + index + 1, failures.get(index));
+      listings.push(item);
+    });
+  }
+  const kept = filter ? listings.filter(filter) : listings;
+  onProgress?.({ rowsRead, rowsKept: kept.length, bytesRead: totalBytes, totalBytes, done: true });
+  const dataset = { listings: kept, columns };
+  if (!filter) dataset.aggregates = chunks.map((chunk) => chunk.aggregates).reduce(mergeAggregates);
+  return dataset;
+}
+
+/**
+ * Reads the CSV or CSV.GZ file, returning an array of objects (each containing ALL columns).
+ * Every column the schema knows is converted to its real type (see schema.js); missing values become null.
+ * With `options.stream` the file is parsed incrementally instead (see loadCSVStream), and
+ * with `options.workers` in parallel (see loadCSVParallel). Workers hold the whole file in
+ * memory, so asking for both is a contradiction: workers win, with a process warning.
+ * @async
+ * @param {string} filePath - Path to .csv or .csv.gz file
+ * @param {LoadOptions} [options]
+ * @returns {Promise<Dataset>} - Array of objects with all columns, typed, plus the header
+ */
+export async function loadCSV(filePath, options = {}) {
+  const workers = resolveWorkerCount(options.workers);
+  if (workers > 0 && !options.onRow && hasPortableSchema(options)) {
+    if (options.stream) {
+      process.emitWarning(
+        `${filePath}: workers read the whole file into memory; the stream option is ignored`,
+        { code: "AIRBNB_STREAM_WITH_WORKERS" }
+      );
+    }
+    return loadCSVParallel(filePath, options, workers);
+  }
+  if (options.stream) {
+    return loadCSVStream(filePath, options);
+  }
+
+  // gzipped files are unzipped first
+  const raw = (await readBytes(filePath)).toString("utf-8");
+
+  // Parse the CSV into an array of objects keyed by header
+  let columns = [];
+  const records = parse(raw, csvOptions((header) => (columns = header)));
+
+  const toListing = createCoercer(options.schema, options.baseSchema);
+  const listings = records.map((row, index) => convertRow(toListing, row, index + 1));
+  return {
+    listings: options.filter ? listings.filter(options.filter) : listings,
+    columns,
+  };
+}
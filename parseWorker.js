@@ -0,0 +1,47 @@
+/**
+ * @file parseWorker.js
+ * @description Worker of the parsing pool (see workers.js): parses one row-aligned chunk
+ * of CSV bytes with the file's header, converts the rows with the schema and, when asked,
+ * computes the chunk's partial aggregates (see partials.js).
+ */
+
+import { parentPort } from "node:worker_threads";
+import { parse } from "csv-parse/sync";
+import { CSV_OPTIONS } from "./loader.js";
+import { createCoercer } from "./schema.js";
+import { listingAggregates } from "./partials.js";
+
+/**
+ * @typedef {Object} ChunkTask
+ * @property {Uint8Array} bytes - Whole rows, without the header
+ * @property {string[]} columns - The file's header
+ * @property {Object<string, string>} [schema]
+ * @property {Object<string, string>} [baseSchema]
+ * @property {boolean} aggregates - Whether to compute listingAggregates() of the chunk
+ */
+
+/**
+ * @typedef {Object} ChunkResult
+ * @property {Object[]} listings
+ * @property {Array<[number, import("./loader.js").ParseFailure[]]>} failures - By index in listings
+ * @property {import("./partials.js").ListingAggregates|null} aggregates
+ */
+
+parentPort.on("message", (/** @type {ChunkTask} */ task) => {
+  try {
+    const bytes = Buffer.from(task.bytes.buffer, task.bytes.byteOffset, task.bytes.length);
+    const records = parse(bytes, { ...CSV_OPTIONS, columns: task.columns });
+    const toListing = createCoercer(task.schema, task.baseSchema);
+    const failures = [];
+    const listings = records.map((row, index) => {
+      const found = [];
+      const item = toListing(row, (column, value) => found.push({ column, value }));
+      if (found.length) failures.push([index, found]);
+      return item;
+    });
+    const aggregates = task.aggregates ? listingAggregates(listings) : null;
+    parentPort.postMessage({ result: { listings, failures, aggregates } });
+  } catch (err) {
+    parentPort.postMessage({ error: err.message });
+  }
+});
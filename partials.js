@@ -0,0 +1,256 @@
+/**
+ * @file partials.js
+ * @description Mergeable partial aggregates behind computeStats(), computeHostRanking()
+ * and the price distribution. A partial is plain data, so it can be computed over one
+ * chunk of rows in a worker (see workers.js) and merged on the main thread. Sums are
+ * exact (Shewchuk's algorithm, as in Python's math.fsum) and rounded once at the end,
+ * so the merged result is identical to a single pass, however the rows were chunked.
+ */
+
+import { numericValues } from "./distribution.js";
+
+/**
+ * An exact running sum: non-overlapping floats whose exact total is the sum so far.
+ * @typedef {number[]} ExactSum
+ */
+
+/**
+ * Price totals by bedroom count ("unknown" when missing), over priced listings.
+ * @typedef {Object} StatsPartial
+ * @property {number} totalListings
+ * @property {Object<string, {count: number, sum: ExactSum}>} byRooms
+ */
+
+/**
+ * { host_id, host_name, listingsCount } by host_id, in first-seen order (a Map, since an
+ * object would put integer-like ids such as "1005" first, in numeric order).
+ * @typedef {Map<string, {host_id: string, host_name: string, listingsCount: number}>} HostTally
+ */
+
+/**
+ * Everything computed per chunk while loading in workers.
+ * @typedef {Object} ListingAggregates
+ * @property {StatsPartial} stats
+ * @property {HostTally} hosts
+ * @property {Object<string, number[]>} sorted - The finite values of SORTED_COLUMNS, ascending
+ *   (an exact quantile sketch: merging sorted runs loses nothing)
+ */
+
+/**
+ * Columns whose sorted values are kept, for distribution() of the full dataset.
+ */
+export const SORTED_COLUMNS = ["price"];
+
+/**
+ * Adds a finite number to an exact sum, in place.
+ * @param {ExactSum} partials
+ * @param {number} value
+ * @returns {ExactSum}
+ */
+function addExact(partials, value) {
+  let x = value;
+  let kept = 0;
+  for (let index = 0; index < partials.length; index++) {
+    let y = partials[index];
+    if (Math.abs(x) < Math.abs(y)) [x, y] = [y, x];
+    const hi = x + y;
+    const lo = y - (hi - x);
+    if (lo !== 0) partials[kept++] = lo;
+    x = hi;
+  }
+  partials.length = kept;
+  partials.push(x);
+  return partials;
+}
+
+/**
+ * @param {ExactSum} a
+ * @param {ExactSum} b
+ * @returns {ExactSum}
+ */
+function mergeExact(a, b) {
+  return b.reduce(addExact, [...a]);
+}
+
+/**
+ * The exact sum, correctly rounded to the nearest float (ties to even).
+ * @param {ExactSum} partials
+ * @returns {number}
+ */
+function exactTotal(partials) {
+  let index = partials.length;
+  if (index === 0) return 0;
+  let hi = partials[--index];
+  let lo = 0;
+  while (index > 0) {
+    const x = hi;
+    const y = partials[--index];
+    hi = x + y;
+    lo = y - (hi - x);
+    if (lo !== 0) break;
+  }
+  // half-way cases: the rest of the partials decide which way to round
+  if (index > 0 && ((lo < 0 && partials[index - 1] < 0) || (lo > 0 && partials[index - 1] > 0))) {
+    const y = lo * 2;
+    const x = hi + y;
+    if (y === x - hi) hi = x;
+  }
+  return hi;
+}
+
+/**
+ * The sum of finite numbers, exact and rounded once (independent of their order).
+ * @param {Iterable<number>} values
+ * @returns {number}
+ */
+export function exactSum(values) {
+  const partials = [];
+  for (const value of values) addExact(partials, value);
+  return exactTotal(partials);
+}
+
+/**
+ * @param {ReadonlyArray<Object>} rows
+ * @returns {StatsPartial}
+ */
+export function statsPartial(rows) {
+  const byRooms = {};
+  for (const item of rows) {
+    if (item.price === null || item.price === undefined) continue;
+    const key = item.bedrooms ?? "unknown";
+    if (!byRooms[key]) byRooms[key] = { count: 0, sum: [] };
+    byRooms[key].count += 1;
+    addExact(byRooms[key].sum, item.price);
+  }
+  return { totalListings: rows.length, byRooms };
+}
+
+/**
+ * @param {StatsPartial} a
+ * @param {StatsPartial} b - Rows after a's
+ * @returns {StatsPartial}
+ */
+export function mergeStats(a, b) {
+  const byRooms = { ...a.byRooms };
+  for (const [rooms, group] of Object.entries(b.byRooms)) {
+    byRooms[rooms] = byRooms[rooms]
+      ? {
+          count: byRooms[rooms].count + group.count,
+          sum: mergeExact(byRooms[rooms].sum, group.sum),
+        }
+      : group;
+  }
+  return { totalListings: a.totalListings + b.totalListings, byRooms };
+}
+
+/**
+ * The computeStats() result: totalListings, avgPrice and avgPriceByBedrooms.
+ * @param {StatsPartial} partial
+ * @returns {Object}
+ */
+export function statsResult({ totalListings, byRooms }) {
+  const groups = Object.entries(byRooms);
+  const priced = groups.reduce((count, [, group]) => count + group.count, 0);
+  if (priced === 0) {
+    return { totalListings, avgPrice: null, avgPriceByBedrooms: {} };
+  }
+  const total = groups.reduce((sum, [, group]) => mergeExact(sum, group.sum), []);
+  return {
+    totalListings,
+    avgPrice: exactTotal(total) / priced,
+    avgPriceByBedrooms: Object.fromEntries(
+      groups.map(([rooms, group]) => [rooms, exactTotal(group.sum) / group.count])
+    ),
+  };
+}
+
+/**
+ * Listings per host; listings without a host_id are skipped.
+ * @param {ReadonlyArray<Object>} rows
+ * @returns {HostTally}
+ */
+export function hostTally(rows) {
+  const tally = new Map();
+  for (const item of rows) {
+    if (!item.host_id) continue;
+    if (!tally.has(item.host_id)) {
+      tally.set(item.host_id, {
+        host_id: item.host_id,
+        host_name: item.host_name || "",
+        listingsCount: 0,
+      });
+    }
+    tally.get(item.host_id).listingsCount += 1;
+  }
+  return tally;
+}
+
+/**
+ * @param {HostTally} a
+ * @param {HostTally} b - Rows after a's
+ * @returns {HostTally}
+ */
+export function mergeHostTallies(a, b) {
+  const tally = new Map(a);
+  for (const [hostId, host] of b) {
+    const seen = tally.get(hostId);
+    tally.set(hostId, seen ? { ...seen, listingsCount: seen.listingsCount + host.listingsCount } : host);
+  }
+  return tally;
+}
+
+/**
+ * The computeHostRanking() result: hosts by listingsCount, descending; ties keep
+ * first-seen order.
+ * @param {HostTally} tally
+ * @returns {Array<{host_id: string, host_name: string, listingsCount: number}>}
+ */
+export function hostRanking(tally) {
+  return [...tally.values()].sort((a, b) => b.listingsCount - a.listingsCount);
+}
+
+/**
+ * Merges two ascending runs; on ties a's value comes first, as a stable sort would keep it.
+ * @param {number[]} a
+ * @param {number[]} b - Values from rows after a's
+ * @returns {number[]}
+ */
+function mergeSorted(a, b) {
+  const merged = new Array(a.length + b.length);
+  let i = 0;
+  let j = 0;
+  let k = 0;
+  while (i < a.length && j < b.length) merged[k++] = b[j] < a[i] ? b[j++] : a[i++];
+  while (i < a.length) merged[k++] = a[i++];
+  while (j < b.length) merged[k++] = b[j++];
+  return merged;
+}
+
+/**
+ * @param {ReadonlyArray<Object>} rows
+ * @returns {ListingAggregates}
+ */
+export function listingAggregates(rows) {
+  return {
+    stats: statsPartial(rows),
+    hosts: hostTally(rows),
+    sorted: Object.fromEntries(
+      SORTED_COLUMNS.map((column) => [column, numericValues(rows, column)])
+    ),
+  };
+}
+
+/**
+ * @param {ListingAggregates} a
+ * @param {ListingAggregates} b - Rows after a's
+ * @returns {ListingAggregates}
+ */
+export function mergeAggregates(a, b) {
+  return {
+    stats: mergeStats(a.stats, b.stats),
+    hosts: mergeHostTallies(a.hosts, b.hosts),
+    sorted: Object.fromEntries(
+      SORTED_COLUMNS.map((column) => [column, mergeSorted(a.sorted[column], b.sorted[column])])
+    ),
+  };
+}
@@ -0,0 +1,253 @@
+/**
+ * @file plugins.js
+ * @description Extension API: registerFilter(), registerMetric() and registerCommand()
+ * add analyses without editing the handler or the CLI. Registered filters and metrics
+ * become methods on every handler created afterwards; all three become script commands
+ * and interactive menu entries, with their help text and prompts. Plugins are ES modules
+ * loaded from a directory or a JSON config file with loadPlugins().
+ */
+
+import { readdir, readFile, stat } from "node:fs/promises";
+import { dirname, extname, join, resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { and, not, or, toPredicate, where } from "./query.js";
+
+/**
+ * One parameter of a plugin, used to convert script arguments and to prompt for values.
+ * @typedef {Object} PluginParam
+ * @property {string} name
+ * @property {"string"|"number"|"boolean"|"list"} [type="string"] - "list" is comma-separated
+ * @property {string} [prompt] - Question asked in the interactive menu (defaults to the name)
+ * @property {boolean} [optional=false] - Optional parameters may be left blank
+ */
+
+/**
+ * @typedef {Object} PluginOptions
+ * @property {string} [description] - One line of help text
+ * @property {PluginParam[]} [params]
+ * @property {function(...any): string} [describe] - Filters only: the step shown by describe(),
+ *   given the filter's arguments (defaults to "name(arg, ...)")
+ */
+
+/**
+ * @typedef {Object} PluginEntry
+ * @property {"filter"|"metric"|"command"} kind
+ * @property {string} name
+ * @property {function} fn
+ * @property {string} description
+ * @property {PluginParam[]} params
+ * @property {function(...any): string} [describe]
+ * @property {string|null} source - File the plugin was loaded from (null when registered in code)
+ */
+
+/**
+ * Registered plugins by lowercase name. Like the row metadata in loader.js this is
+ * module state: registering is how a plugin reaches handlers it never sees created.
+ * @type {Map<string, PluginEntry>}
+ */
+const registry = new Map();
+
+/**
+ * Lowercase names taken by built-in handler methods, script commands and menu entries.
+ * @type {Set<string>}
+ */
+const reservedNames = new Set();
+
+/**
+ * File currently being loaded by loadPlugins(), recorded on the entries it registers.
+ * @type {string|null}
+ */
+let loadingSource = null;
+
+const PARAM_TYPES = ["string", "number", "boolean", "list"];
+
+/**
+ * Marks names as built in, so plugins cannot shadow them. Called by the modules
+ * that define handler methods, script commands and menu entries.
+ * @param {Iterable<string>} names
+ */
+export function reserveNames(names) {
+  for (const name of names) reservedNames.add(name.toLowerCase());
+}
+
+/**
+ * Validates and stores one plugin.
+ * @param {"filter"|"metric"|"command"} kind
+ * @param {string} name
+ * @param {function} fn
+ * @param {PluginOptions} options
+ * @returns {PluginEntry}
+ */
+function register(kind, name, fn, options) {
+  if (typeof name !== "string" || !/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+    throw new Error(
+      `Invalid ${kind} name "${name}" (use letters, digits and _, starting with a letter)`
+    );
+  }
+  const key = name.toLowerCase();
+  if (reservedNames.has(key)) {
+    throw new Error(`"${name}" is a built-in name and cannot be registered`);
+  }
+  if (registry.has(key)) throw new Error(`"${name}" is already registered`);
+  if (typeof fn !== "function") throw new Error(`${kind} "${name}" must be a function`);
+  const { description = "", params = [], describe } = options;
+  for (const param of params) {
+    if (!param?.name || !PARAM_TYPES.includes(param.type ?? "string")) {
+      throw new Error(
+        `${kind} "${name}": each param needs a name and a type of ${PARAM_TYPES.join(", ")}`
+      );
+    }
+  }
+  const entry = Object.freeze({
+    kind,
+    name,
+    fn,
+    description,
+    params: Object.freeze(params.map((param) => Object.freeze({ type: "string", ...param }))),
+    describe,
+    source: loadingSource,
+  });
+  registry.set(key, entry);
+  return entry;
+}
+
+/**
+ * Registers a filter. `fn(...args)` returns a predicate (or a [column, op, value] tuple)
+ * and becomes a chainable handler method: registerFilter("nearBeach", (km) => ...)
+ * gives handler.nearBeach(2).filterByPrice(0, 150).
+ * @param {string} name
+ * @param {function(...any): import("./query.js").PredicateLike} fn
+ * @param {PluginOptions} [options]
+ * @returns {PluginEntry}
+ */
+export function registerFilter(name, fn, options = {}) {
+  return register("filter", name, fn, options);
+}
+
+/**
+ * Registers a metric. `fn(listings, ...args)` receives the handler's current data and
+ * returns any value; handler[name](...args) returns it, like computeStats().
+ * @param {string} name
+ * @param {function(ReadonlyArray<Object>, ...any): any} fn
+ * @param {PluginOptions} [options]
+ * @returns {PluginEntry}
+ */
+export function registerMetric(name, fn, options = {}) {
+  return register("metric", name, fn, options);
+}
+
+/**
+ * Registers a CLI command, run as `fn(run, args)` with the converted params, where
+ * run is the scripted run ({ handler, results, json }): set run.handler to change the
+ * pipeline, store output in run.results and print only when run.json is false.
+ * @param {string} name
+ * @param {function(import("./commands.js").ScriptRun, any[]): (void|Promise<void>)} fn
+ * @param {PluginOptions} [options]
+ * @returns {PluginEntry}
+ */
+export function registerCommand(name, fn, options = {}) {
+  return register("command", name, fn, options);
+}
+
+/**
+ * @param {string} name - Case-insensitive
+ * @returns {PluginEntry|null}
+ */
+export function pluginEntry(name) {
+  return registry.get(String(name).toLowerCase()) || null;
+}
+
+/**
+ * Every registered plugin, in registration order.
+ * @returns {PluginEntry[]}
+ */
+export function pluginEntries() {
+  return [...registry.values()];
+}
+
+/**
+ * The handler methods for registered filters and metrics, bound to one pipeline step.
+ * @param {ReadonlyArray<Object>} data - The step's current data
+ * @param {function(Object[], string): Object} next - Builds the handler for a new step
+ * @returns {Object<string, function>}
+ */
+export function pluginMethods(data, next) {
+  const methods = {};
+  for (const entry of registry.values()) {
+    if (entry.kind === "filter") {
+      methods[entry.name] = (...args) => {
+        const test = toPredicate(entry.fn(...args));
+        const step = entry.describe
+          ? entry.describe(...args)
+          : `${entry.name}(${args.map(String).join(", ")})`;
+        return next(data.filter(test), step);
+      };
+    } else if (entry.kind === "metric") {
+      methods[entry.name] = (...args) => entry.fn(data, ...args);
+    }
+  }
+  return methods;
+}
+
+/**
+ * Helpers handed to a plugin module's default export.
+ */
+const PLUGIN_API = Object.freeze({
+  registerFilter,
+  registerMetric,
+  registerCommand,
+  where,
+  and,
+  or,
+  not,
+});
+
+/**
+ * Imports one plugin module. A default-exported function is called with
+ * { registerFilter, registerMetric, registerCommand, where, and, or, not };
+ * a module may also import the register functions itself.
+ * @async
+ * @param {string} file - Absolute path
+ */
+async function loadPluginFile(file) {
+  loadingSource = file;
+  try {
+    const module = await import(pathToFileURL(file).href);
+    if (typeof module.default === "function") await module.default(PLUGIN_API);
+  } catch (err) {
+    err.message = `Plugin ${file}: ${err.message}`;
+    throw err;
+  } finally {
+    loadingSource = null;
+  }
+}
+
+/**
+ * Loads plugins from a path:
+ * - a directory: every .js / .mjs file in it, in name order
+ * - a .json config: { "plugins": ["./lisbon.js", "./shared/"] }, resolved against the config's directory
+ * - a .js / .mjs file
+ * @async
+ * @param {string} path
+ * @returns {Promise<string[]>} - The plugin files loaded
+ */
+export async function loadPlugins(path) {
+  const target = resolve(path);
+  if ((await stat(target)).isDirectory()) {
+    const names = (await readdir(target)).filter((name) => /\.m?js$/.test(name)).sort();
+    const files = names.map((name) => join(target, name));
+    for (const file of files) await loadPluginFile(file);
+    return files;
+  }
+  if (extname(target) === ".json") {
+    const config = JSON.parse(await readFile(target, "utf-8"));
+    if (!Array.isArray(config.plugins))
+      throw new Error(`${path} needs a "plugins" list of files or directories`);
+    const loaded = [];
+    for (const entry of config.plugins)
+      loaded.push(...(await loadPlugins(resolve(dirname(target), entry))));
+    return loaded;
+  }
+  await loadPluginFile(target);
+  return [target];
+}
@@ -0,0 +1,243 @@
+/**
+ * @file quality.js
+ * @description Data-quality checks over loaded listings: null rates per column, cells
+ * that failed to parse, duplicate ids, implausible values and price outliers (IQR and
+ * z-score). Produces a structured report and the per-row issues used to drop or
+ * quarantine bad rows.
+ */
+
+import { quantile } from "./aggregate.js";
+import { parseFailuresOf, rowNumberOf, withColumns } from "./loader.js";
+
+/**
+ * One problem found on one row.
+ * @typedef {Object} QualityIssue
+ * @property {number|null} row - Data row in the file (1 = first row after the header)
+ * @property {string|null} id
+ * @property {string} rule - See QUALITY_RULES
+ * @property {string|null} column
+ * @property {any} value
+ */
+
+/**
+ * @typedef {Object} ValidateOptions
+ * @property {number} [maxBedrooms=20] - More bedrooms than this is implausible
+ * @property {string[]} [outlierColumns=["price"]] - Numeric columns checked for outliers
+ * @property {number} [iqrMultiplier=1.5] - Outside q1 − k·IQR .. q3 + k·IQR is an outlier
+ * @property {number} [zThreshold=3] - |z| above this is an outlier
+ */
+
+/**
+ * @typedef {Object} OutlierSummary
+ * @property {number} values - Non-null values checked
+ * @property {number|null} q1
+ * @property {number|null} q3
+ * @property {number|null} lowerFence
+ * @property {number|null} upperFence
+ * @property {number|null} mean
+ * @property {number|null} stddev
+ * @property {number} iqrOutliers
+ * @property {number} zscoreOutliers
+ */
+
+/**
+ * @typedef {Object} QualityReport
+ * @property {number} rows
+ * @property {Object<string, {nulls: number, rate: number}>} nullRates - Per column, in header order
+ * @property {QualityIssue[]} parseFailures - Cells the schema could not convert (loaded as null)
+ * @property {Array<{id: string, rows: Array<number|null>, count: number}>} duplicates
+ * @property {Object<string, OutlierSummary>} outliers
+ * @property {QualityIssue[]} issues - Every issue, in row order
+ * @property {{rowsWithIssues: number, byRule: Object<string, number>}} summary
+ */
+
+/**
+ * Rules and what they flag.
+ */
+export const QUALITY_RULES = {
+  parse_error: "a cell could not be converted to its column type",
+  missing_id: "no id",
+  duplicate_id: "a repeated id (the first occurrence is not flagged)",
+  missing_host_id: "no host_id",
+  non_positive_price: "a price of 0 or less",
+  bedrooms_out_of_range: "a negative bedroom count, or more than maxBedrooms",
+  outlier_iqr: "outside the IQR fences",
+  outlier_zscore: "more than zThreshold standard deviations from the mean",
+};
+
+/**
+ * Rules that make a row "bad" for dropInvalid() unless others are chosen:
+ * everything except the statistical outliers, which can be genuine luxury listings.
+ */
+export const DEFAULT_DROP_RULES = [
+  "parse_error",
+  "missing_id",
+  "duplicate_id",
+  "missing_host_id",
+  "non_positive_price",
+  "bedrooms_out_of_range",
+];
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isMissing(value) {
+  return value === null || value === undefined || value === "";
+}
+
+/**
+ * IQR fences and mean / standard deviation of a column.
+ * @param {ReadonlyArray<Object>} rows
+ * @param {string} column
+ * @param {number} iqrMultiplier
+ * @returns {{values: number, q1: number|null, q3: number|null, lowerFence: number|null, upperFence: number|null, mean: number|null, stddev: number|null}}
+ */
+function columnSpread(rows, column, iqrMultiplier) {
+  const values = rows
+    .map((item) => item[column])
+    .filter((value) => typeof value === "number" && Number.isFinite(value))
+    .sort((a, b) => a - b);
+  if (values.length === 0) {
+    return { values: 0, q1: null, q3: null, lowerFence: null, upperFence: null, mean: null, stddev: null };
+  }
+  const q1 = quantile(values, 0.25);
+  const q3 = quantile(values, 0.75);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return {
+    values: values.length,
+    q1,
+    q3,
+    lowerFence: q1 - iqrMultiplier * (q3 - q1),
+    upperFence: q3 + iqrMultiplier * (q3 - q1),
+    mean,
+    stddev: Math.sqrt(variance),
+  };
+}
+
+/**
+ * Runs every rule and returns the issues found on each row (rows without issues are left out).
+ * @param {ReadonlyArray<Object>} rows
+ * @param {ValidateOptions} [options]
+ * @returns {{issuesByRow: Map<Object, QualityIssue[]>, spreads: Object<string, Object>}}
+ */
+function findIssues(rows, options = {}) {
+  const { maxBedrooms = 20, outlierColumns = ["price"], iqrMultiplier = 1.5, zThreshold = 3 } = options;
+  const spreads = Object.fromEntries(
+    outlierColumns.map((column) => [column, columnSpread(rows, column, iqrMultiplier)])
+  );
+  const seenIds = new Set();
+  const issuesByRow = new Map();
+
+  for (const item of rows) {
+    const issues = [];
+    const flag = (rule, column, value) =>
+      issues.push({ row: rowNumberOf(item), id: item.id ?? null, rule, column, value });
+
+    for (const { column, value } of parseFailuresOf(item)) flag("parse_error", column, value);
+    if (isMissing(item.id)) flag("missing_id", "id", item.id ?? null);
+    else if (seenIds.has(item.id)) flag("duplicate_id", "id", item.id);
+    else seenIds.add(item.id);
+    if (isMissing(item.host_id)) flag("missing_host_id", "host_id", item.host_id ?? null);
+    if (typeof item.price === "number" && item.price <= 0) flag("non_positive_price", "price", item.price);
+    if (typeof item.bedrooms === "number" && (item.bedrooms < 0 || item.bedrooms > maxBedrooms)) {
+      flag("bedrooms_out_of_range", "bedrooms", item.bedrooms);
+    }
+    for (const [column, spread] of Object.entries(spreads)) {
+      const value = item[column];
+      if (typeof value !== "number" || !Number.isFinite(value) || spread.values === 0) continue;
+      if (value < spread.lowerFence || value > spread.upperFence) flag("outlier_iqr", column, value);
+      if (spread.stddev > 0 && Math.abs(value - spread.mean) / spread.stddev > zThreshold) {
+        flag("outlier_zscore", column, value);
+      }
+    }
+    if (issues.length) issuesByRow.set(item, issues);
+  }
+  return { issuesByRow, spreads };
+}
+
+/**
+ * Builds the data-quality report for a set of rows.
+ * @param {ReadonlyArray<Object>} rows
+ * @param {string[]} columns - Columns to report null rates for (the CSV header)
+ * @param {ValidateOptions} [options]
+ * @returns {QualityReport}
+ */
+export function validateListings(rows, columns, options = {}) {
+  const { issuesByRow, spreads } = findIssues(rows, options);
+  const issues = [...issuesByRow.values()].flat();
+
+  const nullRates = Object.fromEntries(
+    columns.map((column) => {
+      const nulls = rows.filter((item) => isMissing(item[column])).length;
+      return [column, { nulls, rate: rows.length ? nulls / rows.length : 0 }];
+    })
+  );
+
+  const rowsById = new Map();
+  for (const item of rows) {
+    if (isMissing(item.id)) continue;
+    if (!rowsById.has(item.id)) rowsById.set(item.id, []);
+    rowsById.get(item.id).push(rowNumberOf(item));
+  }
+  const duplicates = [...rowsById]
+    .filter(([, rowList]) => rowList.length > 1)
+    .map(([id, rowList]) => ({ id, rows: rowList, count: rowList.length }));
+
+  const outliers = Object.fromEntries(
+    Object.entries(spreads).map(([column, spread]) => [
+      column,
+      {
+        ...spread,
+        iqrOutliers: issues.filter((issue) => issue.rule === "outlier_iqr" && issue.column === column).length,
+        zscoreOutliers: issues.filter((issue) => issue.rule === "outlier_zscore" && issue.column === column)
+          .length,
+      },
+    ])
+  );
+
+  const byRule = {};
+  for (const issue of issues) byRule[issue.rule] = (byRule[issue.rule] || 0) + 1;
+
+  return {
+    rows: rows.length,
+    nullRates,
+    parseFailures: issues.filter((issue) => issue.rule === "parse_error"),
+    duplicates,
+    outliers,
+    issues,
+    summary: { rowsWithIssues: issuesByRow.size, byRule },
+  };
+}
+
+/**
+ * Splits rows into those that pass and those with an issue under any of the given rules.
+ * Rejected rows are returned as copies with a `quality_issues` column ("rule:column; ...")
+ * so a quarantine export says why each row was removed.
+ * @param {ReadonlyArray<Object>} rows
+ * @param {ValidateOptions & {rules?: string[]}} [options]
+ * @returns {{kept: Object[], rejected: Object[]}}
+ */
+export function partitionInvalid(rows, options = {}) {
+  const { rules = DEFAULT_DROP_RULES } = options;
+  const unknown = rules.filter((rule) => !QUALITY_RULES[rule]);
+  if (unknown.length) {
+    throw new Error(
+      `Unknown quality rule "${unknown[0]}" (expected one of: ${Object.keys(QUALITY_RULES).join(", ")})`
+    );
+  }
+  const { issuesByRow } = findIssues(rows, options);
+  const kept = [];
+  const rejected = [];
+  for (const item of rows) {
+    const matching = (issuesByRow.get(item) || []).filter((issue) => rules.includes(issue.rule));
+    if (matching.length === 0) {
+      kept.push(item);
+    } else {
+      const reasons = matching.map((issue) => `${issue.rule}:${issue.column}`).join("; ");
+      rejected.push(withColumns(item, { quality_issues: reasons }));
+    }
+  }
+  return { kept, rejected };
+}
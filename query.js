@@ -0,0 +1,205 @@
+/**
+ * @file query.js
+ * @description Predicate builders for filtering listings on any column: where(column, op, value)
+ * plus and/or/not composition. Every builder returns a plain (item) => boolean function.
+ */
+
+/**
+ * A predicate over one listing. Builders attach a human-readable `description`.
+ * @typedef {function(Object): boolean} Predicate
+ */
+
+/**
+ * A predicate, or a [column, op, value] tuple that is passed to where().
+ * @typedef {Predicate|Array} PredicateLike
+ */
+
+/**
+ * Dates are compared by timestamp; a "YYYY-MM-DD" string is accepted against a Date column.
+ * @param {any} cell - The listing's value
+ * @param {any} value - The value from the query
+ * @returns {any}
+ */
+function comparable(cell, value) {
+  if (value instanceof Date) return value.getTime();
+  if (cell instanceof Date && typeof value === "string") return Date.parse(value);
+  return value;
+}
+
+/**
+ * @param {any} cell
+ * @returns {any}
+ */
+function cellValue(cell) {
+  return cell instanceof Date ? cell.getTime() : cell;
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isMissing(value) {
+  return value === null || value === undefined;
+}
+
+/**
+ * Operator implementations: (cell, value) => boolean. Cells are never null here;
+ * null cells only match isNull.
+ * @type {Object<string, function(any, any): boolean>}
+ */
+const OPERATORS = {
+  eq: (cell, value) => cellValue(cell) === comparable(cell, value),
+  neq: (cell, value) => cellValue(cell) !== comparable(cell, value),
+  gt: (cell, value) => cellValue(cell) > comparable(cell, value),
+  gte: (cell, value) => cellValue(cell) >= comparable(cell, value),
+  lt: (cell, value) => cellValue(cell) < comparable(cell, value),
+  lte: (cell, value) => cellValue(cell) <= comparable(cell, value),
+  between: (cell, [min, max]) =>
+    cellValue(cell) >= comparable(cell, min) && cellValue(cell) <= comparable(cell, max),
+  in: (cell, values) => values.some((value) => cellValue(cell) === comparable(cell, value)),
+  contains: (cell, value) => {
+    if (Array.isArray(cell)) return cell.includes(value);
+    return String(cell).toLowerCase().includes(String(value).toLowerCase());
+  },
+  regex: (cell, pattern) => pattern.test(String(cell)),
+};
+
+/**
+ * Alternative spellings accepted for each operator.
+ */
+const ALIASES = {
+  "=": "eq",
+  "==": "eq",
+  "!=": "neq",
+  ">": "gt",
+  ">=": "gte",
+  "<": "lt",
+  "<=": "lte",
+  range: "between",
+};
+
+/**
+ * Builds a predicate on one column.
+ *
+ * Operators: eq, neq, gt, gte, lt, lte (or =, !=, >, >=, <, <=), between/range ([min, max], inclusive),
+ * in (array of values), contains (substring, case-insensitive; or list membership for list columns),
+ * regex (RegExp or pattern string), isNull and notNull (no value).
+ * A missing (null) cell only ever matches isNull.
+ *
+ * @example
+ * where("room_type", "eq", "Private room")
+ * where("price", "between", [50, 200])
+ * where("amenities", "contains", "Wifi")
+ * @param {string} column
+ * @param {string} op
+ * @param {any} [value]
+ * @returns {Predicate}
+ */
+export function where(column, op, value) {
+  const name = ALIASES[op] || op;
+  const description = `${column} ${op}${value === undefined ? "" : ` ${formatValue(value)}`}`;
+
+  if (name === "isNull" || name === "notNull") {
+    const wantMissing = name === "isNull";
+    return withDescription((item) => isMissing(item[column]) === wantMissing, description);
+  }
+
+  const test = OPERATORS[name];
+  if (!test) {
+    throw new Error(`Unknown operator "${op}" in where("${column}", ...)`);
+  }
+  if (name === "between" && !(Array.isArray(value) && value.length === 2)) {
+    throw new Error(`where("${column}", "${op}", ...) expects a [min, max] pair`);
+  }
+  if (name === "in" && !Array.isArray(value)) {
+    throw new Error(`where("${column}", "in", ...) expects an array of values`);
+  }
+  if (value === undefined) {
+    throw new Error(`where("${column}", "${op}", ...) needs a value (only isNull and notNull take none)`);
+  }
+
+  const operand = name === "regex" && !(value instanceof RegExp) ? new RegExp(value, "i") : value;
+  return withDescription(
+    (item) => !isMissing(item[column]) && test(item[column], operand),
+    description
+  );
+}
+
+/**
+ * Formats a query value for descriptions (keeps Infinity, dates and regexes readable).
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(", ")}]`;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "string") return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Attaches a description to a predicate, for describe() output.
+ * @param {Predicate} predicate
+ * @param {string} description
+ * @returns {Predicate}
+ */
+function withDescription(predicate, description) {
+  predicate.description = description;
+  return predicate;
+}
+
+/**
+ * Accepts a predicate function or a [column, op, value] tuple.
+ * @param {PredicateLike} predicateLike
+ * @returns {Predicate}
+ */
+export function toPredicate(predicateLike) {
+  if (typeof predicateLike === "function") return predicateLike;
+  if (Array.isArray(predicateLike)) return where(...predicateLike);
+  throw new Error("Expected a predicate function or a [column, op, value] tuple");
+}
+
+/**
+ * Returns the description of a predicate, or a generic label for hand-written functions.
+ * @param {Predicate} predicate
+ * @returns {string}
+ */
+export function describePredicate(predicate) {
+  return predicate.description || "custom predicate";
+}
+
+/**
+ * Matches when every predicate matches.
+ * @param {...PredicateLike} predicates
+ * @returns {Predicate}
+ */
+export function and(...predicates) {
+  const parts = predicates.map(toPredicate);
+  return withDescription(
+    (item) => parts.every((predicate) => predicate(item)),
+    `(${parts.map(describePredicate).join(" AND ")})`
+  );
+}
+
+/**
+ * Matches when at least one predicate matches.
+ * @param {...PredicateLike} predicates
+ * @returns {Predicate}
+ */
+export function or(...predicates) {
+  const parts = predicates.map(toPredicate);
+  return withDescription(
+    (item) => parts.some((predicate) => predicate(item)),
+    `(${parts.map(describePredicate).join(" OR ")})`
+  );
+}
+
+/**
+ * Matches when the predicate does not.
+ * @param {PredicateLike} predicateLike
+ * @returns {Predicate}
+ */
+export function not(predicateLike) {
+  const predicate = toPredicate(predicateLike);
+  return withDescription((item) => !predicate(item), `NOT ${describePredicate(predicate)}`);
+}
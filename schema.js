@@ -0,0 +1,245 @@
+/**
+ * @file schema.js
+ * @description Declarative column schema and type coercion for Inside Airbnb listings.
+ * Every raw CSV string is converted to its real type, and missing values become null (never 0).
+ */
+
+/**
+ * Raw values that Inside Airbnb uses to mean "no value" in typed columns. In string
+ * columns only "" is missing: "NA" or "null" there may be a real name or description.
+ */
+const MISSING_VALUES = new Set(["", "N/A", "NA", "null"]);
+
+/**
+ * A coercer takes the raw (non-missing) CSV string and returns the typed value,
+ * or undefined when the string cannot be parsed as that type.
+ * @typedef {function(string): any} Coercer
+ */
+
+/**
+ * Parses a plain number such as "4.87" or "-9.1345".
+ * @type {Coercer}
+ */
+function toNumber(raw) {
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Parses a whole number such as "3".
+ * @type {Coercer}
+ */
+function toInteger(raw) {
+  const value = toNumber(raw);
+  return Number.isInteger(value) ? value : undefined;
+}
+
+/**
+ * Parses a currency amount such as "$1,234.00", stripping the symbol and EVERY thousands separator.
+ * @type {Coercer}
+ */
+function toCurrency(raw) {
+  const cleaned = raw.replace(/[^0-9.-]/g, "");
+  return cleaned ? toNumber(cleaned) : undefined;
+}
+
+/**
+ * Parses a percentage such as "94%" into percentage points (94).
+ * @type {Coercer}
+ */
+function toPercent(raw) {
+  return toNumber(raw.replace(/%$/, ""));
+}
+
+/**
+ * Parses Inside Airbnb booleans ("t"/"f"), plus the usual true/false spellings.
+ * @type {Coercer}
+ */
+function toBoolean(raw) {
+  const lowered = raw.toLowerCase();
+  if (lowered === "t" || lowered === "true" || lowered === "1") return true;
+  if (lowered === "f" || lowered === "false" || lowered === "0") return false;
+  return undefined;
+}
+
+/**
+ * Parses a "YYYY-MM-DD" date into a Date at UTC midnight.
+ * @type {Coercer}
+ */
+function toDate(raw) {
+  if (!/^\d{4}-\d{2}-\d{2}/.test(raw)) return undefined;
+  const date = new Date(raw.length === 10 ? `${raw}T00:00:00Z` : raw);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Parses a JSON-ish list such as `["Wifi", "Kitchen"]` or Python-style `['email', 'phone']`.
+ * @type {Coercer}
+ */
+function toList(raw) {
+  for (const candidate of [raw, raw.replace(/'/g, '"')]) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (Array.isArray(parsed)) return parsed;
+    } catch {
+      // try the next spelling
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Keeps text as-is.
+ * @type {Coercer}
+ */
+function toText(raw) {
+  return raw;
+}
+
+/**
+ * Built-in column types, by name.
+ * @type {Object<string, Coercer>}
+ */
+export const COLUMN_TYPES = {
+  string: toText,
+  number: toNumber,
+  integer: toInteger,
+  currency: toCurrency,
+  percent: toPercent,
+  boolean: toBoolean,
+  date: toDate,
+  list: toList,
+};
+
+/**
+ * Column types for the Inside Airbnb listings file. Ids stay strings because
+ * recent listing ids are larger than Number.MAX_SAFE_INTEGER.
+ * Columns not named here are kept as raw strings.
+ * @type {Object<string, string>}
+ */
+export const LISTING_SCHEMA = {
+  id: "string",
+  listing_url: "string",
+  scrape_id: "string",
+  last_scraped: "date",
+  source: "string",
+  name: "string",
+  description: "string",
+  neighborhood_overview: "string",
+  picture_url: "string",
+  host_id: "string",
+  host_url: "string",
+  host_name: "string",
+  host_since: "date",
+  host_location: "string",
+  host_about: "string",
+  host_response_time: "string",
+  host_response_rate: "percent",
+  host_acceptance_rate: "percent",
+  host_is_superhost: "boolean",
+  host_thumbnail_url: "string",
+  host_picture_url: "string",
+  host_neighbourhood: "string",
+  host_listings_count: "integer",
+  host_total_listings_count: "integer",
+  host_verifications: "list",
+  host_has_profile_pic: "boolean",
+  host_identity_verified: "boolean",
+  neighbourhood: "string",
+  neighbourhood_cleansed: "string",
+  neighbourhood_group_cleansed: "string",
+  latitude: "number",
+  longitude: "number",
+  property_type: "string",
+  room_type: "string",
+  accommodates: "integer",
+  bathrooms: "number",
+  bathrooms_text: "string",
+  bedrooms: "integer",
+  beds: "integer",
+  amenities: "list",
+  price: "currency",
+  minimum_nights: "integer",
+  maximum_nights: "integer",
+  minimum_minimum_nights: "integer",
+  maximum_minimum_nights: "integer",
+  minimum_maximum_nights: "integer",
+  maximum_maximum_nights: "integer",
+  minimum_nights_avg_ntm: "number",
+  maximum_nights_avg_ntm: "number",
+  calendar_updated: "string",
+  has_availability: "boolean",
+  availability_30: "integer",
+  availability_60: "integer",
+  availability_90: "integer",
+  availability_365: "integer",
+  calendar_last_scraped: "date",
+  number_of_reviews: "integer",
+  number_of_reviews_ltm: "integer",
+  number_of_reviews_l30d: "integer",
+  first_review: "date",
+  last_review: "date",
+  review_scores_rating: "number",
+  review_scores_accuracy: "number",
+  review_scores_cleanliness: "number",
+  review_scores_checkin: "number",
+  review_scores_communication: "number",
+  review_scores_location: "number",
+  review_scores_value: "number",
+  license: "string",
+  instant_bookable: "boolean",
+  calculated_host_listings_count: "integer",
+  calculated_host_listings_count_entire_homes: "integer",
+  calculated_host_listings_count_private_rooms: "integer",
+  calculated_host_listings_count_shared_rooms: "integer",
+  reviews_per_month: "number",
+};
+
+/**
+ * Resolves a schema entry (a type name or a custom coercer) to a coercer function.
+ * @param {string} column
+ * @param {string|Coercer} type
+ * @returns {Coercer}
+ */
+function resolveCoercer(column, type) {
+  if (typeof type === "function") return type;
+  const coercer = COLUMN_TYPES[type];
+  if (!coercer) {
+    throw new Error(`Unknown type "${type}" for column "${column}"`);
+  }
+  return coercer;
+}
+
+/**
+ * Builds a row converter from the listing schema plus user overrides.
+ * Overrides map a column to a type name from COLUMN_TYPES or a custom coercer function.
+ * @param {Object<string, string|Coercer>} [overrides]
+ * @param {Object<string, string>} [baseSchema=LISTING_SCHEMA]
+ * @returns {function(Object, function(string, string): void=): Object} - (row, onInvalid?) => typed row
+ */
+export function createCoercer(overrides = {}, baseSchema = LISTING_SCHEMA) {
+  const merged = { ...baseSchema, ...overrides };
+  const coercers = Object.fromEntries(
+    Object.entries(merged).map(([column, type]) => [column, resolveCoercer(column, type)])
+  );
+
+  return (row, onInvalid) => {
+    const item = { ...row };
+    for (const [column, raw] of Object.entries(row)) {
+      const coerce = coercers[column];
+      if (!coerce || typeof raw !== "string") continue;
+      if (coerce === toText ? raw === "" : MISSING_VALUES.has(raw)) {
+        item[column] = null;
+        continue;
+      }
+      const value = coerce(raw);
+      if (value === undefined) {
+        item[column] = null;
+        if (onInvalid) onInvalid(column, raw);
+      } else {
+        item[column] = value;
+      }
+    }
+    return item;
+  };
+}
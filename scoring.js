@@ -0,0 +1,246 @@
+/**
+ * @file scoring.js
+ * @description Listing scorers and top-N ranking: Bayesian-averaged ratings, price per
+ * bedroom / guest, rating-and-price value, and weighted multi-criteria scores.
+ */
+
+/**
+ * Turns the listings being ranked into a per-listing score function.
+ * A null score means "cannot be scored" and the listing is left out of the ranking.
+ * @typedef {function(ReadonlyArray<Object>, Object): function(Object): (number|null)} ScorerFactory
+ */
+
+/**
+ * @typedef {Object} Scorer
+ * @property {string} description
+ * @property {"asc"|"desc"} order - "desc" ranks high scores first, "asc" low scores first
+ * @property {ScorerFactory} prepare
+ */
+
+/**
+ * @typedef {Object} RankOptions
+ * @property {number} [limit=10] - How many listings to return
+ * @property {"asc"|"desc"} [order] - Overrides the scorer's order
+ * @property {number} [minReviews=10] - Bayesian prior weight, in reviews (bayesian and value scorers)
+ */
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+/**
+ * The mean review_scores_rating over listings that have one.
+ * @param {ReadonlyArray<Object>} data
+ * @returns {number|null}
+ */
+function meanRating(data) {
+  const rated = data.filter((item) => isNumber(item.review_scores_rating));
+  if (rated.length === 0) return null;
+  return rated.reduce((sum, item) => sum + item.review_scores_rating, 0) / rated.length;
+}
+
+/**
+ * Bayesian average: the listing's rating pulled towards the mean rating of all
+ * listings, with the prior counting as `minReviews` reviews. A listing with few
+ * reviews therefore cannot beat a well-reviewed one on a single 5-star review,
+ * and a listing with no reviews gets exactly the mean.
+ * @param {ReadonlyArray<Object>} data
+ * @param {{minReviews?: number}} options
+ * @returns {function(Object): (number|null)}
+ */
+function bayesianRating(data, { minReviews = 10 } = {}) {
+  const prior = meanRating(data);
+  return (item) => {
+    if (prior === null) return null;
+    const reviews = isNumber(item.number_of_reviews) ? item.number_of_reviews : 0;
+    const rating = isNumber(item.review_scores_rating) ? item.review_scores_rating : prior;
+    return (reviews * rating + minReviews * prior) / (reviews + minReviews);
+  };
+}
+
+/**
+ * Percentile rank of a value among `values`: 0 for the lowest, 1 for the highest; equal
+ * values share their middle rank.
+ * @param {number[]} values
+ * @returns {function(number): number}
+ */
+function percentileRank(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const countBelow = (value, orEqual) => {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (sorted[mid] < value || (orEqual && sorted[mid] === value)) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+  return (value) => {
+    if (sorted.length < 2) return 1;
+    const below = countBelow(value, false);
+    const equal = countBelow(value, true) - below;
+    return (below + (equal - 1) / 2) / (sorted.length - 1);
+  };
+}
+
+/**
+ * Whether a listing has reviews, a rating and a positive price, as the value scorer needs.
+ * @param {Object} item
+ * @returns {boolean}
+ */
+function isReviewedAndPriced(item) {
+  return (
+    isNumber(item.review_scores_rating) &&
+    item.number_of_reviews !== 0 &&
+    isNumber(item.price) &&
+    item.price > 0
+  );
+}
+
+/**
+ * A scorer dividing price by a positive count column (bedrooms, accommodates).
+ * @param {string} column
+ * @returns {ScorerFactory}
+ */
+function pricePer(column) {
+  return () => (item) =>
+    isNumber(item.price) && isNumber(item[column]) && item[column] > 0 ? item.price / item[column] : null;
+}
+
+/**
+ * Built-in scorers by name.
+ * @type {Object<string, Scorer>}
+ */
+export const SCORERS = {
+  value: {
+    description:
+      "Bayesian-averaged rating and low price, each as a percentile (0..1, higher is better); unreviewed listings left out",
+    order: "desc",
+    prepare(data, options) {
+      // a rating (a few points wide) divided by a price (hundreds wide) is just a cheapness
+      // ranking, so both are turned into percentiles over the listings being ranked first
+      const rating = bayesianRating(data, options);
+      const scorable = data.filter(isReviewedAndPriced);
+      const ratingRank = percentileRank(scorable.map(rating));
+      const priceRank = percentileRank(scorable.map((item) => item.price));
+      return (item) =>
+        isReviewedAndPriced(item) ? (ratingRank(rating(item)) + 1 - priceRank(item.price)) / 2 : null;
+    },
+  },
+  ratio: {
+    description: "Raw review_scores_rating / price, unreviewed listings left out",
+    order: "desc",
+    prepare: () => (item) =>
+      isNumber(item.review_scores_rating) && isNumber(item.price) && item.price > 0
+        ? item.review_scores_rating / item.price
+        : null,
+  },
+  bayesian: {
+    description: "Rating weighted by number_of_reviews (Bayesian average)",
+    order: "desc",
+    prepare: bayesianRating,
+  },
+  pricePerBedroom: {
+    description: "Price per bedroom (lower is better)",
+    order: "asc",
+    prepare: pricePer("bedrooms"),
+  },
+  pricePerGuest: {
+    description: "Price per guest the listing accommodates (lower is better)",
+    order: "asc",
+    prepare: pricePer("accommodates"),
+  },
+};
+
+/**
+ * Weighted multi-criteria scoring, e.g. { review_scores_cleanliness: 2, review_scores_location: 1, price: -1 }.
+ * Each column is min-max normalized to 0..1 over the listings being ranked; a negative
+ * weight means lower values are better. Listings missing any weighted column are left out.
+ * The score is the weighted mean, 0..1.
+ * @param {Object<string, number>} weights
+ * @returns {Scorer}
+ */
+export function weightedScorer(weights) {
+  const entries = Object.entries(weights);
+  const totalWeight = entries.reduce((sum, [, weight]) => sum + Math.abs(weight), 0);
+  if (entries.length === 0 || totalWeight === 0) {
+    throw new Error("Weighted scoring needs at least one non-zero weight");
+  }
+  return {
+    description: entries.map(([column, weight]) => `${column}×${weight}`).join(" + "),
+    order: "desc",
+    prepare(data) {
+      const ranges = Object.fromEntries(
+        entries.map(([column]) => {
+          const values = data.map((item) => item[column]).filter(isNumber);
+          const min = values.reduce((a, b) => (b < a ? b : a), Infinity);
+          const max = values.reduce((a, b) => (b > a ? b : a), -Infinity);
+          return [column, { min, span: max - min }];
+        })
+      );
+      return (item) => {
+        let score = 0;
+        for (const [column, weight] of entries) {
+          if (!isNumber(item[column])) return null;
+          const { min, span } = ranges[column];
+          const normalized = span === 0 ? 1 : (item[column] - min) / span;
+          score += weight > 0 ? weight * normalized : -weight * (1 - normalized);
+        }
+        return score / totalWeight;
+      };
+    },
+  };
+}
+
+/**
+ * Resolves rankBy's first argument: a scorer name, a weights object, or a plain
+ * (listing) => number function (ranked highest first).
+ * @param {string|Object<string, number>|function(Object): (number|null)} scoreBy
+ * @returns {Scorer}
+ */
+export function resolveScorer(scoreBy) {
+  if (typeof scoreBy === "function") {
+    return { description: "custom score", order: "desc", prepare: () => scoreBy };
+  }
+  if (typeof scoreBy === "string") {
+    const scorer = SCORERS[scoreBy];
+    if (!scorer) {
+      throw new Error(`Unknown scorer "${scoreBy}" (expected one of: ${Object.keys(SCORERS).join(", ")})`);
+    }
+    return scorer;
+  }
+  if (scoreBy && typeof scoreBy === "object") return weightedScorer(scoreBy);
+  throw new Error("rankBy expects a scorer name, a weights object or a score function");
+}
+
+/**
+ * Scores every listing and returns the top N as flat rows: { rank, score, ...listing }.
+ * Listings that cannot be scored (null score) are left out; ties keep the data order.
+ * @param {ReadonlyArray<Object>} data
+ * @param {string|Object<string, number>|function(Object): (number|null)} scoreBy
+ * @param {RankOptions} [options]
+ * @returns {Object[]}
+ */
+export function rankListings(data, scoreBy, options = {}) {
+  const { limit = 10 } = options;
+  const scorer = resolveScorer(scoreBy);
+  const order = options.order || scorer.order;
+  const score = scorer.prepare(data, options);
+
+  const scored = data
+    .map((listing) => ({ listing, score: score(listing) }))
+    .filter((entry) => isNumber(entry.score));
+  scored.sort((a, b) => (order === "asc" ? a.score - b.score : b.score - a.score));
+
+  // rank and score lead the row, and win over any listing column of the same name
+  return scored
+    .slice(0, limit)
+    .map(({ listing, score: value }, index) =>
+      Object.assign({ rank: 0, score: 0 }, listing, { rank: index + 1, score: value })
+    );
+}
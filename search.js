@@ -0,0 +1,243 @@
+/**
+ * @file search.js
+ * @description Full-text search over listings: an in-memory inverted index over name,
+ * description, neighborhood_overview and amenities, with tokenizing, light stemming,
+ * quoted phrase queries and BM25 ranking.
+ */
+
+/**
+ * Fields indexed, with their BM25F weights: a word in the name counts twice.
+ */
+export const SEARCH_FIELDS = {
+  name: 2,
+  description: 1,
+  neighborhood_overview: 1,
+  amenities: 1.5,
+};
+
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Position gap between fields and between amenities, so a phrase never matches
+ * across the end of one and the start of the next.
+ */
+const FIELD_GAP = 10;
+
+const STOPWORDS = new Set(
+  "a an and are as at be by for from has have in is it its of on or that the this to was with".split(
+    " "
+  )
+);
+
+/**
+ * Light suffix stripping so that "pets" / "pet", "views" / "view", "parking" / "park",
+ * "beaches" / "beach" and "cozy" / "cozies" meet. Deliberately conservative: stems shorter than three
+ * letters are left alone.
+ * @param {string} word
+ * @returns {string}
+ */
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  const strip = (suffix, replacement = "") => {
+    const base = word.slice(0, -suffix.length);
+    return base.length >= 3 ? base + replacement : word;
+  };
+  if (word.endsWith("ies")) return strip("ies", "y");
+  if (/(sses|ches|shes|xes|zes)$/.test(word)) return strip("es");
+  if (word.endsWith("ing")) return undouble(strip("ing"));
+  if (word.endsWith("ed") && !word.endsWith("eed")) return undouble(strip("ed"));
+  if (word.endsWith("ly")) return strip("ly");
+  if (word.endsWith("s") && !/(ss|us|is)$/.test(word)) return strip("s");
+  return word;
+}
+
+/**
+ * "shopp" → "shop", "swimm" → "swim" (but "hall" and "fizz" stay).
+ * @param {string} word
+ * @returns {string}
+ */
+function undouble(word) {
+  return /([^aeiouslz])\1$/.test(word) ? word.slice(0, -1) : word;
+}
+
+/**
+ * Splits text into lowercase, accent-free, stemmed terms, skipping stopwords.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * A parsed query: single terms and quoted phrases (as term lists).
+ * @typedef {Object} ParsedQuery
+ * @property {string[]} terms
+ * @property {string[][]} phrases
+ */
+
+/**
+ * Parses `hot tub "near the beach" pets` into terms and phrases.
+ * @param {string} query
+ * @returns {ParsedQuery}
+ */
+export function parseQuery(query) {
+  const phrases = [];
+  const rest = String(query).replace(/"([^"]*)"/g, (match, phrase) => {
+    const terms = tokenize(phrase);
+    if (terms.length) phrases.push(terms);
+    return " ";
+  });
+  return { terms: [...new Set(tokenize(rest))], phrases };
+}
+
+/**
+ * @typedef {Object} Posting
+ * @property {number} tf - Field-weighted term frequency
+ * @property {number[]} positions
+ */
+
+/**
+ * @typedef {Object} SearchIndex
+ * @property {function(string, {mode?: "all"|"any"}=): Array<{item: Object, score: number}>} search
+ */
+
+/**
+ * The text of one field as a list of separately positioned parts
+ * (each amenity is its own part).
+ * @param {Object} item
+ * @param {string} field
+ * @returns {string[]}
+ */
+function fieldParts(item, field) {
+  const value = item[field];
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+/**
+ * Builds an inverted index over the listings.
+ * @param {ReadonlyArray<Object>} listings
+ * @returns {SearchIndex}
+ */
+export function createSearchIndex(listings) {
+  /** @type {Map<string, Map<number, Posting>>} */
+  const postings = new Map();
+  const lengths = new Float64Array(listings.length);
+
+  listings.forEach((item, doc) => {
+    let position = 0;
+    for (const [field, weight] of Object.entries(SEARCH_FIELDS)) {
+      for (const part of fieldParts(item, field)) {
+        for (const term of tokenize(part)) {
+          if (!postings.has(term)) postings.set(term, new Map());
+          const docs = postings.get(term);
+          if (!docs.has(doc)) docs.set(doc, { tf: 0, positions: [] });
+          const posting = docs.get(doc);
+          posting.tf += weight;
+          posting.positions.push(position);
+          position += 1;
+          lengths[doc] += weight;
+        }
+        position += FIELD_GAP;
+      }
+    }
+  });
+
+  const averageLength = listings.length
+    ? lengths.reduce((sum, length) => sum + length, 0) / listings.length
+    : 0;
+
+  /**
+   * BM25 contribution of one term to one document.
+   * @param {Map<number, Posting>} docs
+   * @param {number} doc
+   * @returns {number}
+   */
+  const termScore = (docs, doc) => {
+    const posting = docs.get(doc);
+    if (!posting) return 0;
+    const idf = Math.log(1 + (listings.length - docs.size + 0.5) / (docs.size + 0.5));
+    const norm = 1 - B + (B * lengths[doc]) / (averageLength || 1);
+    return (idf * posting.tf * (K1 + 1)) / (posting.tf + K1 * norm);
+  };
+
+  /**
+   * Whether the document has the phrase's terms at consecutive positions.
+   * @param {string[]} phrase
+   * @param {number} doc
+   * @returns {boolean}
+   */
+  const hasPhrase = (phrase, doc) => {
+    const lists = phrase.map((term) => postings.get(term)?.get(doc)?.positions);
+    if (lists.some((positions) => !positions)) return false;
+    const following = lists.slice(1).map((positions) => new Set(positions));
+    return lists[0].some((start) =>
+      following.every((positions, offset) => positions.has(start + offset + 1))
+    );
+  };
+
+  return {
+    /**
+     * Documents matching the query, best first. Phrases must always match; bare terms
+     * must all match in "all" mode (the default) and at least one in "any" mode.
+     */
+    search(query, { mode = "all" } = {}) {
+      const { terms, phrases } = parseQuery(query);
+      if (terms.length === 0 && phrases.length === 0) return [];
+      const scoringTerms = [...new Set([...terms, ...phrases.flat()])];
+
+      // candidates: documents with every phrase term and (all | any of) the bare terms
+      const required = mode === "any" ? phrases.flat() : scoringTerms;
+      let candidates;
+      if (required.length) {
+        const lists = required.map((term) => postings.get(term));
+        if (lists.some((docs) => !docs)) return [];
+        lists.sort((a, b) => a.size - b.size);
+        candidates = [...lists[0].keys()].filter((doc) => lists.every((docs) => docs.has(doc)));
+      } else {
+        candidates = [...new Set(terms.flatMap((term) => [...(postings.get(term)?.keys() || [])]))];
+      }
+      if (mode === "any" && required.length && terms.length) {
+        candidates = candidates.filter((doc) => terms.some((term) => postings.get(term)?.has(doc)));
+      }
+
+      return candidates
+        .filter((doc) => phrases.every((phrase) => hasPhrase(phrase, doc)))
+        .map((doc) => ({
+          doc,
+          score: scoringTerms.reduce(
+            (sum, term) => sum + (postings.has(term) ? termScore(postings.get(term), doc) : 0),
+            0
+          ),
+        }))
+        .sort((a, b) => b.score - a.score || a.doc - b.doc)
+        .map(({ doc, score }) => ({ item: listings[doc], score }));
+    },
+  };
+}
+
+/**
+ * A predicate for listings whose amenities include every wanted one. Matching is on
+ * stemmed words, so "hot tub" matches "Hot tub" and "Private hot tub", and
+ * "pet allowed" matches "Pets allowed".
+ * @param {string[]} wanted
+ * @returns {function(Object): boolean}
+ */
+export function amenitiesPredicate(wanted) {
+  const needles = wanted
+    .map((amenity) => ` ${tokenize(amenity).join(" ")} `)
+    .filter((needle) => needle.trim());
+  return (item) => {
+    if (!Array.isArray(item.amenities)) return false;
+    const haystack = item.amenities.map((amenity) => ` ${tokenize(amenity).join(" ")} `);
+    return needles.every((needle) => haystack.some((amenity) => amenity.includes(needle)));
+  };
+}
@@ -0,0 +1,287 @@
+/**
+ * @file server.js
+ * @description A read-only JSON API over a loaded dataset, built on node:http.
+ * Every request starts from the same immutable handler and chains its own filters,
+ * so concurrent requests never see each other's state.
+ */
+
+import http from "node:http";
+import { createHash } from "node:crypto";
+import { SCRIPT_COMMANDS, parseHostOptions } from "./commands.js";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 1000;
+
+/**
+ * Query parameters that filter or enrich listings, in the order they are applied
+ * (enrichments first, so `where` can use the columns they add). Each maps to the
+ * scripted command of the same name and takes the same value as the CLI flag;
+ * any of them may repeat.
+ */
+const FILTER_PARAMS = [
+  "occupancy",
+  "velocity",
+  "price",
+  "bedrooms",
+  "score",
+  "where",
+  "search",
+  "amenities",
+  "radius",
+  "bbox",
+  "nearest",
+  "available",
+];
+
+/**
+ * How each parameter value is split into command arguments, as cli.js does for flags.
+ * @type {Object<string, function(string): string[]>}
+ */
+const PARAM_ARGS = {
+  where: (value) => value.trim().split(/\s+/),
+  available: (value) => value.split(","),
+};
+
+/**
+ * where operators the API refuses. A regex from the query string would run against
+ * every listing on the server's only thread, and a backtracking pattern such as
+ * (a+)+$ can stall it for every client; contains covers plain substring matches.
+ */
+const REFUSED_WHERE_OPS = new Set(["regex"]);
+
+/**
+ * Creates the error for a request the server cannot satisfy, with its HTTP status.
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Applies the filter query parameters to the base handler through the scripted commands.
+ * Any failure is the client's (a malformed range, an unknown column, a missing calendar),
+ * so it becomes a 400.
+ * @async
+ * @param {import("./AirBnBDataHandler.js").ChainableHandler} handler
+ * @param {URLSearchParams} params
+ * @returns {Promise<import("./AirBnBDataHandler.js").ChainableHandler>}
+ */
+async function applyFilters(handler, params) {
+  const run = { handler, results: {}, json: true };
+  for (const name of FILTER_PARAMS) {
+    for (const value of params.getAll(name)) {
+      const args = PARAM_ARGS[name] ? PARAM_ARGS[name](value) : [value];
+      if (name === "where" && REFUSED_WHERE_OPS.has(args[1])) {
+        throw httpError(400, `where: the ${args[1]} operator is not available over HTTP (use contains)`);
+      }
+      try {
+        await SCRIPT_COMMANDS[name](run, args);
+      } catch (err) {
+        throw httpError(400, `${name}: ${err.message}`);
+      }
+    }
+  }
+  return run.handler;
+}
+
+/**
+ * Reads a non-negative integer query parameter.
+ * @param {URLSearchParams} params
+ * @param {string} name
+ * @param {number} fallback
+ * @param {number} [max=Infinity]
+ * @returns {number}
+ */
+function integerParam(params, name, fallback, max = Infinity) {
+  const text = params.get(name);
+  if (text === null || text === "") return fallback;
+  if (!/^\d+$/.test(text))
+    throw httpError(400, `${name} must be a non-negative integer, got "${text}"`);
+  return Math.min(Number(text), max);
+}
+
+/**
+ * Route handlers: (context) => response body. Context holds the base handler,
+ * the query parameters and the path parameters.
+ * @type {Object<string, function({handler: Object, params: URLSearchParams, id?: string, listingsById: function(): Map}): Promise<Object>>}
+ */
+const ROUTES = {
+  async listings({ handler, params }) {
+    const filtered = await applyFilters(handler, params);
+    const limit = integerParam(params, "limit", DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = integerParam(params, "offset", 0);
+    const data = filtered.toArray();
+    const fields = params.get("fields");
+    const page = data.slice(offset, offset + limit);
+    return {
+      total: data.length,
+      offset,
+      limit,
+      next: offset + limit < data.length ? offset + limit : null,
+      steps: filtered.describe(),
+      listings: fields
+        ? page.map((item) =>
+            Object.fromEntries(fields.split(",").map((field) => [field, item[field] ?? null]))
+          )
+        : page,
+    };
+  },
+
+  async listing({ id, listingsById }) {
+    const listing = listingsById().get(id);
+    if (!listing) throw httpError(404, `No listing with id "${id}"`);
+    return listing;
+  },
+
+  async stats({ handler, params }) {
+    const filtered = await applyFilters(handler, params);
+    return { steps: filtered.describe(), ...filtered.computeStats() };
+  },
+
+  async hostRanking({ handler, params }) {
+    const filtered = await applyFilters(handler, params);
+    const limit = integerParam(params, "limit", 10, MAX_LIMIT);
+    let options;
+    let ranking;
+    try {
+      options = parseHostOptions(
+        params.get("sort") || undefined,
+        params.get("commercial") || undefined
+      );
+      ranking = filtered.computeHostProfiles(options);
+    } catch (err) {
+      throw httpError(400, err.message);
+    }
+    return {
+      steps: filtered.describe(),
+      sortBy: options.sortBy,
+      order: options.order,
+      hosts: ranking.slice(0, limit),
+    };
+  },
+};
+
+/**
+ * Matches a path to a route name and its path parameters.
+ * @param {string} pathname
+ * @returns {{route: string, id?: string}|null}
+ */
+function matchRoute(pathname) {
+  const path = pathname.replace(/\/+$/, "") || "/";
+  if (path === "/listings") return { route: "listings" };
+  if (path === "/stats") return { route: "stats" };
+  if (path === "/hosts/ranking") return { route: "hostRanking" };
+  const match = /^\/listings\/([^/]+)$/.exec(path);
+  if (!match) return null;
+  try {
+    return { route: "listing", id: decodeURIComponent(match[1]) };
+  } catch {
+    throw httpError(400, `Malformed listing id "${match[1]}"`);
+  }
+}
+
+/**
+ * Whether the request's If-None-Match header covers the ETag.
+ * @param {string|undefined} header
+ * @param {string} etag
+ * @returns {boolean}
+ */
+function etagMatches(header, etag) {
+  if (!header) return false;
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === "*" || tag === etag);
+}
+
+/**
+ * Sends a JSON body with an ETag, or 304 when the client already has it.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ */
+function sendJSON(req, res, status, body) {
+  const payload = JSON.stringify(body);
+  const etag = `"${createHash("sha1").update(payload).digest("base64url")}"`;
+  const headers = {
+    "Content-Type": "application/json; charset=utf-8",
+    ETag: etag,
+    "Cache-Control": "no-cache",
+  };
+  if (status === 200 && etagMatches(req.headers["if-none-match"], etag)) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  res.writeHead(status, {
+    ...headers,
+    "Content-Length": Buffer.byteLength(payload),
+  });
+  res.end(req.method === "HEAD" ? undefined : payload);
+}
+
+/**
+ * Creates (but does not start) an HTTP server answering:
+ * - GET /listings?price=50:200&bedrooms=1:3&where=room_type eq Private room&limit=50&offset=0&fields=id,name
+ * - GET /listings/:id
+ * - GET /stats (same filters)
+ * - GET /hosts/ranking?sort=estimatedRevenue&commercial=5,2&limit=10 (same filters)
+ * Malformed parameters get a 400 with { error }, unknown routes and ids a 404.
+ * @param {import("./AirBnBDataHandler.js").ChainableHandler} handler - The dataset to serve
+ * @returns {http.Server}
+ */
+export function createServer(handler) {
+  let byId = null;
+  const listingsById = () => {
+    if (!byId) byId = new Map(handler.toArray().map((item) => [String(item.id), item]));
+    return byId;
+  };
+
+  return http.createServer(async (req, res) => {
+    try {
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        res.setHeader("Allow", "GET, HEAD");
+        throw httpError(405, `Method ${req.method} not allowed`);
+      }
+      const url = new URL(req.url, "http://localhost");
+      const matched = matchRoute(url.pathname);
+      if (!matched) throw httpError(404, `No route for ${url.pathname}`);
+      const body = await ROUTES[matched.route]({
+        handler,
+        params: url.searchParams,
+        id: matched.id,
+        listingsById,
+      });
+      sendJSON(req, res, 200, body);
+    } catch (err) {
+      const status = err.status || (err.code === "EUSAGE" ? 400 : 500);
+      sendJSON(req, res, status, {
+        error: status === 500 ? "Internal server error" : err.message,
+      });
+      if (status === 500) console.error(err);
+    }
+  });
+}
+
+/**
+ * Starts serving a handler and resolves once the server is listening.
+ * @async
+ * @param {import("./AirBnBDataHandler.js").ChainableHandler} handler
+ * @param {{port?: number, host?: string}} [options]
+ * @returns {Promise<http.Server>}
+ */
+export function startServer(handler, { port = 3000, host = "127.0.0.1" } = {}) {
+  const server = createServer(handler);
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,179 @@
+/**
+ * @file snapshots.js
+ * @description Compares two scrapes of the same city, matched by listing id: listings
+ * added and removed, price changes, hosts gaining or losing listings, and the change
+ * in computeStats() aggregates.
+ */
+
+/**
+ * An old → new change in a number.
+ * @typedef {Object} Delta
+ * @property {number|null} old
+ * @property {number|null} new
+ * @property {number|null} change - new − old (null when either side is missing)
+ * @property {number|null} change_pct - Percent change (null when old is missing or 0)
+ */
+
+/**
+ * @typedef {Object} SnapshotDiff
+ * @property {{listings: number}} old - Distinct listing ids in the old snapshot
+ * @property {{listings: number}} new - Distinct listing ids in the new snapshot
+ * @property {Object[]} added - Listings only in the new snapshot (id, name, host, price)
+ * @property {Object[]} removed - Listings only in the old snapshot
+ * @property {Object[]} priceChanges - { id, name, old_price, new_price, change, change_pct }, largest moves first
+ * @property {Object[]} hostChanges - { host_id, host_name, old_listings, new_listings, change }, gainers first
+ * @property {{totalListings: Delta, avgPrice: Delta, avgPriceByBedrooms: Object<string, Delta>}} statsChanges
+ */
+
+/**
+ * Columns of diffRows(), in export order.
+ */
+export const DIFF_COLUMNS = ["type", "key", "name", "old", "new", "change", "change_pct"];
+
+/**
+ * @param {number|null} oldValue
+ * @param {number|null} newValue
+ * @returns {Delta}
+ */
+export function delta(oldValue, newValue) {
+  const known = oldValue !== null && oldValue !== undefined && newValue !== null && newValue !== undefined;
+  return {
+    old: oldValue ?? null,
+    new: newValue ?? null,
+    change: known ? newValue - oldValue : null,
+    change_pct: known && oldValue !== 0 ? ((newValue - oldValue) / Math.abs(oldValue)) * 100 : null,
+  };
+}
+
+/**
+ * The columns kept for added and removed listings.
+ * @param {Object} listing
+ * @returns {Object}
+ */
+function summary(listing) {
+  return {
+    id: listing.id,
+    name: listing.name ?? null,
+    host_id: listing.host_id ?? null,
+    host_name: listing.host_name ?? null,
+    neighbourhood_cleansed: listing.neighbourhood_cleansed ?? null,
+    room_type: listing.room_type ?? null,
+    price: listing.price ?? null,
+  };
+}
+
+/**
+ * @param {ReadonlyArray<Object>} listings
+ * @returns {Map<string, {host_name: string, count: number}>}
+ */
+function countByHost(listings) {
+  const counts = new Map();
+  for (const item of listings) {
+    if (!item.host_id) continue;
+    const entry = counts.get(item.host_id) || { host_name: item.host_name || "", count: 0 };
+    entry.count += 1;
+    counts.set(item.host_id, entry);
+  }
+  return counts;
+}
+
+/**
+ * Diffs two handlers (usually two scrape dates of one city, each possibly filtered
+ * the same way). Listings are matched by id; a listing whose id appears more than
+ * once keeps its last row.
+ * @param {import("./AirBnBDataHandler.js").ChainableHandler} oldHandler
+ * @param {import("./AirBnBDataHandler.js").ChainableHandler} newHandler
+ * @returns {SnapshotDiff}
+ */
+export function diffSnapshots(oldHandler, newHandler) {
+  const oldById = new Map(oldHandler.toArray().map((item) => [item.id, item]));
+  const newById = new Map(newHandler.toArray().map((item) => [item.id, item]));
+
+  const added = [...newById.values()].filter((item) => !oldById.has(item.id)).map(summary);
+  const removed = [...oldById.values()].filter((item) => !newById.has(item.id)).map(summary);
+
+  const priceChanges = [];
+  for (const [id, before] of oldById) {
+    const after = newById.get(id);
+    if (!after || before.price === null || after.price === null || before.price === after.price) continue;
+    const { change, change_pct } = delta(before.price, after.price);
+    priceChanges.push({
+      id,
+      name: after.name ?? before.name ?? null,
+      old_price: before.price,
+      new_price: after.price,
+      change,
+      change_pct,
+    });
+  }
+  priceChanges.sort(
+    (a, b) => Math.abs(b.change_pct ?? Infinity) - Math.abs(a.change_pct ?? Infinity)
+  );
+
+  const oldHosts = countByHost(oldById.values());
+  const newHosts = countByHost(newById.values());
+  const hostChanges = [...new Set([...oldHosts.keys(), ...newHosts.keys()])]
+    .map((hostId) => {
+      const oldListings = oldHosts.get(hostId)?.count ?? 0;
+      const newListings = newHosts.get(hostId)?.count ?? 0;
+      return {
+        host_id: hostId,
+        host_name: (newHosts.get(hostId) || oldHosts.get(hostId)).host_name,
+        old_listings: oldListings,
+        new_listings: newListings,
+        change: newListings - oldListings,
+      };
+    })
+    .filter((host) => host.change !== 0)
+    .sort((a, b) => b.change - a.change || a.host_id.localeCompare(b.host_id));
+
+  const oldStats = oldHandler.computeStats();
+  const newStats = newHandler.computeStats();
+  const bedrooms = [
+    ...new Set([...Object.keys(oldStats.avgPriceByBedrooms), ...Object.keys(newStats.avgPriceByBedrooms)]),
+  ];
+
+  return {
+    old: { listings: oldById.size },
+    new: { listings: newById.size },
+    added,
+    removed,
+    priceChanges,
+    hostChanges,
+    statsChanges: {
+      totalListings: delta(oldStats.totalListings, newStats.totalListings),
+      avgPrice: delta(oldStats.avgPrice, newStats.avgPrice),
+      avgPriceByBedrooms: Object.fromEntries(
+        bedrooms.map((rooms) => [
+          rooms,
+          delta(oldStats.avgPriceByBedrooms[rooms], newStats.avgPriceByBedrooms[rooms]),
+        ])
+      ),
+    },
+  };
+}
+
+/**
+ * Flattens a diff into one table for CSV / NDJSON / Markdown export:
+ * rows of DIFF_COLUMNS, where type is "added", "removed", "price", "host" or "stat".
+ * @param {SnapshotDiff} diff
+ * @returns {Object[]}
+ */
+export function diffRows(diff) {
+  const row = (type, key, name, change) => ({ type, key, name, ...change });
+  return [
+    ...diff.added.map((item) => row("added", item.id, item.name, delta(null, item.price))),
+    ...diff.removed.map((item) => row("removed", item.id, item.name, delta(item.price, null))),
+    ...diff.priceChanges.map((item) =>
+      row("price", item.id, item.name, delta(item.old_price, item.new_price))
+    ),
+    ...diff.hostChanges.map((host) =>
+      row("host", host.host_id, host.host_name, delta(host.old_listings, host.new_listings))
+    ),
+    row("stat", "totalListings", null, diff.statsChanges.totalListings),
+    row("stat", "avgPrice", null, diff.statsChanges.avgPrice),
+    ...Object.entries(diff.statsChanges.avgPriceByBedrooms).map(([rooms, change]) =>
+      row("stat", `avgPriceByBedrooms.${rooms}`, null, change)
+    ),
+  ];
+}
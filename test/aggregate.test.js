@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { aggregate, quantile } from "../aggregate.js";
+import { writeExport } from "../exporters.js";
+
+const listings = [
+  { area: "Alfama", room_type: "Private room", price: 50 },
+  { area: "Alfama", room_type: "Entire home/apt", price: 120 },
+  { area: "Belem", room_type: "Private room", price: 40 },
+  { area: "Alfama", room_type: "Private room", price: 70 },
+  { area: "Alfama", room_type: "Private room", price: null },
+  { area: null, room_type: "Shared room", price: 20 },
+];
+
+test("quantile interpolates between ranks", () => {
+  assert.equal(quantile([10, 20, 30, 40], 0.5), 25);
+  assert.equal(quantile([10, 20, 30, 40], 0.9), 37);
+  assert.equal(quantile([], 0.5), null);
+});
+
+test("aggregate computes each spec entry per group, in first-seen order", () => {
+  const rows = aggregate(listings, ["area", "room_type"], {
+    listings: "count",
+    medianPrice: ["median", "price"],
+    maxPrice: ["max", "price"],
+    p10Price: ["p10", "price"],
+  });
+  assert.deepEqual(rows, [
+    {
+      area: "Alfama",
+      room_type: "Private room",
+      listings: 3,
+      medianPrice: 60,
+      maxPrice: 70,
+      p10Price: 52,
+    },
+    {
+      area: "Alfama",
+      room_type: "Entire home/apt",
+      listings: 1,
+      medianPrice: 120,
+      maxPrice: 120,
+      p10Price: 120,
+    },
+    {
+      area: "Belem",
+      room_type: "Private room",
+      listings: 1,
+      medianPrice: 40,
+      maxPrice: 40,
+      p10Price: 40,
+    },
+    {
+      area: null,
+      room_type: "Shared room",
+      listings: 1,
+      medianPrice: 20,
+      maxPrice: 20,
+      p10Price: 20,
+    },
+  ]);
+});
+
+test("aggregate without grouping columns is one group; empty columns give null", () => {
+  const [all] = aggregate(listings, [], {
+    sum: ["sum", "price"],
+    mean: ["avg", "price"],
+    spread: ["stddev", "price"],
+  });
+  assert.equal(all.sum, 300);
+  assert.equal(all.mean, 60);
+  assert.ok(Math.abs(all.spread - 38.0789) < 1e-4);
+  const [none] = aggregate([{ price: null }], [], { sum: ["sum", "price"], min: ["min", "price"] });
+  assert.deepEqual(none, { sum: 0, min: null });
+});
+
+test("aggregate rejects unknown aggregators and missing columns", () => {
+  assert.throws(
+    () => aggregate(listings, [], { x: ["mode", "price"] }),
+    /Unknown aggregator "mode"/
+  );
+  assert.throws(() => aggregate(listings, [], { x: "median" }), /needs a column/);
+});
+
+test("grouped results are plain rows that export like listings", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "aggregate-"));
+  try {
+    const rows = aggregate(listings, ["area"], { listings: "count", avgPrice: ["avg", "price"] });
+    const csv = join(dir, "groups.csv");
+    await writeExport(csv, rows);
+    assert.equal(
+      await readFile(csv, "utf8"),
+      "area,listings,avgPrice\nAlfama,4,80\nBelem,1,40\n,1,20\n"
+    );
+    const json = join(dir, "groups.json");
+    await writeExport(json, rows);
+    assert.deepEqual(JSON.parse(await readFile(json, "utf8")), rows);
+  } finally {
+    await rm(dir, { recursive: true });
+  }
+});
@@ -0,0 +1,125 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, readFile, rm, stat, utimes, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { clearCache, loadCSVCached } from "../cache.js";
+
+const FIXTURE = new URL("./fixtures/listings.csv", import.meta.url).pathname;
+
+test("a cached load returns the rows and aggregates of the load that wrote it", async () => {
+  const cacheDir = await mkdtemp(join(tmpdir(), "airbnb-cache-"));
+  try {
+    const options = { cacheDir, workers: 2, chunkBytes: 100 };
+    const parsed = await loadCSVCached(FIXTURE, options);
+    assert.ok(parsed.aggregates, "workers computed aggregates");
+    const cached = await loadCSVCached(FIXTURE, options);
+    assert.notEqual(cached.listings, parsed.listings);
+    assert.deepEqual(cached.listings, parsed.listings);
+    assert.deepEqual(cached.columns, parsed.columns);
+    assert.deepEqual(cached.aggregates, parsed.aggregates);
+  } finally {
+    await rm(cacheDir, { recursive: true });
+  }
+});
+
+test("an entry written without workers has no aggregates", async () => {
+  const cacheDir = await mkdtemp(join(tmpdir(), "airbnb-cache-"));
+  try {
+    await loadCSVCached(FIXTURE, { cacheDir });
+    const cached = await loadCSVCached(FIXTURE, { cacheDir });
+    assert.equal(cached.listings.length, 5);
+    assert.equal(cached.aggregates, undefined);
+  } finally {
+    await rm(cacheDir, { recursive: true });
+  }
+});
+
+// whole-second mtimes survive a stat/utimes round trip on every filesystem
+const MTIME = new Date("2024-01-01T00:00:00Z");
+
+/** Runs `check` with a listings file and a cache directory, both temporary. */
+const withEntry = async (text, check) => {
+  const dir = await mkdtemp(join(tmpdir(), "airbnb-cache-"));
+  try {
+    const file = join(dir, "listings.csv");
+    await writeFile(file, text);
+    await utimes(file, MTIME, MTIME);
+    await check(file, join(dir, "cache"));
+  } finally {
+    await rm(dir, { recursive: true });
+  }
+};
+
+const prices = async (file, options) =>
+  (await loadCSVCached(file, options)).listings.map((item) => item.price);
+
+/** Rewrites a file, then puts its original mtime back. */
+const rewriteKeepingMtime = async (file, text) => {
+  await writeFile(file, text);
+  await utimes(file, MTIME, MTIME);
+};
+
+test("an entry is used while the file's size and mtime are unchanged", async () => {
+  await withEntry("id,price\n1,$10.00\n", async (file, cacheDir) => {
+    assert.deepEqual(await prices(file, { cacheDir }), [10]);
+    assert.deepEqual((await readdir(cacheDir)).map((name) => name.split(".")[1]).sort(), [
+      "json",
+      "v8",
+    ]);
+    // same size and mtime: the entry is trusted without reading the file
+    await rewriteKeepingMtime(file, "id,price\n1,$20.00\n");
+    assert.deepEqual(await prices(file, { cacheDir }), [10]);
+  });
+});
+
+test("a change in size reparses the file", async () => {
+  await withEntry("id,price\n1,$10.00\n", async (file, cacheDir) => {
+    await prices(file, { cacheDir });
+    await rewriteKeepingMtime(file, "id,price\n1,$100.00\n");
+    assert.deepEqual(await prices(file, { cacheDir }), [100]);
+  });
+});
+
+test("a new mtime checks the content hash", async () => {
+  await withEntry("id,price\n1,$10.00\n", async (file, cacheDir) => {
+    await prices(file, { cacheDir });
+    const [metaName] = (await readdir(cacheDir)).filter((name) => name.endsWith(".json"));
+    const later = new Date("2024-01-02T00:00:00Z");
+
+    // touched only: the entry stays, with the new mtime remembered
+    await utimes(file, later, later);
+    assert.deepEqual(await prices(file, { cacheDir }), [10]);
+    const meta = JSON.parse(await readFile(join(cacheDir, metaName), "utf8"));
+    assert.equal(meta.mtimeMs, (await stat(file)).mtimeMs);
+
+    // same size, new content: the hash differs and the file is parsed again
+    await writeFile(file, "id,price\n1,$20.00\n");
+    const evenLater = new Date("2024-01-03T00:00:00Z");
+    await utimes(file, evenLater, evenLater);
+    assert.deepEqual(await prices(file, { cacheDir }), [20]);
+  });
+});
+
+test("cache: false and filtered loads neither read nor write entries", async () => {
+  await withEntry("id,price\n1,$10.00\n2,$30.00\n", async (file, cacheDir) => {
+    await prices(file, { cacheDir, cache: false });
+    await prices(file, { cacheDir, filter: (item) => item.price > 20 });
+    await assert.rejects(readdir(cacheDir), { code: "ENOENT" });
+
+    await prices(file, { cacheDir });
+    await rewriteKeepingMtime(file, "id,price\n1,$90.00\n2,$30.00\n");
+    assert.deepEqual(await prices(file, { cacheDir, cache: false }), [90, 30]);
+  });
+});
+
+test("clearCache removes every entry and counts them", async () => {
+  await withEntry("id,price\n1,$10.00\n", async (file, cacheDir) => {
+    await prices(file, { cacheDir });
+    await prices(file, { cacheDir, schema: { price: "string" } });
+    await writeFile(join(cacheDir, "notes.txt"), "kept");
+    assert.equal(await clearCache(cacheDir), 2);
+    assert.deepEqual(await readdir(cacheDir), ["notes.txt"]);
+    assert.equal(await clearCache(join(cacheDir, "missing")), 0);
+  });
+});
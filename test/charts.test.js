@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  barChart,
+  boxPlotLines,
+  distributionHTML,
+  distributionSVG,
+  formatNumber,
+  labelledBars,
+  renderDistribution,
+  resolveChartFormat,
+  sparkline,
+  writeChart,
+} from "../charts.js";
+import { distributionOf } from "../distribution.js";
+
+const rows = [10, 20, 20, 30, 30, 30, 40, 500].map((price) => ({ price }));
+
+test("formatNumber shows integers as they are and others with two decimals", () => {
+  assert.equal(formatNumber(3), "3");
+  assert.equal(formatNumber(2.5), "2.50");
+  assert.equal(formatNumber(null), "-");
+});
+
+test("sparkline scales counts to the largest one", () => {
+  assert.equal(sparkline([0, 4, 8]), "▁▅█");
+  assert.equal(sparkline([0, 4, 8], { unicode: false }), "_=#");
+  assert.equal(sparkline([0, 0]), "▁▁");
+});
+
+test("labelledBars draws eighths and carries a full cell", () => {
+  const bars = (value) =>
+    labelledBars(
+      [
+        ["max", 100],
+        ["v", value],
+      ],
+      { width: 4 }
+    )[1];
+  assert.equal(bars(50), "  v │██ 50");
+  assert.equal(bars(55), "  v │██▎ 55");
+  // 3.95 cells round to 32 eighths: four full cells, not three
+  assert.equal(bars(98.75), "  v │████ 98.75");
+  assert.equal(bars(0), "  v │ 0");
+  assert.deepEqual(
+    labelledBars(
+      [
+        ["a", 3],
+        ["bb", 1],
+      ],
+      { unicode: false, width: 3 }
+    ),
+    [" a |### 3", "bb |# 1"]
+  );
+  assert.deepEqual(labelledBars([["a", 0]], { width: 4 }), ["a │ 0"]);
+});
+
+test("barChart labels bins and adds lines for values outside them", () => {
+  const hist = {
+    bins: [
+      { from: 0, to: 50, count: 2 },
+      { from: 50, to: 100, count: 1 },
+    ],
+    below: 0,
+    above: 1,
+  };
+  assert.deepEqual(barChart(hist, { width: 2 }), [
+    "  0 – 50 │██ 2",
+    "50 – 100 │█ 1",
+    "   > 100 │█ 1",
+  ]);
+});
+
+test("boxPlotLines marks the quartiles, median and outliers", () => {
+  const box = {
+    min: 0,
+    q1: 2,
+    median: 5,
+    q3: 6,
+    max: 30,
+    lowerWhisker: 0,
+    upperWhisker: 10,
+    outliersLow: 0,
+    outliersHigh: 1,
+  };
+  assert.deepEqual(boxPlotLines(box, { width: 11 }), [
+    "├─[██│]───┤ ·",
+    "min 0  q1 2  median 5  q3 6  max 30",
+  ]);
+  assert.equal(boxPlotLines(box, { width: 11, unicode: false })[0], "|-[==|]---| .");
+});
+
+test("renderDistribution lists summary, box plot and histogram", () => {
+  const lines = renderDistribution(distributionOf(rows, "price"));
+  assert.equal(lines[0], "== Distribution of price ==");
+  assert.equal(lines[1], "8 values (0 missing), mean 85");
+  assert.match(lines.join("\n"), /Box plot \(0 low \/ 1 high outliers\):/);
+  assert.match(lines.at(-1), /^ *> 40 │/);
+  assert.deepEqual(renderDistribution(distributionOf([], "price")), [
+    "== Distribution of price ==",
+    "0 values (0 missing), mean -",
+  ]);
+});
+
+test("SVG and HTML charts are standalone and escape their text", () => {
+  const dist = { ...distributionOf(rows, "price"), column: "price<&>" };
+  const svg = distributionSVG(dist);
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+  assert.match(svg, /<title>Distribution of price&lt;&amp;&gt;<\/title>/);
+  assert.match(svg, /not shown: 1 above 40/);
+  assert.ok(svg.endsWith("</svg>"));
+  const html = distributionHTML(dist);
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.ok(html.includes(svg));
+  assert.match(html, /<tr><th>outliers \(low \/ high\)<\/th><td>0 \/ 1<\/td><\/tr>/);
+  assert.doesNotMatch(html, /<(script|link)\b/);
+});
+
+test("chart files follow their extension", async () => {
+  assert.equal(resolveChartFormat("out.SVG"), "svg");
+  assert.equal(resolveChartFormat("out.htm"), "html");
+  assert.throws(() => resolveChartFormat("out.png"), /Unknown chart format/);
+  assert.throws(() => resolveChartFormat("out"), /Unknown chart format/);
+
+  const dir = await mkdtemp(join(tmpdir(), "charts-"));
+  try {
+    const dist = distributionOf(rows, "price");
+    await writeChart(join(dir, "price.svg"), dist);
+    await writeChart(join(dir, "price.html"), dist);
+    assert.equal(await readFile(join(dir, "price.svg"), "utf8"), `${distributionSVG(dist)}\n`);
+    assert.equal(await readFile(join(dir, "price.html"), "utf8"), distributionHTML(dist));
+  } finally {
+    await rm(dir, { recursive: true });
+  }
+});
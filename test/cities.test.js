@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { loadCities } from "../cities.js";
+
+const withCities = async (files, check) => {
+  const dir = await mkdtemp(join(tmpdir(), "cities-"));
+  try {
+    for (const [city, text] of Object.entries(files)) {
+      await mkdir(join(dir, city));
+      await writeFile(join(dir, city, "listings.csv"), text);
+    }
+    await check(dir);
+  } finally {
+    await rm(dir, { recursive: true });
+  }
+};
+
+test("each listing is tagged with its city and file, keeping its own source", async () => {
+  const files = {
+    lisbon: "id,source,price\n1,city scrape,$50.00\n",
+    porto: "id,source,price\n2,previous scrape,$40.00\n",
+  };
+  await withCities(files, async (dir) => {
+    const { listings, columns } = await loadCities(dir, { cache: false });
+    assert.deepEqual(columns, ["id", "source", "price", "city", "source_file"]);
+    assert.deepEqual(
+      listings.map(({ id, city, source, source_file }) => [id, city, source, source_file]),
+      [
+        ["1", "lisbon", "city scrape", join(dir, "lisbon", "listings.csv")],
+        ["2", "porto", "previous scrape", join(dir, "porto", "listings.csv")],
+      ]
+    );
+  });
+});
+
+test("a file that already has an added column is rejected", async () => {
+  const files = { lisbon: "id,city\n1,Lisboa\n", porto: "id\n2\n" };
+  await withCities(files, async (dir) => {
+    await assert.rejects(loadCities(dir, { cache: false }), /already has a "city" column/);
+  });
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AirBnBDataHandler } from "../AirBnBDataHandler.js";
+import { SCRIPT_COMMANDS } from "../commands.js";
+
+const FIXTURE = new URL("./fixtures/listings.csv", import.meta.url).pathname;
+
+const whereIds = async (...args) => {
+  const run = { handler: await AirBnBDataHandler(FIXTURE, { cache: false }), results: {} };
+  SCRIPT_COMMANDS.where(run, args);
+  return run.handler.toArray().map((item) => item.id);
+};
+
+test("where keeps numeric-looking values as text for string columns", async () => {
+  assert.deepEqual(await whereIds("host_id", "eq", "1005"), ["101", "102"]);
+  assert.deepEqual(await whereIds("id", "in", "103,105"), ["103", "105"]);
+  assert.deepEqual(await whereIds("host_id", "neq", "1005"), ["103", "104", "105"]);
+});
+
+test("where converts values for numeric columns", async () => {
+  assert.deepEqual(await whereIds("price", "gt", "90"), ["103", "104"]);
+  assert.deepEqual(await whereIds("price", "between", "40,80"), ["101", "102"]);
+  assert.deepEqual(await whereIds("bedrooms", "isNull"), ["104"]);
+});
+
+test("where joins the remaining words into one text value", async () => {
+  assert.deepEqual(await whereIds("room_type", "eq", "Entire", "home/apt"), ["101", "103", "104"]);
+});
+
+test("where reports bad input as usage errors", async () => {
+  for (const args of [["price"], ["price", "gt"], ["price", "near", "5"]]) {
+    await assert.rejects(whereIds(...args), { code: "EUSAGE" });
+  }
+});
+
+test("nearest takes a positive whole count", async () => {
+  const run = { handler: await AirBnBDataHandler(FIXTURE, { cache: false }), results: {} };
+  for (const spec of ["38.7,-9.1,0", "38.7,-9.1,-2", "38.7,-9.1,1.5"]) {
+    assert.throws(() => SCRIPT_COMMANDS.nearest(run, [spec]), { code: "EUSAGE" });
+  }
+  SCRIPT_COMMANDS.nearest(run, ["38.7114,-9.131,2"]);
+  assert.deepEqual(
+    run.handler.toArray().map((item) => item.id),
+    ["101", "102"]
+  );
+});
+
+test("where splits on commas only for in and between", async () => {
+  assert.deepEqual(await whereIds("name", "eq", "Flat", "in", "Alfama,", "Lisbon"), ["101"]);
+  assert.deepEqual(await whereIds("name", "contains", "alfama,", "lisbon"), ["101"]);
+  assert.deepEqual(await whereIds("id", "in", "104"), ["104"]);
+  assert.deepEqual(await whereIds("price", "range", "40,", "80"), ["101", "102"]);
+});
+
+test("steps lists the applied steps, as in the menu", async () => {
+  const run = { handler: await AirBnBDataHandler(FIXTURE, { cache: false }), results: {} };
+  SCRIPT_COMMANDS.price(run, ["50:"]);
+  const lines = [];
+  const log = console.log;
+  console.log = (line) => lines.push(line);
+  try {
+    SCRIPT_COMMANDS.steps(run);
+  } finally {
+    console.log = log;
+  }
+  assert.deepEqual(lines, ["== Applied Steps ==", "1. price between [50, Infinity]"]);
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { loadCalendar, reviewVelocity, toDay } from "../companions.js";
+
+const withCalendar = async (lines, check) => {
+  const dir = await mkdtemp(join(tmpdir(), "calendar-"));
+  try {
+    const file = join(dir, "calendar.csv");
+    await writeFile(file, ["listing_id,date,available,price", ...lines].join("\n"));
+    await check(file);
+  } finally {
+    await rm(dir, { recursive: true });
+  }
+};
+
+const isoDay = (day) => new Date(day * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+test("loadCalendar packs each listing's days in order, past the initial capacity", async () => {
+  const first = toDay("2025-01-01");
+  const lines = [];
+  for (let offset = 0; offset < 200; offset++) {
+    lines.push(`1,${isoDay(first + offset)},${offset % 2 ? "t" : "f"},$${offset}.00`);
+  }
+  await withCalendar(lines, async (file) => {
+    const entry = (await loadCalendar(file)).get("1");
+    assert.equal(entry.days.length, 200);
+    assert.equal(entry.prices.length, 200);
+    assert.equal(entry.days[199], first + 199);
+    assert.equal(entry.available[1], 1);
+    assert.equal(entry.prices[150], 150);
+  });
+});
+
+test("loadCalendar sorts out-of-order days and applies the window", async () => {
+  const lines = [
+    "7,2025-03-03,t,$30.00",
+    "8,2025-03-01,f,",
+    "7,2025-03-01,f,$10.00",
+    "7,2025-03-02,,$20.00",
+    "7,2025-04-01,t,$99.00",
+  ];
+  await withCalendar(lines, async (file) => {
+    const calendar = await loadCalendar(file, { to: "2025-03-31" });
+    const entry = calendar.get("7");
+    assert.deepEqual([...entry.days].map(isoDay), ["2025-03-01", "2025-03-02", "2025-03-03"]);
+    assert.deepEqual([...entry.available], [0, 2, 1]);
+    assert.deepEqual([...entry.prices], [10, 20, 30]);
+    assert.ok(Number.isNaN(calendar.get("8").prices[0]));
+  });
+});
+
+test("reviewVelocity counts reviews per month and rejects an empty window", () => {
+  const asOf = toDay("2025-01-01");
+  const days = Int32Array.from([asOf - 400, asOf - 40, asOf - 10, asOf]);
+  assert.deepEqual(reviewVelocity(days, asOf, 2), {
+    review_count: 4,
+    reviews_in_window: 3,
+    review_velocity: 1.5,
+    last_review_date: "2025-01-01",
+  });
+  for (const months of [0, -3, NaN]) {
+    assert.throws(() => reviewVelocity(days, asOf, months), /Invalid number of months/);
+  }
+});
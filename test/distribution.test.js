@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { boxPlot, distributionOf, histogram, numericValues } from "../distribution.js";
+
+const counts = (hist) => hist.bins.map((bin) => bin.count);
+
+test("numericValues keeps finite numbers, sorted", () => {
+  const rows = [{ price: 30 }, { price: null }, { price: "12" }, { price: NaN }, { price: 5 }, {}];
+  assert.deepEqual(numericValues(rows, "price"), [5, 30]);
+});
+
+test("a bin count splits the full range; the last bin includes its upper edge", () => {
+  const hist = histogram([0, 1, 2, 5, 9, 10], 2);
+  assert.deepEqual(
+    hist.bins.map(({ from, to }) => [from, to]),
+    [
+      [0, 5],
+      [5, 10],
+    ]
+  );
+  assert.deepEqual(counts(hist), [3, 3]);
+  assert.deepEqual([hist.below, hist.above], [0, 0]);
+  assert.deepEqual(counts(histogram([7, 7, 7], 4)), [3]);
+});
+
+test("explicit edges count values outside them as below and above", () => {
+  const hist = histogram([-1, 0, 49.99, 50, 100, 250], [0, 50, 100]);
+  assert.deepEqual(counts(hist), [2, 2]);
+  assert.deepEqual([hist.below, hist.above], [1, 1]);
+  assert.deepEqual(counts(histogram([], [0, 10])), [0]);
+});
+
+test("auto bins stay between the whiskers and leave outliers out", () => {
+  const sorted = [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 1000];
+  const hist = histogram(sorted, "auto");
+  assert.equal(hist.bins[0].from, 10);
+  assert.equal(hist.bins.at(-1).to, 19);
+  assert.equal(hist.above, 1);
+  assert.equal(
+    counts(hist).reduce((sum, count) => sum + count, 0),
+    10
+  );
+  assert.deepEqual(histogram([], "auto"), { bins: [], below: 0, above: 0 });
+});
+
+test("invalid bin specs are rejected", () => {
+  assert.throws(() => histogram([1], 0), /Invalid bin count/);
+  assert.throws(() => histogram([1], 2.5), /Invalid bin count/);
+  assert.throws(() => histogram([1], [5]), /at least two ascending/);
+  assert.throws(() => histogram([1], [0, 10, 10]), /at least two ascending/);
+});
+
+test("boxPlot finds quartiles, whiskers and outliers", () => {
+  const box = boxPlot([1, 2, 3, 4, 5, 6, 7, 8, 100]);
+  assert.deepEqual(box, {
+    min: 1,
+    q1: 3,
+    median: 5,
+    q3: 7,
+    max: 100,
+    lowerWhisker: 1,
+    upperWhisker: 8,
+    outliersLow: 0,
+    outliersHigh: 1,
+  });
+  assert.equal(boxPlot([1, 2, 3, 4, 5, 6, 7, 8, 100], 100).outliersHigh, 0);
+  assert.equal(boxPlot([]), null);
+});
+
+test("distributionOf summarizes a column and counts missing values", () => {
+  const rows = [{ price: 10 }, { price: 20 }, { price: null }, { price: 30 }, { price: 40 }];
+  const dist = distributionOf(rows, "price", { bins: 2, quantiles: [0, 0.5, 1] });
+  assert.equal(dist.column, "price");
+  assert.deepEqual([dist.count, dist.missing, dist.mean], [4, 1, 25]);
+  assert.deepEqual(
+    dist.quantiles.map(({ value }) => value),
+    [10, 25, 40]
+  );
+  assert.deepEqual(counts(dist.histogram), [2, 2]);
+  assert.equal(dist.boxPlot.median, 25);
+
+  const empty = distributionOf([{ price: null }], "price");
+  assert.deepEqual([empty.count, empty.missing, empty.mean, empty.boxPlot], [0, 1, null, null]);
+  assert.throws(() => distributionOf(rows, "price", { quantiles: [1.5] }), /between 0 and 1/);
+});
@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { gunzipSync } from "node:zlib";
+import { resolveFormat, writeExport } from "../exporters.js";
+
+const rows = [
+  {
+    id: "1",
+    name: 'Flat, "bright"',
+    price: 80.5,
+    instant_bookable: true,
+    last_review: new Date("2024-03-01"),
+    amenities: ["Wifi", "Kitchen"],
+  },
+  {
+    id: "2",
+    name: "Room | view\nwith balcony",
+    price: null,
+    instant_bookable: false,
+    last_review: null,
+    amenities: [],
+  },
+];
+const header = ["id", "name", "price", "instant_bookable", "last_review", "amenities"];
+
+const exported = async (name, payload, options = {}) => {
+  const dir = await mkdtemp(join(tmpdir(), "export-"));
+  try {
+    const file = join(dir, name);
+    await writeExport(file, payload, options, header);
+    const bytes = await readFile(file);
+    return name.endsWith(".gz") ? gunzipSync(bytes).toString("utf8") : bytes.toString("utf8");
+  } finally {
+    await rm(dir, { recursive: true });
+  }
+};
+
+test("resolveFormat reads the format and compression from the file name", () => {
+  assert.deepEqual(resolveFormat("out.csv.gz"), { format: "csv", gzip: true });
+  assert.deepEqual(resolveFormat("out.jsonl"), { format: "ndjson", gzip: false });
+  assert.deepEqual(resolveFormat("out", { format: "md" }), { format: "md", gzip: false });
+  assert.deepEqual(resolveFormat("noextension"), { format: "json", gzip: false });
+  assert.throws(() => resolveFormat("out.txt", { format: "xml" }), /Unknown export format/);
+});
+
+test("json output is the payload as JSON.stringify would write it", async () => {
+  const payloads = [
+    rows,
+    [],
+    {},
+    { totalListings: 2, avgPrice: null, byRooms: { 1: 80.5 }, skipped: undefined, rows },
+    [{ id: "3", nested: { list: [1, [2]], missing: undefined }, at: new Date("2024-01-02") }],
+  ];
+  for (const payload of payloads) {
+    assert.equal(await exported("out.json", payload), JSON.stringify(payload, null, 2));
+  }
+});
+
+test("csv writes typed cells back in their text form and quotes when needed", async () => {
+  assert.equal(
+    await exported("out.csv", rows),
+    [
+      "id,name,price,instant_bookable,last_review,amenities",
+      '1,"Flat, ""bright""",80.5,t,2024-03-01,"[""Wifi"",""Kitchen""]"',
+      '2,"Room | view\nwith balcony",,f,,[]',
+      "",
+    ].join("\n")
+  );
+});
+
+test("ndjson and markdown write one line per row", async () => {
+  const ndjson = await exported("out.ndjson", rows, { fields: ["id", "price"] });
+  assert.equal(ndjson, '{"id":"1","price":80.5}\n{"id":"2","price":null}\n');
+  assert.equal(
+    await exported("out.md", rows, { fields: ["id", "name", "price"] }),
+    [
+      "| id | name | price |",
+      "| --- | --- | --- |",
+      '| 1 | Flat, "bright" | 80.50 |',
+      "| 2 | Room \\| view with balcony |  |",
+      "",
+    ].join("\n")
+  );
+});
+
+test("fields selects and orders columns, and .gz output is gzipped", async () => {
+  const fields = ["price", "id"];
+  assert.equal(await exported("out.csv.gz", rows, { fields }), "price,id\n80.5,1\n,2\n");
+  assert.deepEqual(JSON.parse(await exported("out.json.gz", rows, { fields })), [
+    { price: 80.5, id: "1" },
+    { price: null, id: "2" },
+  ]);
+  assert.equal(
+    await exported("stats.csv", { avgPrice: 80.5, totalListings: 2 }),
+    "avgPrice,totalListings\n80.5,2\n"
+  );
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createGridIndex, haversineKm } from "../geo.js";
+
+const listings = [
+  { id: "alfama", latitude: 38.7114, longitude: -9.13 },
+  { id: "rossio", latitude: 38.7139, longitude: -9.1394 },
+  { id: "belem", latitude: 38.697, longitude: -9.206 },
+  { id: "porto", latitude: 41.1496, longitude: -8.611 },
+  { id: "nowhere", latitude: null, longitude: null },
+];
+const ids = (found) => found.map(({ item }) => item.id);
+
+test("nearest returns the k closest listings, nearest first", () => {
+  const grid = createGridIndex(listings);
+  assert.deepEqual(ids(grid.nearest(38.7114, -9.131, 2)), ["alfama", "rossio"]);
+  assert.deepEqual(ids(grid.nearest(41.15, -8.61, 1)), ["porto"]);
+  const all = grid.nearest(38.7, -9.2, 10);
+  assert.deepEqual(ids(all), ["belem", "rossio", "alfama", "porto"]);
+  assert.equal(all[0].distanceKm, haversineKm(38.7, -9.2, 38.697, -9.206));
+});
+
+test("nearest matches a brute-force scan from outside the grid", () => {
+  const grid = createGridIndex(listings);
+  const located = listings.filter((item) => item.latitude !== null);
+  for (const [lat, lon] of [
+    [40, -9],
+    [37, -10],
+    [42, -7],
+  ]) {
+    const expected = [...located]
+      .sort(
+        (a, b) =>
+          haversineKm(lat, lon, a.latitude, a.longitude) -
+          haversineKm(lat, lon, b.latitude, b.longitude)
+      )
+      .slice(0, 3)
+      .map((item) => item.id);
+    assert.deepEqual(ids(grid.nearest(lat, lon, 3)), expected);
+  }
+});
+
+test("nearest is empty when no listing has coordinates", () => {
+  assert.deepEqual(createGridIndex([]).nearest(38.7, -9.1, 3), []);
+  assert.deepEqual(createGridIndex([listings[4]]).nearest(38.7, -9.1, 3), []);
+});
+
+test("nearest rejects a count that is not a positive whole number", () => {
+  const grid = createGridIndex(listings);
+  for (const k of [0, -1, 1.5, NaN, Infinity]) {
+    assert.throws(() => grid.nearest(38.7, -9.1, k), /Invalid nearest count/);
+  }
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AirBnBDataHandler } from "../AirBnBDataHandler.js";
+
+const FIXTURE = new URL("./fixtures/listings.csv", import.meta.url).pathname;
+const load = () => AirBnBDataHandler(FIXTURE, { cache: false });
+const ids = (handler) => handler.toArray().map((item) => item.id);
+
+test("filters return new handlers and leave their source alone", async () => {
+  const all = await load();
+  const cheap = all.filterByPrice(0, 90);
+  const small = cheap.filterByBedrooms(1, 1);
+  const large = cheap.filterByBedrooms(2, Infinity);
+  assert.deepEqual(ids(all), ["101", "102", "103", "104", "105"]);
+  assert.deepEqual(ids(cheap), ["101", "102", "105"]);
+  assert.deepEqual(ids(small), ["101", "102", "105"]);
+  assert.deepEqual(ids(large), []);
+});
+
+test("rows and arrays handed out cannot be changed", async () => {
+  const all = await load();
+  const [first] = all.toArray();
+  assert.ok(Object.isFrozen(all.toArray()));
+  assert.throws(() => {
+    first.price = 1;
+  }, TypeError);
+  assert.throws(() => all.toArray().push({}), TypeError);
+  const [copy] = all.nearest(38.7114, -9.131, 1).toArray();
+  assert.throws(() => {
+    copy.distance_km = 0;
+  }, TypeError);
+  assert.equal(all.filterByPrice(80, 80).toArray()[0].price, 80);
+});
+
+test("undo, save, restore and describe walk the history", async () => {
+  const all = await load();
+  const saved = all.filterByPrice(0, 90).save("cheap");
+  const narrowed = saved.where("room_type", "eq", "Private room");
+  assert.deepEqual(narrowed.describe(), ["price between [0, 90]", 'room_type eq "Private room"']);
+  assert.deepEqual(ids(narrowed.undo()), ids(saved));
+  assert.deepEqual(ids(narrowed.restore("cheap")), ["101", "102", "105"]);
+  assert.deepEqual(narrowed.reset().describe(), []);
+  assert.deepEqual(ids(narrowed.reset().restore("cheap")), ["101", "102", "105"]);
+  assert.equal(all.undo(), all);
+  assert.throws(() => all.restore("cheap"), /No saved snapshot named "cheap"/);
+});
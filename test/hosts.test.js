@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { hostProfiles } from "../hosts.js";
+import { parseHostOptions } from "../commands.js";
+
+const listing = (host_id, price, room_type = "Entire home/apt") => ({
+  host_id,
+  host_name: `Host ${host_id}`,
+  price,
+  room_type,
+  calculated_host_listings_count: null,
+});
+const listings = [
+  listing("1", 0.1),
+  listing("1", 0.2),
+  listing("1", 0.3, "Private room"),
+  listing("2", 50, "Private room"),
+];
+
+test("parseHostOptions leaves unspecified thresholds to the defaults", () => {
+  assert.deepEqual(parseHostOptions(undefined, "5").commercial, { minListings: 5 });
+  assert.deepEqual(parseHostOptions("-", "5,1").commercial, { minListings: 5, minEntireHomes: 1 });
+  assert.deepEqual(parseHostOptions("totalPrice:asc", "-"), {
+    sortBy: "totalPrice",
+    order: "asc",
+    commercial: {},
+  });
+  assert.throws(() => parseHostOptions(undefined, "a,b"), { code: "EUSAGE" });
+});
+
+test("a single listings threshold keeps the default entire-homes threshold", () => {
+  const { commercial } = parseHostOptions(undefined, "5");
+  const flags = hostProfiles(listings, { commercial }).map((host) => [
+    host.host_id,
+    host.isCommercial,
+  ]);
+  // host 1 has 2 entire homes, the default minEntireHomes
+  assert.deepEqual(flags, [
+    ["1", true],
+    ["2", false],
+  ]);
+});
+
+test("totalPrice is summed exactly", () => {
+  const [first] = hostProfiles(listings);
+  assert.equal(first.totalPrice, 0.6);
+  assert.notEqual(0.1 + 0.2 + 0.3, 0.6);
+});
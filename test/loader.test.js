@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { gzipSync } from "node:zlib";
+import { loadCSV, rowNumberOf } from "../loader.js";
+
+const withFile = async (text, check, name = "listings.csv") => {
+  const dir = await mkdtemp(join(tmpdir(), "loader-"));
+  try {
+    const file = join(dir, name);
+    await writeFile(file, text);
+    await check(file);
+  } finally {
+    await rm(dir, { recursive: true });
+  }
+};
+
+const rows = Array.from({ length: 10 }, (_, index) => `${index + 1},$${(index + 1) * 10}.00`);
+
+test("streaming with a selective filter still reports progress", async () => {
+  await withFile(["id,price", ...rows].join("\n"), async (file) => {
+    const reports = [];
+    const { listings } = await loadCSV(file, {
+      stream: true,
+      progressInterval: 2,
+      filter: (item) => item.id === "10",
+      onProgress: (progress) => reports.push(progress),
+    });
+    assert.deepEqual(
+      listings.map((item) => [item.id, item.price, rowNumberOf(item)]),
+      [["10", 100, 10]]
+    );
+    assert.deepEqual(
+      reports.map(({ rowsRead, rowsKept, done }) => [rowsRead, rowsKept, done]),
+      [
+        [2, 0, false],
+        [4, 0, false],
+        [6, 0, false],
+        [8, 0, false],
+        [10, 1, false],
+        [10, 1, true],
+      ]
+    );
+    assert.equal(reports.at(-1).bytesRead, reports.at(-1).totalBytes);
+  });
+});
+
+test("streaming and reading whole give the same rows", async () => {
+  await withFile(["id,price", ...rows].join("\n"), async (file) => {
+    const whole = await loadCSV(file);
+    const streamed = await loadCSV(file, { stream: true });
+    assert.deepEqual(streamed, whole);
+    assert.deepEqual(whole.columns, ["id", "price"]);
+  });
+});
+
+test("workers parse a .csv.gz in more chunks than workers, in file order", async () => {
+  const text = ["id,price", ...rows].join("\n");
+  await withFile(
+    gzipSync(text),
+    async (file) => {
+      const parallel = await loadCSV(file, { workers: 2, chunkBytes: 20 });
+      const whole = await loadCSV(file);
+      assert.deepEqual(parallel.listings, whole.listings);
+      assert.deepEqual(parallel.listings.map(rowNumberOf), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+      assert.equal(parallel.aggregates.stats.totalListings, 10);
+    },
+    "listings.csv.gz"
+  );
+});
+
+test("workers with stream load the whole file and warn", async () => {
+  await withFile(["id,price", ...rows].join("\n"), async (file) => {
+    const warnings = [];
+    const onWarning = (warning) => warnings.push(warning);
+    process.on("warning", onWarning);
+    try {
+      const { listings } = await loadCSV(file, { workers: 2, chunkBytes: 20, stream: true });
+      assert.equal(listings.length, 10);
+      // warnings are emitted on the next tick
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.deepEqual(
+        warnings.map((warning) => warning.code),
+        ["AIRBNB_STREAM_WITH_WORKERS"]
+      );
+      await loadCSV(file, { workers: 2, stream: true, onRow: () => {} });
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.equal(warnings.length, 1, "onRow loads stream and do not warn");
+    } finally {
+      process.off("warning", onWarning);
+    }
+  });
+});
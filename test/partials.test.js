@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  exactSum,
+  hostRanking,
+  hostTally,
+  listingAggregates,
+  mergeAggregates,
+  mergeHostTallies,
+  statsResult,
+} from "../partials.js";
+
+const prices = [0.1, 0.2, 0.3, 1e16, 1, -1e16, 2.675, 1 / 3, 19.99, 0.7];
+const rows = prices.map((price, index) => ({
+  host_id: ["2001", "1005", "2001", "7", "1005"][index % 5],
+  host_name: `Host ${index % 5}`,
+  bedrooms: index % 3 === 0 ? null : index % 3,
+  price: index === 4 ? null : price,
+}));
+
+/** Every way of cutting rows into consecutive chunks of 1..3 rows. */
+function* chunkings(items, sizes = [1, 2, 3]) {
+  if (items.length === 0) return yield [];
+  for (const size of sizes.filter((size) => size <= items.length)) {
+    for (const rest of chunkings(items.slice(size), sizes)) yield [items.slice(0, size), ...rest];
+  }
+}
+
+test("exactSum does not depend on the order of the values", () => {
+  assert.equal(exactSum([0.1, 0.2, 0.3]), 0.6);
+  assert.equal(exactSum([1e16, 1, -1e16]), 1);
+  assert.equal(exactSum([1, -1e16, 1e16]), 1);
+  assert.equal(exactSum([]), 0);
+});
+
+test("merged aggregates equal a single pass, however the rows are chunked", () => {
+  const whole = listingAggregates(rows);
+  const expected = statsResult(whole.stats);
+  let count = 0;
+  for (const chunks of chunkings(rows)) {
+    const merged = chunks.map(listingAggregates).reduce(mergeAggregates);
+    assert.deepEqual(statsResult(merged.stats), expected);
+    assert.deepEqual(hostRanking(merged.hosts), hostRanking(whole.hosts));
+    assert.deepEqual(merged.sorted, whole.sorted);
+    count += 1;
+  }
+  assert.ok(count > 100);
+  assert.deepEqual(
+    whole.sorted.price,
+    rows
+      .map((item) => item.price)
+      .filter((price) => price !== null)
+      .sort((a, b) => a - b)
+  );
+});
+
+test("host tallies keep first-seen order, also for integer-like ids", () => {
+  const first = hostTally(rows.slice(0, 3));
+  const second = hostTally(rows.slice(3));
+  assert.deepEqual([...first.keys()], ["2001", "1005"]);
+  const merged = mergeHostTallies(first, second);
+  assert.deepEqual([...merged.keys()], ["2001", "1005", "7"]);
+  assert.equal(first.get("2001").listingsCount, 2, "merging leaves its inputs alone");
+  // 2001 and 1005 tie on 4 listings: the first seen ranks first
+  assert.deepEqual(
+    hostRanking(merged).map(({ host_id, listingsCount }) => [host_id, listingsCount]),
+    [
+      ["2001", 4],
+      ["1005", 4],
+      ["7", 2],
+    ]
+  );
+});
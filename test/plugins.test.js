@@ -0,0 +1,124 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { AirBnBDataHandler } from "../AirBnBDataHandler.js";
+import { runCommands } from "../commands.js";
+import {
+  loadPlugins,
+  pluginEntries,
+  pluginEntry,
+  registerCommand,
+  registerFilter,
+  registerMetric,
+} from "../plugins.js";
+
+const FIXTURE = new URL("./fixtures/listings.csv", import.meta.url).pathname;
+const load = () => AirBnBDataHandler(FIXTURE, { cache: false });
+const ids = (handler) => handler.toArray().map((item) => item.id);
+
+// the registry is module state shared by every test in this file, so names are unique
+registerFilter("underPrice", (max) => (item) => item.price < max, {
+  params: [{ name: "max", type: "number" }],
+  describe: (max) => `price under ${max}`,
+});
+registerFilter("nameHas", (word) => ["name", "contains", word]);
+registerMetric("meanPrice", (listings) =>
+  listings.length ? listings.reduce((sum, item) => sum + item.price, 0) / listings.length : null
+);
+
+test("registered filters and metrics become chainable handler methods", async () => {
+  const handler = await load();
+  const cheap = handler.underPrice(90).filterByBedrooms(1, 1);
+  assert.deepEqual(ids(cheap), ["101", "102", "105"]);
+  assert.equal(cheap.describe()[0], "price under 90");
+  assert.equal(handler.filterByPrice(40, 90).meanPrice(), (80 + 45) / 2);
+  assert.equal(handler.underPrice(10).meanPrice(), null);
+  // a [column, op, value] tuple works as a filter, described by its call
+  const porto = handler.nameHas("Porto");
+  assert.deepEqual(porto.describe(), ["nameHas(Porto)"]);
+  assert.deepEqual(ids(porto), ["104"]);
+});
+
+test("names must be valid, new and not built in", () => {
+  assert.throws(() => registerFilter("2fast", () => () => true), /Invalid filter name/);
+  assert.throws(() => registerMetric("mean-price", () => 0), /Invalid metric name/);
+  assert.throws(() => registerFilter("filterByPrice", () => () => true), /built-in name/);
+  assert.throws(() => registerMetric("computestats", () => 0), /built-in name/);
+  assert.throws(() => registerCommand("price", () => {}), /built-in name/);
+  assert.throws(() => registerMetric("MEANPRICE", () => 0), /already registered/);
+  assert.throws(() => registerCommand("notFunction", "nope"), /must be a function/);
+  assert.throws(
+    () => registerCommand("badParam", () => {}, { params: [{ name: "n", type: "date" }] }),
+    /each param needs a name and a type/
+  );
+  assert.equal(pluginEntry("notFunction"), null);
+});
+
+test("entries are frozen, looked up case-insensitively and listed in order", () => {
+  const entry = pluginEntry("UNDERPRICE");
+  assert.equal(entry.name, "underPrice");
+  assert.equal(entry.kind, "filter");
+  assert.deepEqual(entry.params, [{ name: "max", type: "number" }]);
+  assert.equal(entry.source, null);
+  assert.ok(Object.isFrozen(entry) && Object.isFrozen(entry.params[0]));
+  const names = pluginEntries().map(({ name }) => name);
+  assert.deepEqual(names.slice(0, 3), ["underPrice", "nameHas", "meanPrice"]);
+});
+
+test("plugins run as script commands with typed arguments", async () => {
+  registerCommand(
+    "tagCheap",
+    (run, [flag, label]) => {
+      run.results.tagCheap = { flag, label, count: run.handler.toArray().length };
+    },
+    {
+      params: [
+        { name: "flag", type: "boolean" },
+        { name: "label", type: "string" },
+      ],
+    }
+  );
+  const run = await runCommands(
+    await load(),
+    [
+      { name: "underprice", args: ["90"] },
+      { name: "meanprice", args: [] },
+      { name: "tagcheap", args: ["yes", "under", "ninety"] },
+    ],
+    { json: true }
+  );
+  assert.deepEqual(ids(run.handler), ["101", "102", "105"]);
+  assert.equal(run.results.meanPrice, (80 + 45 + 20) / 3);
+  assert.deepEqual(run.results.tagCheap, { flag: true, label: "under ninety", count: 3 });
+  await assert.rejects(
+    runCommands(await load(), [{ name: "underprice", args: ["cheap"] }], { json: true }),
+    { code: "EUSAGE" }
+  );
+});
+
+test("loadPlugins imports a directory and records each entry's file", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "plugins-"));
+  try {
+    const file = join(dir, "a.mjs");
+    await writeFile(
+      file,
+      `export default ({ registerFilter, where }) => {
+  registerFilter("loadedPrivate", () => where("room_type", "eq", "Private room"));
+};
+`
+    );
+    await writeFile(join(dir, "notes.txt"), "skipped");
+    assert.deepEqual(await loadPlugins(dir), [file]);
+    assert.equal(pluginEntry("loadedPrivate").source, file);
+    assert.deepEqual(ids((await load()).loadedPrivate()), ["102"]);
+
+    await writeFile(join(dir, "b.json"), JSON.stringify({ plugins: "a.mjs" }));
+    await assert.rejects(loadPlugins(join(dir, "b.json")), /needs a "plugins" list/);
+    await writeFile(join(dir, "c.mjs"), 'throw new Error("broken");\n');
+    await assert.rejects(loadPlugins(join(dir, "c.mjs")), /^Error: Plugin .*c\.mjs: broken$/);
+  } finally {
+    await rm(dir, { recursive: true });
+  }
+});
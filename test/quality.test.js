@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AirBnBDataHandler } from "../AirBnBDataHandler.js";
+import { rowNumberOf } from "../loader.js";
+
+const FIXTURE = new URL("./fixtures/quality.csv", import.meta.url).pathname;
+const load = () => AirBnBDataHandler(FIXTURE, { cache: false });
+const issueList = (issues) => issues.map(({ row, rule, column }) => [row, rule, column]);
+
+test("validate reports every rule with the file's row numbers", async () => {
+  const report = (await load()).validate();
+  assert.equal(report.rows, 9);
+  assert.deepEqual(issueList(report.issues), [
+    [2, "parse_error", "bedrooms"],
+    [3, "missing_host_id", "host_id"],
+    [4, "duplicate_id", "id"],
+    [5, "bedrooms_out_of_range", "bedrooms"],
+    [6, "non_positive_price", "price"],
+    [6, "outlier_iqr", "price"],
+    [7, "outlier_iqr", "price"],
+    [9, "missing_id", "id"],
+  ]);
+  assert.deepEqual(report.parseFailures[0].value, "two");
+  assert.deepEqual(report.duplicates, [{ id: "2", rows: [2, 4], count: 2 }]);
+  assert.deepEqual(report.nullRates.host_id, { nulls: 1, rate: 1 / 9 });
+  assert.deepEqual(report.nullRates.bedrooms, { nulls: 1, rate: 1 / 9 });
+  // prices 0 and 5000 fall outside the fences 75 − 1.5·15 .. 90 + 1.5·15
+  assert.deepEqual(
+    [report.outliers.price.lowerFence, report.outliers.price.upperFence],
+    [52.5, 112.5]
+  );
+  assert.equal(report.outliers.price.iqrOutliers, 2);
+  assert.deepEqual(report.summary, {
+    rowsWithIssues: 7,
+    byRule: {
+      parse_error: 1,
+      missing_host_id: 1,
+      duplicate_id: 1,
+      bedrooms_out_of_range: 1,
+      non_positive_price: 1,
+      outlier_iqr: 2,
+      missing_id: 1,
+    },
+  });
+});
+
+test("z-score outliers follow the threshold", async () => {
+  const report = (await load()).validate({ zThreshold: 2 });
+  assert.deepEqual(issueList(report.issues.filter((issue) => issue.rule === "outlier_zscore")), [
+    [7, "outlier_zscore", "price"],
+  ]);
+});
+
+test("dropInvalid and invalidRows split the rows by rule", async () => {
+  const handler = await load();
+  const kept = handler.dropInvalid();
+  assert.deepEqual(
+    kept.toArray().map((item) => item.id),
+    ["1", "6", "7"]
+  );
+  assert.deepEqual(kept.describe(), ["drop invalid rows (6)"]);
+  const rejected = handler.invalidRows();
+  assert.deepEqual(
+    rejected.map((item) => [rowNumberOf(item), item.quality_issues]),
+    [
+      [2, "parse_error:bedrooms"],
+      [3, "missing_host_id:host_id"],
+      [4, "duplicate_id:id"],
+      [5, "bedrooms_out_of_range:bedrooms"],
+      [6, "non_positive_price:price"],
+      [9, "missing_id:id"],
+    ]
+  );
+  const withOutliers = handler.dropInvalid({ rules: ["outlier_iqr"] });
+  assert.equal(withOutliers.toArray().length, 7);
+  assert.throws(() => handler.dropInvalid({ rules: ["typo"] }), /Unknown quality rule "typo"/);
+});
+
+test("row numbers and parse failures survive steps that copy rows", async () => {
+  const handler = await load();
+  // nearest() returns copies with a distance_km column (see withColumns in loader.js)
+  const copies = handler.nearest(38.72, -9.14, 9);
+  assert.ok(copies.toArray().every((item) => "distance_km" in item));
+  assert.deepEqual(issueList(copies.validate().parseFailures), [[2, "parse_error", "bedrooms"]]);
+  assert.deepEqual(copies.validate().duplicates, [{ id: "2", rows: [2, 4], count: 2 }]);
+  assert.deepEqual(copies.invalidRows({ rules: ["parse_error"] }).map(rowNumberOf), [2]);
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { and, not, or, where } from "../query.js";
+
+const listings = [
+  {
+    id: "1",
+    price: 80,
+    room_type: "Private room",
+    amenities: ["Wifi", "Kitchen"],
+    last_review: new Date("2024-03-01"),
+  },
+  { id: "2", price: 150, room_type: "Entire home/apt", amenities: ["Wifi"], last_review: null },
+  {
+    id: "3",
+    price: null,
+    room_type: "Entire home/apt",
+    amenities: [],
+    last_review: new Date("2023-01-10"),
+  },
+];
+const ids = (predicate) => listings.filter(predicate).map((item) => item.id);
+
+test("comparison operators and their aliases", () => {
+  assert.deepEqual(ids(where("price", "gt", 100)), ["2"]);
+  assert.deepEqual(ids(where("price", "<=", 80)), ["1"]);
+  assert.deepEqual(ids(where("room_type", "eq", "Entire home/apt")), ["2", "3"]);
+  assert.deepEqual(ids(where("price", "between", [50, 150])), ["1", "2"]);
+  assert.deepEqual(ids(where("id", "in", ["1", "3"])), ["1", "3"]);
+});
+
+test("null cells only match isNull", () => {
+  assert.deepEqual(ids(where("price", "isNull")), ["3"]);
+  assert.deepEqual(ids(where("price", "notNull")), ["1", "2"]);
+  assert.deepEqual(ids(where("price", "neq", 80)), ["2"]);
+});
+
+test("contains, regex and dates", () => {
+  assert.deepEqual(ids(where("amenities", "contains", "Kitchen")), ["1"]);
+  assert.deepEqual(ids(where("room_type", "regex", "^private")), ["1"]);
+  assert.deepEqual(ids(where("last_review", "gte", "2024-01-01")), ["1"]);
+});
+
+test("operators that compare against a value reject a missing one", () => {
+  for (const op of ["eq", "neq", "gt", "gte", "lt", "lte", "contains", "regex", ">"]) {
+    assert.throws(() => where("price", op), /needs a value/, op);
+  }
+  assert.throws(() => where("price", "between"), /\[min, max\] pair/);
+  assert.throws(() => where("price", "in"), /array of values/);
+  assert.throws(() => where("price", "like", 1), /Unknown operator/);
+});
+
+test("and / or / not compose predicates and tuples", () => {
+  assert.deepEqual(ids(and(["price", "lt", 200], where("room_type", "eq", "Entire home/apt"))), [
+    "2",
+  ]);
+  assert.deepEqual(ids(or(["price", "lt", 100], ["price", "isNull"])), ["1", "3"]);
+  assert.deepEqual(ids(not(["price", "isNull"])), ["1", "2"]);
+  assert.equal(where("price", "gt", 100).description, "price gt 100");
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCoercer } from "../schema.js";
+
+test("missing-value tokens become null in typed columns", () => {
+  const toListing = createCoercer();
+  const item = toListing({ price: "N/A", bedrooms: "NA", host_is_superhost: "null", latitude: "" });
+  assert.deepEqual(item, { price: null, bedrooms: null, host_is_superhost: null, latitude: null });
+});
+
+test("string columns keep NA and null as text, only an empty cell is missing", () => {
+  const toListing = createCoercer();
+  const item = toListing({
+    name: "NA",
+    description: "null",
+    host_name: "N/A",
+    neighborhood_overview: "",
+  });
+  assert.deepEqual(item, {
+    name: "NA",
+    description: "null",
+    host_name: "N/A",
+    neighborhood_overview: null,
+  });
+});
+
+test("unparseable typed values are reported and loaded as null", () => {
+  const failures = [];
+  const item = createCoercer()({ price: "free", bedrooms: "2" }, (column, value) =>
+    failures.push({ column, value })
+  );
+  assert.deepEqual(item, { price: null, bedrooms: 2 });
+  assert.deepEqual(failures, [{ column: "price", value: "free" }]);
+});
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SCORERS, rankListings, resolveScorer, weightedScorer } from "../scoring.js";
+
+const listing = (id, price, rating, reviews, extra = {}) => ({
+  id,
+  price,
+  review_scores_rating: rating,
+  number_of_reviews: reviews,
+  ...extra,
+});
+const listings = [
+  listing("unreviewed", 20, null, 0, { bedrooms: 1, accommodates: 2 }),
+  listing("great", 30, 4.9, 50, { bedrooms: 1, accommodates: 4 }),
+  listing("cheap", 25, 3.9, 40, { bedrooms: 2, accommodates: 2 }),
+  listing("one-review", 35, 5, 1, { bedrooms: 0, accommodates: 3 }),
+  listing("pricey", 300, 4.95, 120, { bedrooms: 3, accommodates: 6 }),
+  listing("unpriced", null, 4.8, 30),
+];
+const ranked = (scoreBy, options) =>
+  rankListings(listings, scoreBy, options).map((row) => [row.id, row.score]);
+
+test("value leaves unreviewed listings out and weighs rating as much as price", () => {
+  const rows = ranked("value");
+  assert.deepEqual(
+    rows.map(([id]) => id),
+    ["great", "cheap", "pricey", "one-review"]
+  );
+  assert.ok(rows.every(([, score]) => score >= 0 && score <= 1));
+  // second best rated and second cheapest: rating percentile 2/3, price percentile 1/3;
+  // "cheap" and "pricey" tie at 0.5 (cheapest but worst rated, and the reverse)
+  assert.deepEqual(rows[0], ["great", (2 / 3 + 1 - 1 / 3) / 2]);
+});
+
+test("bayesian pulls few-review ratings towards the mean", () => {
+  const score = SCORERS.bayesian.prepare(listings, { minReviews: 10 });
+  const mean = (4.9 + 3.9 + 5 + 4.95 + 4.8) / 5;
+  assert.equal(score(listings[0]), mean);
+  assert.ok(Math.abs(score(listings[3]) - (5 + 10 * mean) / 11) < 1e-12);
+  assert.deepEqual(
+    ranked("bayesian", { limit: 2 }).map(([id]) => id),
+    ["pricey", "great"]
+  );
+});
+
+test("ratio and price-per scorers", () => {
+  assert.deepEqual(ranked("ratio", { limit: 1 }), [["great", 4.9 / 30]]);
+  assert.deepEqual(
+    ranked("pricePerBedroom").map(([id]) => id),
+    ["cheap", "unreviewed", "great", "pricey"]
+  );
+  assert.deepEqual(ranked("pricePerGuest", { limit: 2 }), [
+    ["great", 7.5],
+    ["unreviewed", 10],
+  ]);
+  assert.deepEqual(ranked("pricePerGuest", { limit: 1, order: "desc" }), [["pricey", 50]]);
+});
+
+test("weighted scoring normalizes each column and honours negative weights", () => {
+  const rows = ranked({ review_scores_rating: 1, price: -1 }, { limit: 2 });
+  assert.deepEqual(
+    rows.map(([id]) => id),
+    ["one-review", "great"]
+  );
+  assert.throws(() => weightedScorer({}), /non-zero weight/);
+  assert.throws(() => resolveScorer("best"), /Unknown scorer "best"/);
+});
+
+test("rankListings puts rank and score first and keeps data order on ties", () => {
+  const [first, second] = rankListings(listings, () => 1, { limit: 2 });
+  assert.deepEqual(Object.keys(first).slice(0, 3), ["rank", "score", "id"]);
+  assert.deepEqual([first.id, first.rank, second.id, second.rank], ["unreviewed", 1, "great", 2]);
+});
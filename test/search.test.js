@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { AirBnBDataHandler } from "../AirBnBDataHandler.js";
+import { amenitiesPredicate, createSearchIndex, parseQuery, stem, tokenize } from "../search.js";
+
+const listings = [
+  {
+    id: "1",
+    name: "Quiet flat",
+    description: "A short walk to the beaches",
+    amenities: ["Wifi", "Kitchen"],
+  },
+  {
+    id: "2",
+    name: "Beach house",
+    description: "Beach views from every room, near the beach",
+    amenities: ["Private hot tub", "Pets allowed"],
+  },
+  { id: "3", name: "City loft", description: "Near the old town", amenities: ["Wifi"] },
+  { id: "4", name: "Studio", description: "Cozy, with parking near a park", amenities: [] },
+];
+const ids = (results) => results.map(({ item }) => item.id);
+
+test("stem strips plurals and verb endings but keeps short stems", () => {
+  assert.equal(stem("beaches"), "beach");
+  assert.equal(stem("dishes"), "dish");
+  assert.equal(stem("boxes"), "box");
+  assert.equal(stem("classes"), "class");
+  assert.equal(stem("houses"), "house");
+  assert.equal(stem("cozies"), "cozy");
+  assert.equal(stem("shopping"), "shop");
+  assert.equal(stem("views"), "view");
+  assert.equal(stem("bus"), "bus");
+  assert.equal(stem("ties"), "ties");
+  assert.equal(stem("2beds"), "2beds");
+});
+
+test("tokenize lowercases, drops accents and stopwords, and stems", () => {
+  assert.deepEqual(tokenize("The Beaches of Belém, near São Bento!"), [
+    "beach",
+    "belem",
+    "near",
+    "sao",
+    "bento",
+  ]);
+  assert.deepEqual(tokenize(null), []);
+  assert.deepEqual(parseQuery('hot tub "near the beach" hot'), {
+    terms: ["hot", "tub"],
+    phrases: [["near", "beach"]],
+  });
+});
+
+test("BM25 ranks denser and name matches first, and modes pick candidates", () => {
+  const index = createSearchIndex(listings);
+  const results = index.search("beach");
+  assert.deepEqual(ids(results), ["2", "1"]);
+  assert.ok(results[0].score > results[1].score);
+  assert.deepEqual(ids(index.search("beach wifi")), ["1"]);
+  assert.deepEqual(ids(index.search("beach wifi", { mode: "any" })).sort(), ["1", "2", "3"]);
+  assert.deepEqual(index.search("castle"), []);
+  assert.deepEqual(index.search("the"), []);
+});
+
+test("phrases match consecutive words within one field only", () => {
+  const index = createSearchIndex(listings);
+  assert.deepEqual(ids(index.search('"near the beach"')), ["2"]);
+  assert.deepEqual(ids(index.search('"near town"')), []);
+  assert.deepEqual(ids(index.search('"beach near"')), []);
+  // "Private hot tub" and "Pets allowed" are separate amenities
+  assert.deepEqual(ids(index.search('"tub pets"')), []);
+  assert.deepEqual(ids(index.search('"hot tub" beach')), ["2"]);
+});
+
+test("amenitiesPredicate matches whole stemmed words", () => {
+  const ids = (wanted) => listings.filter(amenitiesPredicate(wanted)).map((item) => item.id);
+  assert.deepEqual(ids(["hot tub", "pet allowed"]), ["2"]);
+  assert.deepEqual(ids(["WIFI"]), ["1", "3"]);
+  assert.deepEqual(ids(["wifi", "kitchen"]), ["1"]);
+  assert.deepEqual(ids(["tub pets"]), []);
+  assert.deepEqual(ids(["hot"]), ["2"]);
+  assert.deepEqual(ids(["ho"]), []);
+  assert.deepEqual(ids([]), ["1", "2", "3", "4"]);
+  assert.equal(amenitiesPredicate(["wifi"])({ amenities: null }), false);
+});
+
+test("hasAmenities and search chain on a loaded handler", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "search-"));
+  try {
+    const file = join(dir, "listings.csv");
+    await writeFile(
+      file,
+      [
+        "id,name,price,amenities",
+        '1,Beach flat,$90.00,"[""Wifi"", ""Hot tub""]"',
+        '2,Beach room,$40.00,"[""Wifi""]"',
+        '3,Town loft,$70.00,"[""Hot tubs""]"',
+      ].join("\n")
+    );
+    const handler = await AirBnBDataHandler(file, { cache: false });
+    const tubs = handler.hasAmenities(["hot tub"]);
+    assert.deepEqual(
+      tubs.toArray().map((item) => item.id),
+      ["1", "3"]
+    );
+    const found = tubs.search("beaches").toArray();
+    assert.deepEqual(
+      found.map((item) => item.id),
+      ["1"]
+    );
+    assert.ok(found[0].search_score > 0);
+    assert.deepEqual(handler.describe().length, 0);
+    assert.equal(tubs.describe().at(-1), "amenities include hot tub");
+  } finally {
+    await rm(dir, { recursive: true });
+  }
+});
@@ -0,0 +1,148 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { AirBnBDataHandler } from "../AirBnBDataHandler.js";
+import { startServer } from "../server.js";
+
+const FIXTURE = new URL("./fixtures/listings.csv", import.meta.url).pathname;
+
+let server;
+let base;
+
+before(async () => {
+  server = await startServer(await AirBnBDataHandler(FIXTURE, { cache: false }), { port: 0 });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const request = (path, { method = "GET", headers = {} } = {}) =>
+  new Promise((resolve, reject) => {
+    http
+      .request(`${base}${path}`, { method, headers }, (res) => {
+        let text = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => (text += chunk));
+        res.on("end", () =>
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            body: text ? JSON.parse(text) : null,
+          })
+        );
+      })
+      .on("error", reject)
+      .end();
+  });
+const get = (path) => request(path);
+
+test("where matches string ids as text", async () => {
+  const { status, body } = await get("/listings?where=host_id%20eq%201005&fields=id");
+  assert.equal(status, 200);
+  assert.deepEqual(body.listings, [{ id: "101" }, { id: "102" }]);
+});
+
+test("where without a value is a 400", async () => {
+  for (const clause of ["price%20gt", "price%20gt%20", "host_id%20in"]) {
+    const { status, body } = await get(`/listings?where=${clause}`);
+    assert.equal(status, 400);
+    assert.match(body.error, /^where: /);
+  }
+});
+
+test("nearest rejects a bad count and is empty when nothing matches", async () => {
+  assert.equal((await get("/listings?nearest=38.7,-9.1,0")).status, 400);
+  const { status, body } = await get("/listings?price=999999:&nearest=38.7,-9.1,3");
+  assert.equal(status, 200);
+  assert.equal(body.total, 0);
+});
+
+test("a where value may contain commas", async () => {
+  const { body } = await get("/listings?where=name%20eq%20Flat%20in%20Alfama,%20Lisbon&fields=id");
+  assert.deepEqual(body.listings, [{ id: "101" }]);
+});
+
+test("listings are paged with limit, offset and next", async () => {
+  const first = await get("/listings?limit=2&fields=id,price");
+  assert.equal(first.status, 200);
+  const { steps, ...page } = first.body;
+  assert.deepEqual(steps, []);
+  assert.deepEqual(page, {
+    total: 5,
+    offset: 0,
+    limit: 2,
+    next: 2,
+    listings: [
+      { id: "101", price: 80 },
+      { id: "102", price: 45 },
+    ],
+  });
+  const last = await get("/listings?limit=2&offset=4&fields=id");
+  assert.deepEqual([last.body.next, last.body.listings], [null, [{ id: "105" }]]);
+  const past = await get("/listings?offset=10");
+  assert.deepEqual([past.body.total, past.body.listings], [5, []]);
+  assert.equal((await get("/listings?limit=5000")).body.limit, 1000);
+  assert.equal((await get("/listings?limit=-1")).status, 400);
+  assert.equal((await get("/listings?offset=abc")).status, 400);
+});
+
+test("an unchanged response is a 304 for a matching If-None-Match", async () => {
+  const first = await get("/stats?price=50:");
+  assert.match(first.headers.etag, /^"[\w-]+"$/);
+  const again = await request("/stats?price=50:", {
+    headers: { "If-None-Match": `W/${first.headers.etag}` },
+  });
+  assert.deepEqual([again.status, again.body], [304, null]);
+  const other = await request("/stats?price=90:", {
+    headers: { "If-None-Match": first.headers.etag },
+  });
+  assert.equal(other.status, 200);
+});
+
+test("/listings/:id returns one listing or a 404", async () => {
+  const { status, body } = await get("/listings/103");
+  assert.equal(status, 200);
+  assert.deepEqual([body.id, body.name, body.price], ["103", "Loft in Belem", 1200]);
+  const missing = await get("/listings/999");
+  assert.deepEqual([missing.status, missing.body.error], [404, 'No listing with id "999"']);
+  assert.equal((await get("/listings/%E0%A4%A")).status, 400);
+});
+
+test("/stats applies the filters", async () => {
+  const { status, body } = await get("/stats?bedrooms=1:1");
+  assert.equal(status, 200);
+  assert.deepEqual(body.steps, ["bedrooms between [1, 1]"]);
+  assert.equal(body.totalListings, 3);
+  assert.equal(body.avgPrice, (80 + 45 + 20) / 3);
+});
+
+test("/hosts/ranking sorts, limits and flags commercial hosts", async () => {
+  const { status, body } = await get("/hosts/ranking?limit=2&commercial=2");
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.hosts.map((host) => [host.host_id, host.listingsCount, host.isCommercial]),
+    [
+      ["1005", 2, true],
+      ["2001", 1, false],
+    ]
+  );
+  const byPrice = await get("/hosts/ranking?sort=totalPrice:asc&limit=1");
+  assert.deepEqual([byPrice.body.sortBy, byPrice.body.order], ["totalPrice", "asc"]);
+  assert.equal(byPrice.body.hosts[0].host_id, "2003");
+  assert.equal((await get("/hosts/ranking?sort=bogus")).status, 400);
+});
+
+test("where refuses the regex operator", async () => {
+  const { status, body } = await get("/listings?where=name%20regex%20(a%2B)%2B%24");
+  assert.equal(status, 400);
+  assert.match(body.error, /regex operator is not available/);
+});
+
+test("unknown routes are 404, other methods 405, HEAD has no body", async () => {
+  assert.equal((await get("/nope")).status, 404);
+  const post = await request("/listings", { method: "POST" });
+  assert.deepEqual([post.status, post.headers.allow], [405, "GET, HEAD"]);
+  const head = await request("/stats", { method: "HEAD" });
+  assert.deepEqual([head.status, head.body], [200, null]);
+  assert.ok(Number(head.headers["content-length"]) > 0);
+});
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AirBnBDataHandler, compareSnapshots } from "../AirBnBDataHandler.js";
+import { DIFF_COLUMNS, delta, diffRows } from "../snapshots.js";
+
+const OLD = new URL("./fixtures/listings.csv", import.meta.url).pathname;
+const NEW = new URL("./fixtures/listings_next.csv", import.meta.url).pathname;
+
+test("delta computes the change and percent change when both sides are known", () => {
+  assert.deepEqual(delta(80, 100), { old: 80, new: 100, change: 20, change_pct: 25 });
+  assert.deepEqual(delta(-50, -25), { old: -50, new: -25, change: 25, change_pct: 50 });
+  assert.deepEqual(delta(0, 5), { old: 0, new: 5, change: 5, change_pct: null });
+  assert.deepEqual(delta(null, 5), { old: null, new: 5, change: null, change_pct: null });
+});
+
+test("compareSnapshots finds added, removed and repriced listings", async () => {
+  const diff = await compareSnapshots(OLD, NEW, { cache: false });
+  assert.deepEqual([diff.oldFile, diff.newFile], [OLD, NEW]);
+  assert.deepEqual([diff.old.listings, diff.new.listings], [5, 5]);
+  assert.deepEqual(
+    diff.added.map(({ id, host_id, price }) => [id, host_id, price]),
+    [["106", "1005", 60]]
+  );
+  assert.deepEqual(
+    diff.removed.map(({ id, name, price }) => [id, name, price]),
+    [["105", "No coordinates", 20]]
+  );
+  // largest relative move first; 104 lost its price, which is not a price change
+  assert.deepEqual(
+    diff.priceChanges.map(({ id, old_price, new_price, change, change_pct }) => [
+      id,
+      old_price,
+      new_price,
+      change,
+      change_pct,
+    ]),
+    [
+      ["101", 80, 100, 20, 25],
+      ["103", 1200, 1000, -200, (-200 / 1200) * 100],
+    ]
+  );
+  assert.deepEqual(
+    diff.hostChanges.map(({ host_id, old_listings, new_listings }) => [
+      host_id,
+      old_listings,
+      new_listings,
+    ]),
+    [
+      ["1005", 2, 3],
+      ["2003", 1, 0],
+    ]
+  );
+  assert.deepEqual(diff.statsChanges.totalListings, delta(5, 5));
+  assert.equal(diff.statsChanges.avgPrice.new, (100 + 45 + 1000 + 60) / 4);
+});
+
+test("diffRows flattens a diff into one table of DIFF_COLUMNS", async () => {
+  const diff = await compareSnapshots(OLD, NEW, { cache: false });
+  const rows = diffRows(diff);
+  assert.ok(rows.every((row) => Object.keys(row).join() === DIFF_COLUMNS.join()));
+  assert.deepEqual(
+    rows.filter((row) => row.type !== "stat").map((row) => [row.type, row.key, row.change]),
+    [
+      ["added", "106", null],
+      ["removed", "105", null],
+      ["price", "101", 20],
+      ["price", "103", -200],
+      ["host", "1005", 1],
+      ["host", "2003", -1],
+    ]
+  );
+  assert.deepEqual(
+    rows.filter((row) => row.type === "stat").map((row) => row.key),
+    [
+      "totalListings",
+      "avgPrice",
+      "avgPriceByBedrooms.1",
+      "avgPriceByBedrooms.2",
+      "avgPriceByBedrooms.unknown",
+    ]
+  );
+});
+
+test("compareWith diffs handlers as filtered", async () => {
+  const older = await AirBnBDataHandler(OLD, { cache: false });
+  const newer = await AirBnBDataHandler(NEW, { cache: false });
+  const diff = older.filterByPrice(0, 100).compareWith(newer.filterByPrice(0, 100));
+  // 103 is out of range in both; 104 lost its price, so the new filter drops it
+  assert.deepEqual(
+    [diff.added.map((item) => item.id), diff.removed.map((item) => item.id)],
+    [["106"], ["104", "105"]]
+  );
+  assert.deepEqual(
+    diff.priceChanges.map((item) => item.id),
+    ["101"]
+  );
+});
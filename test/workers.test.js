@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parse } from "csv-parse/sync";
+import { nextRowEnd, resolveWorkerCount, rowAlignedOffsets } from "../workers.js";
+
+const bytesOf = (text) => new Uint8Array(Buffer.from(text));
+
+const BODY = [
+  'a,"one line"\n',
+  'b,"two\nlines"\n',
+  'c,"escaped ""quote"" and\nnewline"\n',
+  'd,""\n',
+  'e,"ends with ""\n"""\n',
+  "f,last",
+].join("");
+
+/** The chunks' records, parsed one chunk at a time. */
+const recordsOf = (bytes, offsets) =>
+  offsets.slice(1).flatMap((end, index) => parse(bytes.subarray(offsets[index], end)));
+
+test("nextRowEnd skips newlines inside quoted fields", () => {
+  const bytes = bytesOf(BODY);
+  const firstFields = [];
+  for (let from = 0; from < bytes.length; from = nextRowEnd(bytes, from)) {
+    firstFields.push(String.fromCharCode(bytes[from]));
+  }
+  assert.deepEqual(firstFields, ["a", "b", "c", "d", "e", "f"]);
+});
+
+test("rowAlignedOffsets cuts only between rows, for any chunk size", () => {
+  const bytes = bytesOf(BODY);
+  const expected = parse(bytes);
+  for (let chunkBytes = 1; chunkBytes <= bytes.length + 1; chunkBytes++) {
+    const offsets = rowAlignedOffsets(bytes, 0, chunkBytes);
+    assert.equal(offsets[0], 0);
+    assert.equal(offsets.at(-1), bytes.length);
+    assert.ok(offsets.every((offset, index) => index === 0 || offset > offsets[index - 1]));
+    assert.deepEqual(recordsOf(bytes, offsets), expected, `chunkBytes ${chunkBytes}`);
+  }
+  assert.equal(rowAlignedOffsets(bytes, 0, 1).length, 7, "one chunk per row");
+  assert.deepEqual(rowAlignedOffsets(bytes, 0, bytes.length), [0, bytes.length]);
+});
+
+test("rowAlignedOffsets starts after the header and handles a trailing newline", () => {
+  const bytes = bytesOf(`id,name\n${BODY}\n`);
+  const offsets = rowAlignedOffsets(bytes, 8, 10);
+  assert.equal(offsets[0], 8);
+  assert.equal(offsets.at(-1), bytes.length);
+  assert.equal(recordsOf(bytes, offsets).length, 6);
+  assert.deepEqual(rowAlignedOffsets(bytes, bytes.length, 10), [bytes.length]);
+});
+
+test("resolveWorkerCount accepts whole numbers and auto", () => {
+  assert.equal(resolveWorkerCount(), 0);
+  assert.equal(resolveWorkerCount(3), 3);
+  assert.ok(resolveWorkerCount("auto") >= 1);
+  for (const workers of [-1, 1.5, "4"]) {
+    assert.throws(() => resolveWorkerCount(workers), /Invalid worker count/);
+  }
+});
@@ -0,0 +1,125 @@
+/**
+ * @file workers.js
+ * @description A small node:worker_threads pool, and quote-aware splitting of CSV bytes
+ * into row-aligned chunks for it. loader.js uses both to parse large files in parallel.
+ */
+
+import { availableParallelism } from "node:os";
+import { Worker } from "node:worker_threads";
+
+const QUOTE = 0x22;
+const NEWLINE = 0x0a;
+
+/**
+ * Worker count for LoadOptions.workers: "auto" is one per CPU core, 0 parses on the
+ * main thread.
+ * @param {number|"auto"} [workers=0]
+ * @returns {number}
+ */
+export function resolveWorkerCount(workers = 0) {
+  if (workers === "auto") return availableParallelism();
+  if (!(Number.isInteger(workers) && workers >= 0)) {
+    throw new Error(`Invalid worker count "${workers}" (expected a whole number or "auto")`);
+  }
+  return workers;
+}
+
+/**
+ * Offset just after the row that starts at `from`: the first newline outside quotes,
+ * so a quoted field with line breaks stays in its row.
+ * @param {Uint8Array} bytes
+ * @param {number} from - Start of a row
+ * @returns {number}
+ */
+export function nextRowEnd(bytes, from) {
+  let inQuotes = false;
+  for (let index = from; index < bytes.length; index++) {
+    if (bytes[index] === QUOTE) inQuotes = !inQuotes;
+    else if (bytes[index] === NEWLINE && !inQuotes) return index + 1;
+  }
+  return bytes.length;
+}
+
+/**
+ * Cuts bytes from `start` into chunks of at least `chunkBytes` that end on row boundaries.
+ * Quotes toggle as the parser sees them ("" inside a quoted field toggles twice), so a
+ * newline only ends a row outside quotes.
+ * @param {Uint8Array} bytes
+ * @param {number} start - Start of a row
+ * @param {number} chunkBytes
+ * @returns {number[]} - Chunk boundaries: start, ..., bytes.length (just [start] when nothing is left)
+ */
+export function rowAlignedOffsets(bytes, start, chunkBytes) {
+  const offsets = [start];
+  let inQuotes = false;
+  let nextCut = start + chunkBytes;
+  for (let index = start; index < bytes.length; index++) {
+    if (bytes[index] === QUOTE) inQuotes = !inQuotes;
+    else if (
+      bytes[index] === NEWLINE &&
+      !inQuotes &&
+      index + 1 >= nextCut &&
+      index + 1 < bytes.length
+    ) {
+      offsets.push(index + 1);
+      nextCut = index + 1 + chunkBytes;
+    }
+  }
+  if (bytes.length > start) offsets.push(bytes.length);
+  return offsets;
+}
+
+/**
+ * @typedef {Object} WorkerPool
+ * @property {function(Object, Transferable[]=): Promise<any>} run - Posts a task to the next
+ *   free worker and resolves with its reply's `result` (or rejects with its `error`)
+ * @property {function(): Promise<void>} close - Stops every worker
+ */
+
+/**
+ * Starts `size` workers running `script`. A worker handles one task at a time and
+ * answers each message with { result } or { error }.
+ * @param {URL|string} script
+ * @param {number} size
+ * @returns {WorkerPool}
+ */
+export function createWorkerPool(script, size) {
+  const workers = Array.from({ length: size }, () => new Worker(script));
+  const idle = [...workers];
+  const queue = [];
+
+  const dispatch = () => {
+    while (idle.length && queue.length) start(idle.pop(), queue.shift());
+  };
+
+  const start = (worker, job) => {
+    const onMessage = (reply) => {
+      worker.off("error", onError);
+      idle.push(worker);
+      if ("error" in reply) job.reject(new Error(reply.error));
+      else job.resolve(reply.result);
+      dispatch();
+    };
+    const onError = (err) => {
+      // the worker is gone, and so is any hope of finishing the queue
+      worker.off("message", onMessage);
+      job.reject(err);
+      queue.splice(0).forEach((waiting) => waiting.reject(err));
+    };
+    worker.once("message", onMessage);
+    worker.once("error", onError);
+    worker.postMessage(job.task, job.transfer);
+  };
+
+  return {
+    run(task, transfer = []) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, transfer, resolve, reject });
+        dispatch();
+      });
+    },
+    async close() {
+      await Promise.all(workers.map((worker) => worker.terminate()));
+    },
+  };
+}